@@ -0,0 +1,37 @@
+/**
+ * Environment Helpers
+ *
+ * Shared parsing of numeric settings read from environment variables by the
+ * config modules.
+ */
+
+/**
+ * Reads a numeric value from an environment variable, falling back to a default.
+ * Values that are not numbers or are out of range are ignored with a warning.
+ *
+ * @param {string} name - Environment variable name
+ * @param {number} defaultValue - Value used when the variable is unset or invalid
+ * @param {Object} [options]
+ * @param {number} [options.min=-Infinity] - Smallest allowed value
+ * @param {number} [options.max=Infinity] - Largest allowed value
+ * @param {boolean} [options.integer=false] - Only allow whole numbers
+ * @returns {number}
+ */
+const numberFromEnv = (name, defaultValue, { min = -Infinity, max = Infinity, integer = false } = {}) => {
+  const raw = process.env[name];
+  if (raw === undefined || raw.trim() === '') {
+    return defaultValue;
+  }
+
+  const value = Number(raw);
+  if (!Number.isFinite(value) || value < min || value > max || (integer && !Number.isInteger(value))) {
+    const range = `${integer ? 'an integer' : 'a number'}${min > -Infinity ? ` >= ${min}` : ''}${max < Infinity ? ` <= ${max}` : ''}`;
+    console.warn(`Invalid ${name}="${raw}" (expected ${range}), using ${defaultValue}`);
+    return defaultValue;
+  }
+  return value;
+};
+
+module.exports = {
+  numberFromEnv
+};
@@ -6,13 +6,33 @@
  */
 
 const redditScraperConfig = require('./redditScraper');
+const redditApiConfig = require('./redditApi');
 const schedulerConfig = require('./scheduler');
+const sentimentConfig = require('./sentiment');
+const sentimentPromptsConfig = require('./sentimentPrompts');
+const mentionsConfig = require('./mentions');
+const pricesConfig = require('./prices');
+const stockProfilesConfig = require('./stockProfiles');
+const stocksConfig = require('./stocks');
+const jobQueueConfig = require('./jobQueue');
+const instanceConfig = require('./instance');
+const settingsConfig = require('./settings');
 const openai = require('./openai');
 const prisma = require('./database');
 
 module.exports = {
   redditScraper: redditScraperConfig,
+  redditApi: redditApiConfig,
   scheduler: schedulerConfig,
+  sentiment: sentimentConfig,
+  sentimentPrompts: sentimentPromptsConfig,
+  mentions: mentionsConfig,
+  prices: pricesConfig,
+  stockProfiles: stockProfilesConfig,
+  stocks: stocksConfig,
+  jobQueue: jobQueueConfig,
+  instance: instanceConfig,
+  settings: settingsConfig,
   openai,
   prisma
 };
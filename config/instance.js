@@ -0,0 +1,39 @@
+/**
+ * Instance Configuration
+ *
+ * Several instances of the server can share one database. INSTANCE_ROLE
+ * decides what an instance runs:
+ * - all: the HTTP API, the scheduled jobs and the job worker (default)
+ * - api: only the HTTP API (work is queued for worker instances)
+ * - worker: only the scheduled jobs and the job worker, no HTTP server
+ * Scheduled jobs take a database lease per run, so each run happens on one
+ * instance even when several worker instances are up.
+ */
+
+const os = require('os');
+
+const INSTANCE_ROLES = {
+  ALL: 'all',
+  API: 'api',
+  WORKER: 'worker'
+};
+
+const getInstanceRole = () => {
+  const role = (process.env.INSTANCE_ROLE || INSTANCE_ROLES.ALL).toLowerCase();
+  if (!Object.values(INSTANCE_ROLES).includes(role)) {
+    console.warn(`Unknown INSTANCE_ROLE "${process.env.INSTANCE_ROLE}", running as "${INSTANCE_ROLES.ALL}"`);
+    return INSTANCE_ROLES.ALL;
+  }
+  return role;
+};
+
+const INSTANCE_ROLE = getInstanceRole();
+
+module.exports = {
+  INSTANCE_ROLES,
+  INSTANCE_ROLE,
+  // Identifies this process in job locks and leases
+  INSTANCE_ID: `${os.hostname()}:${process.pid}`,
+  RUNS_API: INSTANCE_ROLE !== INSTANCE_ROLES.WORKER,
+  RUNS_WORKER: INSTANCE_ROLE !== INSTANCE_ROLES.API
+};
@@ -0,0 +1,94 @@
+/**
+ * Job Queue Configuration
+ *
+ * Background work (Reddit searches, post and subreddit scrapes, sentiment
+ * analysis) is queued in the jobs table and run by the job worker, so it
+ * survives restarts and the same work is never queued twice.
+ */
+
+const { TIME } = require('./redditScraper');
+const { numberFromEnv } = require('./env');
+
+const JOB_STATUS = {
+  PENDING: 'pending',       // Waiting to run (new, or waiting for a retry)
+  RUNNING: 'running',       // Claimed by a worker
+  COMPLETED: 'completed',
+  DEAD: 'dead'              // Failed maxAttempts times (dead letter), kept for inspection
+};
+
+/**
+ * Job types and how often each is attempted before it is dead-lettered.
+ */
+const JOB_TYPES = {
+  SEARCH: 'search',                     // Reddit search for a stock, queues scrapes for new posts and its subreddits
+  SCRAPE_POST: 'scrape-post',           // Post content and comments
+  SCRAPE_SUBREDDIT: 'scrape-subreddit', // A tracked subreddit's listing, queues scrapes for new posts
+  ANALYZE_COMMENT: 'analyze-comment',   // Sentiment of the next batch of unanalyzed comments and posts
+  DISCOVER_SUBREDDIT: 'discover-subreddit', // Official subreddit discovery for a stock
+  RUN_SCHEDULED_JOB: 'run-scheduled-job'   // Manual run of a scheduled job (POST /admin/scheduled-jobs/:name/run)
+};
+
+const MAX_ATTEMPTS = {
+  [JOB_TYPES.SEARCH]: 3,
+  [JOB_TYPES.SCRAPE_POST]: 5,
+  [JOB_TYPES.SCRAPE_SUBREDDIT]: 3,
+  [JOB_TYPES.ANALYZE_COMMENT]: 3,
+  [JOB_TYPES.DISCOVER_SUBREDDIT]: 2,
+  [JOB_TYPES.RUN_SCHEDULED_JOB]: 1        // A failed run is recorded in job_runs; run it again by hand
+};
+
+const JOB_WORKER = {
+  POLL_INTERVAL_MS: 2 * TIME.MS_PER_SECOND,
+  CONCURRENCY: numberFromEnv('JOB_WORKER_CONCURRENCY', 2, { min: 1, integer: true }),
+  // The worker renews a running job's lock every HEARTBEAT_INTERVAL_MS; a lock older than
+  // LOCK_TIMEOUT_MS was abandoned (the process died) and the job is re-queued
+  HEARTBEAT_INTERVAL_MS: TIME.MS_PER_MINUTE,
+  LOCK_TIMEOUT_MS: 5 * TIME.MS_PER_MINUTE,
+  RECLAIM_INTERVAL_MS: TIME.MS_PER_MINUTE,
+  RETRY: {
+    BASE_DELAY_MS: 30 * TIME.MS_PER_SECOND,     // Doubled on each attempt
+    MAX_DELAY_MS: 30 * TIME.MS_PER_MINUTE
+  },
+  // Completed jobs are deleted after this long, dead jobs after DEAD_RETENTION_MS (kept longer for inspection)
+  COMPLETED_RETENTION_MS: 7 * TIME.MS_PER_DAY,
+  DEAD_RETENTION_MS: 30 * TIME.MS_PER_DAY
+};
+
+/**
+ * Leases that keep each scheduled job run on a single instance.
+ */
+const JOB_LEASE = {
+  // A lease is renewed while its run is in progress; an instance that dies loses it after TTL_MS
+  TTL_MS: 5 * TIME.MS_PER_MINUTE,
+  RENEW_INTERVAL_MS: TIME.MS_PER_MINUTE
+};
+
+/**
+ * Scheduled job runs recorded in job_runs.
+ */
+const JOB_RUNS = {
+  TRIGGERS: {
+    CRON: 'cron',
+    MANUAL: 'manual'          // POST /admin/scheduled-jobs/:name/run or a scripts/run*.js script
+  },
+  STATUS: {
+    RUNNING: 'running',
+    COMPLETED: 'completed',
+    FAILED: 'failed'
+  },
+  // A cron run is skipped if another instance started one this recently, so an instance whose
+  // cron fires a few seconds late does not repeat the run (must be below the shortest schedule)
+  DUPLICATE_WINDOW_MS: 30 * TIME.MS_PER_SECOND,
+  RETENTION_MS: 30 * TIME.MS_PER_DAY,
+  DEFAULT_LIST_LIMIT: 50,
+  MAX_LIST_LIMIT: 500
+};
+
+module.exports = {
+  JOB_STATUS,
+  JOB_TYPES,
+  MAX_ATTEMPTS,
+  JOB_WORKER,
+  JOB_LEASE,
+  JOB_RUNS
+};
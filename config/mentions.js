@@ -0,0 +1,37 @@
+/**
+ * Ticker Mention Configuration
+ *
+ * Controls how ticker mentions are detected in post titles, post bodies and
+ * comments (see services/mentionService.js).
+ */
+
+const { TIME } = require('./redditScraper');
+
+/**
+ * Tickers that are also common English words or Reddit slang.
+ * A bare mention of these only counts when written as a cashtag ($F, $ON)
+ * or when the company name appears in the text.
+ */
+const AMBIGUOUS_TICKERS = new Set([
+  'A', 'AI', 'ALL', 'AM', 'AN', 'ANY', 'ARE', 'AT', 'BE', 'BIG', 'BY', 'CAN', 'CAR', 'CASH', 'CEO', 'COST',
+  'DD', 'DO', 'EAT', 'EOD', 'EPS', 'ETF', 'EV', 'F', 'FAST', 'FOR', 'FUN', 'GDP', 'GO', 'GOOD', 'HAS', 'HE',
+  'HOLD', 'IPO', 'IT', 'K', 'KEY', 'LOVE', 'LOW', 'MA', 'META', 'MOON', 'NEW', 'NOW', 'O', 'ON', 'ONE', 'OPEN',
+  'OR', 'OUT', 'PLAY', 'POST', 'REAL', 'RUN', 'SAFE', 'SEE', 'SNAP', 'SO', 'SPOT', 'TV', 'TWO', 'U', 'UP',
+  'USA', 'V', 'WELL', 'WISH', 'X', 'YOLO'
+]);
+
+/**
+ * Company names shorter than this are not matched on their own.
+ */
+const MIN_COMPANY_NAME_LENGTH = 4;
+
+/**
+ * How long the list of tracked stocks used for attribution is cached.
+ */
+const STOCK_INDEX_TTL_MS = 10 * TIME.MS_PER_MINUTE;
+
+module.exports = {
+  AMBIGUOUS_TICKERS,
+  MIN_COMPANY_NAME_LENGTH,
+  STOCK_INDEX_TTL_MS
+};
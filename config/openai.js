@@ -1,8 +1,12 @@
 const { OpenAI } = require('openai');
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+// The client is only created when an API key is configured, so the app can
+// still start (and fall back to other sentiment providers) without one.
+const openai = process.env.OPENAI_API_KEY
+  ? new OpenAI({
+    apiKey: process.env.OPENAI_API_KEY,
+  })
+  : null;
 
 module.exports = openai;
 
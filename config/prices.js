@@ -0,0 +1,83 @@
+/**
+ * Stock Price Configuration
+ *
+ * Quotes and candles are fetched from Finnhub for tracked stocks (stocks
+ * that were looked up through the API or have an enabled subreddit) and
+ * stored as price history next to the sentiment data.
+ */
+
+const { TIME } = require('./redditScraper');
+
+const FINNHUB = {
+  API_BASE_URL: 'https://finnhub.io/api/v1',
+  REQUEST_DELAY_MS: 1100                        // Free tier allows 60 requests per minute
+};
+
+/**
+ * Candle resolutions (Finnhub `resolution` values) that are ingested.
+ * The first fetch for a stock goes back INITIAL_LOOKBACK_MS; later fetches
+ * start at the newest stored candle, which is still forming and gets replaced.
+ */
+const CANDLE_RESOLUTIONS = {
+  D: {
+    description: 'Daily',
+    INITIAL_LOOKBACK_MS: 365 * TIME.MS_PER_DAY
+  },
+  60: {
+    description: 'Hourly',
+    INITIAL_LOOKBACK_MS: 30 * TIME.MS_PER_DAY
+  }
+};
+
+const PRICE_INGESTION = {
+  MAX_STOCKS_PER_RUN: 50,
+  // Candles only need refreshing this often; quotes are fetched on every run
+  CANDLE_REFRESH_MS: TIME.MS_PER_HOUR,
+  // A quote older than this is refreshed when GET /stock/:param/price is called
+  QUOTE_MAX_AGE_MS: 15 * TIME.MS_PER_MINUTE
+};
+
+/**
+ * GET /stock/:param/price defaults.
+ */
+const PRICE_RESPONSE = {
+  DEFAULT_RESOLUTION: 'D',
+  DEFAULT_DAYS: 30,
+  MAX_DAYS: 365
+};
+
+/**
+ * GET /stock/:param/analytics: sentiment vs. price returns and mention volume
+ * vs. trading volume, bucketed by the sentiment history intervals (hour, day).
+ */
+const ANALYTICS = {
+  // Candle resolution used for each sentiment history interval
+  RESOLUTIONS: {
+    hour: '60',
+    day: 'D'
+  },
+  DEFAULT_WINDOW_MS: {
+    hour: 30 * TIME.MS_PER_DAY,
+    day: 180 * TIME.MS_PER_DAY
+  },
+  // Sentiment leading returns by these lags (lags shorter than the interval are not computed)
+  LAGS: [
+    { name: '1h', ms: TIME.MS_PER_HOUR },
+    { name: '1d', ms: TIME.MS_PER_DAY },
+    { name: '3d', ms: 3 * TIME.MS_PER_DAY }
+  ],
+  // Buckets in each rolling correlation window
+  ROLLING_WINDOW: {
+    hour: 72,
+    day: 30
+  },
+  MIN_SAMPLES: 10                               // Fewer paired buckets give a null correlation
+};
+
+module.exports = {
+  FINNHUB,
+  CANDLE_RESOLUTIONS,
+  PRICE_INGESTION,
+  PRICE_RESPONSE,
+  ANALYTICS
+};
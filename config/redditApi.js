@@ -0,0 +1,52 @@
+/**
+ * Reddit API Configuration
+ *
+ * Reddit is called either through the OAuth API (oauth.reddit.com, when
+ * script-app credentials are set) or anonymously through the public .json
+ * endpoints with rotating proxies. Both modes share one request budget per
+ * mode (token bucket) across every caller in redditService.
+ */
+
+const { TIME } = require('./redditScraper');
+
+/**
+ * OAuth "script" app credentials (https://www.reddit.com/prefs/apps).
+ * OAuth mode is enabled when all four are set.
+ */
+const REDDIT_OAUTH = {
+  CLIENT_ID: process.env.REDDIT_CLIENT_ID || null,
+  CLIENT_SECRET: process.env.REDDIT_CLIENT_SECRET || null,
+  USERNAME: process.env.REDDIT_USERNAME || null,
+  PASSWORD: process.env.REDDIT_PASSWORD || null,
+  // Reddit asks for a unique, descriptive User-Agent for API clients
+  USER_AGENT: process.env.REDDIT_USER_AGENT || 'node:fr_stock_backend:v1.0.0',
+  TOKEN_URL: 'https://www.reddit.com/api/v1/access_token',
+  API_BASE_URL: 'https://oauth.reddit.com',
+  TOKEN_REFRESH_MARGIN_MS: TIME.MS_PER_MINUTE,      // Refresh tokens this long before they expire
+  FAILURE_COOLDOWN_MS: 5 * TIME.MS_PER_MINUTE       // Use the anonymous path this long after a token failure
+};
+
+/**
+ * Anonymous (public .json endpoint) settings.
+ */
+const REDDIT_ANONYMOUS = {
+  BASE_URL: 'https://www.reddit.com',
+  USER_AGENT: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
+};
+
+/**
+ * Request budgets (token buckets). OAuth allows 100 requests per minute per
+ * client; its bucket is re-synced from the X-Ratelimit-* response headers.
+ * The anonymous budget keeps roughly the old pace of one request per second.
+ */
+const REDDIT_REQUEST_BUDGET = {
+  OAUTH: { CAPACITY: 10, REFILL_PER_SECOND: 100 / 60 },
+  ANONYMOUS: { CAPACITY: 3, REFILL_PER_SECOND: 1 },
+  RATE_LIMITED_PAUSE_MS: TIME.MS_PER_MINUTE         // Pause after a 429 without a Retry-After header
+};
+
+module.exports = {
+  REDDIT_OAUTH,
+  REDDIT_ANONYMOUS,
+  REDDIT_REQUEST_BUDGET
+};
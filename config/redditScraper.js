@@ -14,6 +14,7 @@ const MS_PER_DAY = 24 * MS_PER_HOUR;
 /**
  * Scraping interval rules based on post age.
  * Rules are evaluated in order - first matching rule applies.
+ * Default of the `scrape-intervals` setting, which can be changed at runtime.
  * 
  * @type {Array<{maxAgeMs: number, intervalMs: number, description: string}>}
  */
@@ -38,22 +39,135 @@ const SCRAPE_INTERVALS = [
 /**
  * Maximum age (in milliseconds) for posts to be scraped.
  * Posts older than this threshold will never be scraped.
+ * Default of `maxPostAgeMs` in the `scrape-intervals` setting.
  */
 const MAX_POST_AGE_MS = 7 * MS_PER_DAY;
 
 /**
- * Sleep delay configuration for rate limiting between scrapes
- * (With 30 rotating residential proxies, effective per-IP rate is much lower)
+ * Order in which equally overdue posts (by whole scrape intervals) are scraped.
+ * When a post is scraped, its priority is
+ * ACTIVITY_WEIGHT * ln(1 + new comments per hour since the previous scrape)
+ * + POPULARITY_WEIGHT * ln(1 + posts about its stock in the past POPULARITY_WINDOW_MS).
  */
-const RATE_LIMIT = {
-  MIN_DELAY_MS: 500,                         // 0.5 seconds
-  MAX_DELAY_MS: 1500                         // 1.5 seconds
+const SCRAPE_PRIORITY = {
+  ACTIVITY_WEIGHT: 1,
+  POPULARITY_WEIGHT: 0.5,
+  POPULARITY_WINDOW_MS: MS_PER_DAY,
+  MAX_POSTS_PER_RUN: 500                     // Due posts queued per scraper run, most overdue first
+};
+
+/**
+ * Posts whose content scrape failed. A failed post isn't due again before a
+ * delay (BASE_DELAY_MS, doubled on each failure) and is no longer scheduled
+ * after MAX_ATTEMPTS failures in a row, so deleted or broken threads don't
+ * take the place of other due posts in every run.
+ */
+const SCRAPE_FAILURES = {
+  BASE_DELAY_MS: 10 * MS_PER_MINUTE,
+  MAX_DELAY_MS: 6 * MS_PER_HOUR,
+  MAX_ATTEMPTS: 10
+};
+
+/**
+ * Reddit listing pagination.
+ * Listings (search results, subreddit feeds) are fetched page by page,
+ * following the `after` cursor for up to a per-call maxPages budget.
+ */
+const REDDIT_LISTING = {
+  PAGE_SIZE: 100,                            // Reddit's per-request maximum
+  MAX_PAGES: 10,                             // Upper bound for any maxPages budget
+  SEARCH_SORTS: ['relevance', 'hot', 'new', 'top', 'comments'],
+  TIMEFRAMES: {                              // Reddit `t` values and the window they cover
+    hour: MS_PER_HOUR,
+    day: MS_PER_DAY,
+    week: 7 * MS_PER_DAY,
+    month: 30 * MS_PER_DAY
+  }
+};
+
+/**
+ * Post search presets for searchRedditStock.
+ */
+const SEARCH_PRESETS = {
+  // Background refresh of a stock that already has posts
+  REFRESH: { sort: 'hot', timeframe: null, maxPages: 1 },
+  // First lookup of a stock: backfill a full week of discussion
+  BACKFILL: { sort: 'new', timeframe: 'week', maxPages: 10 }
+};
+
+/**
+ * Subreddit listing options for tracked subreddits (stock_subreddits table).
+ * "top" listings default to TOP_TIMEFRAME so they cover the MAX_POST_AGE_MS window.
+ */
+const SUBREDDIT_LISTING = {
+  TYPES: ['hot', 'new', 'top'],
+  TOP_TIMEFRAME: 'week',
+  DEFAULT_LIMIT: 25,
+  MAX_LIMIT: 100                             // Posts per page, Reddit's per-request maximum
+};
+
+/**
+ * Official subreddit discovery (services/subredditDiscoveryService.js).
+ * Candidates come from Reddit's community search; the best one scoring at
+ * least MIN_SCORE is stored as a suggestion for an admin to accept or reject.
+ */
+const SUBREDDIT_DISCOVERY = {
+  MIN_SCORE: 3,
+  SEARCH_LIMIT: 10,                          // Communities fetched per query
+  REDISCOVER_AFTER_MS: 7 * MS_PER_DAY        // Re-run for stocks still without an official subreddit
+};
+
+/**
+ * Default comment ingestion filter, used for any field not set by a
+ * comment_filters row (see services/commentFilterService.js).
+ * Comments are saved when |score| >= minAbsScore and body length >= minLength
+ * (replies are exempt from minLength).
+ */
+const COMMENT_FILTER_DEFAULTS = {
+  minAbsScore: 2,
+  minLength: 10,
+  authorBlocklist: ['AutoModerator'],
+  excludePatterns: [],
+  minAuthorKarma: null                       // null = no karma check
+};
+
+/**
+ * Expansion of "load more comments" stubs when scraping a post.
+ * Each post gets at most MAX_REQUESTS_PER_POST extra requests (morechildren
+ * calls and "continue this thread" fetches) so huge threads can't starve
+ * the scrape queue.
+ */
+const MORE_COMMENTS = {
+  MAX_REQUESTS_PER_POST: 10,
+  IDS_PER_REQUEST: 100                       // Reddit's morechildren maximum
+};
+
+/**
+ * Author karma lookups for the minAuthorKarma comment filter.
+ * Authors are looked up by account id in batches of BATCH_SIZE, with at most
+ * MAX_REQUESTS_PER_POST requests per post scrape; authors past that budget
+ * skip the karma check for that scrape. The cache keeps the CACHE_MAX_ENTRIES
+ * most recently used authors.
+ */
+const AUTHOR_KARMA = {
+  CACHE_MS: 24 * MS_PER_HOUR,
+  CACHE_MAX_ENTRIES: 10000,
+  BATCH_SIZE: 100,                           // Reddit's user_data_by_account_ids maximum
+  MAX_REQUESTS_PER_POST: 3
 };
 
 module.exports = {
   SCRAPE_INTERVALS,
   MAX_POST_AGE_MS,
-  RATE_LIMIT,
+  SCRAPE_PRIORITY,
+  SCRAPE_FAILURES,
+  REDDIT_LISTING,
+  SEARCH_PRESETS,
+  SUBREDDIT_LISTING,
+  SUBREDDIT_DISCOVERY,
+  COMMENT_FILTER_DEFAULTS,
+  MORE_COMMENTS,
+  AUTHOR_KARMA,
   // Export time constants for potential reuse
   TIME: {
     MS_PER_SECOND,
@@ -3,6 +3,8 @@
  * 
  * Defines cron schedules for scheduled jobs.
  * Uses standard cron syntax: minute hour day month weekday
+ * The schedules are defaults: they can be changed at runtime with
+ * PUT /admin/settings/schedule.<job name> (see config/settings.js).
  */
 
 module.exports = {
@@ -29,8 +31,8 @@ module.exports = {
     timezone: 'America/New_York' // Optional: specify timezone
   },
   /**
-   * Official subreddit scraper schedule
-   * Runs every 30 minutes to scrape posts from official stock subreddits
+   * Stock subreddit scraper schedule
+   * Runs every 30 minutes to scrape posts from every tracked stock subreddit
    *
    * Cron format: minute hour day month weekday
    */
@@ -38,6 +40,28 @@ module.exports = {
     schedule: '*/30 * * * *', // Every 30 minutes
     enabled: process.env.ENABLE_SUBREDDIT_SCRAPER !== 'false', // Enabled by default, can be disabled via env var
     timezone: 'America/New_York' // Optional: specify timezone
+  },
+  /**
+   * Stock price ingestion schedule
+   * Runs every 15 minutes to fetch Finnhub quotes (and hourly candle updates) for tracked stocks
+   *
+   * Cron format: minute hour day month weekday
+   */
+  PRICE_INGESTION: {
+    schedule: '*/15 * * * *', // Every 15 minutes
+    enabled: process.env.ENABLE_PRICE_INGESTION !== 'false', // Enabled by default, can be disabled via env var
+    timezone: 'America/New_York' // Optional: specify timezone
+  },
+  /**
+   * Stock profile refresh schedule
+   * Runs daily to enrich new tracked stocks and refresh profiles older than 30 days
+   *
+   * Cron format: minute hour day month weekday
+   */
+  STOCK_PROFILE_REFRESH: {
+    schedule: '0 4 * * *', // Every day at 4:00
+    enabled: process.env.ENABLE_STOCK_PROFILE_REFRESH !== 'false', // Enabled by default, can be disabled via env var
+    timezone: 'America/New_York' // Optional: specify timezone
   }
 };
 
@@ -0,0 +1,160 @@
+/**
+ * Sentiment Configuration
+ *
+ * Defines how comment sentiment scores are classified and aggregated
+ * for reporting endpoints.
+ */
+
+const { TIME } = require('./redditScraper');
+const { numberFromEnv } = require('./env');
+
+/**
+ * Sentiment band thresholds.
+ * Scores above BULLISH_THRESHOLD are bullish, scores below BEARISH_THRESHOLD
+ * are bearish, everything in between is neutral (matches the scoring rubric).
+ */
+const SENTIMENT_BANDS = {
+  BULLISH_THRESHOLD: 0.2,
+  BEARISH_THRESHOLD: -0.2
+};
+
+/**
+ * Sentiment history bucketing configuration.
+ * Each interval defines its bucket size and the default lookback window
+ * used when no explicit `from` is given.
+ */
+const HISTORY = {
+  INTERVALS: {
+    hour: {
+      bucketMs: TIME.MS_PER_HOUR,
+      defaultWindowMs: 7 * TIME.MS_PER_DAY      // last 7 days
+    },
+    day: {
+      bucketMs: TIME.MS_PER_DAY,
+      defaultWindowMs: 90 * TIME.MS_PER_DAY     // last 90 days
+    }
+  },
+  DEFAULT_INTERVAL: 'hour',
+  MAX_BUCKETS: 2000                             // Guard against huge ranges
+};
+
+/**
+ * Aggregate sentiment scoring model.
+ * Each comment's weight is the product of an upvote factor, a depth factor
+ * and a recency factor. All parameters can be tuned via environment variables
+ * (out-of-range values are ignored with a warning).
+ *
+ * - Upvote factor: 1 + UPVOTE_LOG_SCALE * ln(1 + upvotes) for positive scores,
+ *   NEGATIVE_SCORE_WEIGHT for comments with a score of zero or below
+ * - Depth factor: DEPTH_DECAY ^ depth, from reddit_comments.depth (top-level
+ *   comments have depth 0). Comments stored before threading was recorded have
+ *   depth 0 until a rescrape fills it in, so they count as top-level
+ * - Recency factor: 0.5 ^ (age / HALF_LIFE_HOURS)
+ * - Confidence: n / (n + CONFIDENCE_SAMPLE_SIZE), using the effective sample size
+ *
+ * Analyzed posts count like top-level comments (upvote factor from the post
+ * score), multiplied by POST_WEIGHT. Set POST_WEIGHT to 0 to leave posts out.
+ */
+const SCORING = {
+  UPVOTE_LOG_SCALE: numberFromEnv('SENTIMENT_UPVOTE_LOG_SCALE', 1, { min: 0 }),
+  // Above 0, so every comment keeps some weight
+  NEGATIVE_SCORE_WEIGHT: numberFromEnv('SENTIMENT_NEGATIVE_SCORE_WEIGHT', 0.25, { min: 0.001 }),
+  DEPTH_DECAY: numberFromEnv('SENTIMENT_DEPTH_DECAY', 0.8, { min: 0.001, max: 1 }),
+  HALF_LIFE_HOURS: numberFromEnv('SENTIMENT_HALF_LIFE_HOURS', 48, { min: 0.001 }),
+  CONFIDENCE_SAMPLE_SIZE: numberFromEnv('SENTIMENT_CONFIDENCE_SAMPLE_SIZE', 30, { min: 0.001 }),
+  POST_WEIGHT: numberFromEnv('SENTIMENT_POST_WEIGHT', 3, { min: 0 })
+};
+
+/**
+ * Sentiment analysis run configuration.
+ * Comments are packed into batches of BATCH_SIZE per request (1 disables batching),
+ * with at most CONCURRENCY requests in flight and MAX_COMMENTS_PER_RUN analyzed per job run.
+ * Posts (title + selftext) are analyzed one per request, up to MAX_POSTS_PER_RUN per job run.
+ * Rate-limited (429) and server errors are retried with exponential backoff.
+ * A comment or post whose analysis failed waits before its next attempt (FAILED_ITEMS,
+ * doubled on each failure) and is skipped after MAX_ATTEMPTS failures, so items that
+ * always fail don't take the place of newer ones in every run.
+ */
+const ANALYSIS = {
+  BATCH_SIZE: numberFromEnv('SENTIMENT_BATCH_SIZE', 20, { min: 1, integer: true }),
+  CONCURRENCY: numberFromEnv('SENTIMENT_CONCURRENCY', 3, { min: 1, integer: true }),
+  MAX_COMMENTS_PER_RUN: numberFromEnv('SENTIMENT_MAX_COMMENTS_PER_RUN', 500, { min: 0, integer: true }),
+  MAX_POSTS_PER_RUN: numberFromEnv('SENTIMENT_MAX_POSTS_PER_RUN', 100, { min: 0, integer: true }),
+  MAX_BODY_LENGTH: 2000,                         // Longer comments are truncated in prompts
+  MAX_POST_BODY_LENGTH: 6000,                    // Post selftext (DD posts run long) is truncated in prompts
+  MAX_CONTEXT_LENGTH: 500,                       // Parent comment / post title context is truncated further
+  MAX_SUMMARY_LENGTH: 280,                       // Post summaries are cut to this length
+  RETRY: {
+    MAX_RETRIES: numberFromEnv('SENTIMENT_MAX_RETRIES', 5, { min: 0, integer: true }),
+    BASE_DELAY_MS: 1000,                         // 1 second, doubled on each retry
+    MAX_DELAY_MS: TIME.MS_PER_MINUTE             // Never wait more than 1 minute
+  },
+  FAILED_ITEMS: {
+    BASE_DELAY_MS: 5 * TIME.MS_PER_MINUTE,       // Doubled on each failed attempt
+    MAX_DELAY_MS: 6 * TIME.MS_PER_HOUR,
+    MAX_ATTEMPTS: numberFromEnv('SENTIMENT_MAX_ATTEMPTS', 8, { min: 1, integer: true })
+  }
+};
+
+/**
+ * Re-analysis of comments that were already scored. A comment is re-queued,
+ * with its previous score kept in comment_sentiment_history, when:
+ * - its body changed (edited on Reddit)
+ * - the primary provider's model or active prompt version changed since it was scored
+ *   (at most MAX_VERSION_REQUEUE_PER_RUN per job run, so backfills don't starve new comments)
+ * - its score moved by at least MIN_VOTE_CHANGE and grew VOTE_CHANGE_FACTOR times,
+ *   so comments that now carry much more weight are re-checked with the current model
+ */
+const REANALYSIS = {
+  MAX_VERSION_REQUEUE_PER_RUN: numberFromEnv('SENTIMENT_MAX_REQUEUE_PER_RUN', 200, { min: 0, integer: true }),
+  MIN_VOTE_CHANGE: 50,
+  VOTE_CHANGE_FACTOR: 3
+};
+
+/**
+ * Accuracy reports against hand-labeled comments (sentiment_labels).
+ * A provider given to the report re-scores the labeled comments instead of
+ * using their stored scores; OFFLINE_PROVIDER is the stand-in that needs no network.
+ */
+const EVALUATION = {
+  OFFLINE_PROVIDER: 'lexicon',
+  WORST_COMMENTS: 20                             // Largest errors listed in the report
+};
+
+/**
+ * Sentiment provider configuration.
+ * PRIMARY scores comments; FALLBACK is used when the primary provider is not
+ * configured or becomes unavailable (missing key, exhausted quota, unreachable).
+ *
+ * Providers:
+ * - openai: OpenAI API (requires OPENAI_API_KEY)
+ * - local: any OpenAI-compatible endpoint (Ollama, LM Studio, vLLM, ...)
+ * - lexicon: built-in finance lexicon scorer, no network required
+ */
+const PROVIDERS = {
+  PRIMARY: process.env.SENTIMENT_PROVIDER || 'openai',
+  FALLBACK: process.env.SENTIMENT_FALLBACK_PROVIDER || 'lexicon', // 'none' disables fallback
+  UNAVAILABLE_COOLDOWN_MS: 15 * TIME.MS_PER_MINUTE,  // Skip an unavailable provider for 15 minutes
+  OPENAI: {
+    MODEL: process.env.OPENAI_SENTIMENT_MODEL || 'gpt-4o-mini',
+    TEMPERATURE: 0.2
+  },
+  LOCAL: {
+    BASE_URL: process.env.SENTIMENT_LOCAL_BASE_URL || null,   // e.g. http://localhost:11434/v1
+    API_KEY: process.env.SENTIMENT_LOCAL_API_KEY || 'local',
+    MODEL: process.env.SENTIMENT_LOCAL_MODEL || 'llama3.1',
+    TEMPERATURE: 0.2,
+    // Many local servers only support plain JSON mode, not json_schema structured output
+    SUPPORTS_JSON_SCHEMA: process.env.SENTIMENT_LOCAL_JSON_SCHEMA === 'true'
+  }
+};
+
+module.exports = {
+  SENTIMENT_BANDS,
+  HISTORY,
+  SCORING,
+  ANALYSIS,
+  REANALYSIS,
+  EVALUATION,
+  PROVIDERS
+};
@@ -0,0 +1,88 @@
+/**
+ * Sentiment Prompt Configuration
+ *
+ * Built-in prompt templates for the LLM sentiment providers. They seed the
+ * sentiment_prompts table the first time a prompt of their kind is needed,
+ * and are used as a fallback if no version is active. New versions are added
+ * through the admin API; a stored version is never edited, so every score
+ * can be traced back to the exact prompt that produced it.
+ *
+ * A template's `rubric` is the system prompt without the JSON response
+ * format, which is appended by the provider (it must match the parser).
+ */
+
+const { TIME } = require('./redditScraper');
+const { ANALYSIS } = require('./sentiment');
+
+const PROMPT_KINDS = ['comment', 'post'];
+
+const SENTIMENT_SCALE = `- +0.7 to +1.0: Very bullish (strong buy conviction, major upside expected)
+- +0.3 to +0.6: Bullish (optimistic, positive outlook)
+- -0.2 to +0.2: Neutral (factual, questions, jokes, no clear stance)
+- -0.6 to -0.3: Bearish (concerns, doubts, negative outlook)
+- -1.0 to -0.7: Very bearish (strong sell conviction, expects failure)`;
+
+/**
+ * Default prompt per kind. `model` and `temperature` are null so the
+ * provider's configured values (config/sentiment.js) are used.
+ */
+const DEFAULT_PROMPTS = {
+  comment: {
+    kind: 'comment',
+    version: 'comment-v1',
+    model: null,
+    temperature: null,
+    rubric: `You are a financial sentiment analyzer. Analyze Reddit comments about stocks and return a JSON object.
+
+Score the comment's sentiment toward the stock on a scale from -1 to +1:
+${SENTIMENT_SCALE}
+
+When a parent comment or post title is given, read the comment in that context:
+a short agreement ("this", "exactly", "agreed") takes on the parent's stance,
+and a disagreement takes the opposite stance. Score the comment, not the parent.
+
+Set flagForDelete to true if the comment is:
+- A link to a meme/video
+- Not about the stock or company
+- Spam or irrelevant`
+  },
+  post: {
+    kind: 'post',
+    version: 'post-v1',
+    model: null,
+    temperature: null,
+    rubric: `You are a financial sentiment analyzer. Analyze a Reddit post about a stock (its title and body) and return a JSON object.
+
+Score the post author's sentiment toward the stock on a scale from -1 to +1:
+${SENTIMENT_SCALE}
+
+Set flagForDelete to true if the post is:
+- A meme, image or video with no discussion of the stock
+- Not about the stock or company
+- Spam or irrelevant
+
+Write a neutral summary of the post's main point in one or two sentences (at most ${ANALYSIS.MAX_SUMMARY_LENGTH} characters).`
+  }
+};
+
+/**
+ * How long the active prompt is cached before re-reading the table
+ * (activating a version through the API clears the cache immediately).
+ */
+const ACTIVE_PROMPT_CACHE_MS = TIME.MS_PER_MINUTE;
+
+/**
+ * Candidate prompt evaluation: the candidate is run against the most recently
+ * analyzed comments and its scores are compared with the stored ones.
+ */
+const PROMPT_EVALUATION = {
+  DEFAULT_SAMPLE_SIZE: 50,
+  MAX_SAMPLE_SIZE: 200
+};
+
+module.exports = {
+  PROMPT_KINDS,
+  DEFAULT_PROMPTS,
+  ACTIVE_PROMPT_CACHE_MS,
+  PROMPT_EVALUATION
+};
@@ -0,0 +1,61 @@
+/**
+ * Runtime Settings Configuration
+ *
+ * Settings that can be changed through /admin/settings without a redeploy.
+ * Values are stored in the settings table; a setting without a row uses the
+ * default below (the constants in config/scheduler.js and config/redditScraper.js).
+ */
+
+const schedulerConfig = require('./scheduler');
+const { SCRAPE_INTERVALS, MAX_POST_AGE_MS, TIME } = require('./redditScraper');
+
+const SETTING_TYPES = {
+  CRON: 'cron',                         // 5-field cron expression
+  SCRAPE_INTERVALS: 'scrape-intervals'  // { maxPostAgeMs, intervals: [{ maxAgeMs, intervalMs, description }] }
+};
+
+/**
+ * Key of the schedule setting of a scheduled job.
+ *
+ * @param {string} jobName - Scheduled job name (e.g. "reddit-scraper")
+ * @returns {string}
+ */
+const scheduleSettingKey = (jobName) => `schedule.${jobName}`;
+
+const SCRAPE_INTERVALS_KEY = 'scrape-intervals';
+
+const scheduleSetting = (configKey, jobLabel) => ({
+  type: SETTING_TYPES.CRON,
+  description: `Cron schedule of the ${jobLabel} job`,
+  defaultValue: schedulerConfig[configKey].schedule
+});
+
+const SETTINGS = {
+  [scheduleSettingKey('reddit-scraper')]: scheduleSetting('REDDIT_SCRAPER', 'Reddit scraper'),
+  [scheduleSettingKey('sentiment-analysis')]: scheduleSetting('SENTIMENT_ANALYSIS', 'sentiment analysis'),
+  [scheduleSettingKey('subreddit-scraper')]: scheduleSetting('SUBREDDIT_SCRAPER', 'subreddit scraper'),
+  [scheduleSettingKey('price-ingestion')]: scheduleSetting('PRICE_INGESTION', 'price ingestion'),
+  [scheduleSettingKey('stock-profile-refresh')]: scheduleSetting('STOCK_PROFILE_REFRESH', 'stock profile refresh'),
+  [SCRAPE_INTERVALS_KEY]: {
+    type: SETTING_TYPES.SCRAPE_INTERVALS,
+    description: 'Post content scrape intervals by post age; posts older than maxPostAgeMs are not scraped',
+    defaultValue: {
+      maxPostAgeMs: MAX_POST_AGE_MS,
+      intervals: SCRAPE_INTERVALS
+    }
+  }
+};
+
+// Every instance reloads settings this often, so changes made through another instance apply within it
+const SETTINGS_REFRESH_INTERVAL_MS = 30 * TIME.MS_PER_SECOND;
+
+const MAX_SCRAPE_INTERVALS = 20;
+
+module.exports = {
+  SETTING_TYPES,
+  SETTINGS,
+  SETTINGS_REFRESH_INTERVAL_MS,
+  MAX_SCRAPE_INTERVALS,
+  SCRAPE_INTERVALS_KEY,
+  scheduleSettingKey
+};
@@ -0,0 +1,21 @@
+/**
+ * Stock Profile Configuration
+ *
+ * Company profiles (name, exchange, industry, market cap, logo, website) are
+ * filled in from Finnhub `stock/profile2`, falling back to the local seed file
+ * when Finnhub is not configured or has no profile for the symbol (ETFs,
+ * OTC tickers, free-tier gaps).
+ */
+
+const path = require('path');
+const { TIME } = require('./redditScraper');
+
+const STOCK_PROFILES = {
+  SEED_FILE: path.join(__dirname, '..', 'data', 'stockProfiles.json'),
+  REFRESH_INTERVAL_MS: 30 * TIME.MS_PER_DAY,    // Profiles change rarely; market cap is the only moving field
+  MAX_STOCKS_PER_RUN: 50
+};
+
+module.exports = {
+  STOCK_PROFILES
+};
@@ -0,0 +1,21 @@
+/**
+ * Stock Configuration
+ *
+ * Which stocks the background jobs keep up to date.
+ */
+
+/**
+ * Stocks whose prices and profiles are kept up to date and whose tickers are
+ * recorded as mentions: stocks that were looked up through the API or have an
+ * enabled subreddit (a Prisma `where` filter on Stock).
+ */
+const TRACKED_STOCKS = {
+  OR: [
+    { lastSearchedAt: { not: null } },
+    { subreddits: { some: { enabled: true } } }
+  ]
+};
+
+module.exports = {
+  TRACKED_STOCKS
+};
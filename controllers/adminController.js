@@ -1,4 +1,7 @@
 const prisma = require('../config/database');
+const stockService = require('../services/stockService');
+const stockSubredditService = require('../services/stockSubredditService');
+const stockProfileService = require('../services/stockProfileService');
 
 const getAllStocks = async (req, res) => {
   try {
@@ -6,6 +9,9 @@ const getAllStocks = async (req, res) => {
       include: {
         _count: {
           select: { redditPosts: true }
+        },
+        subreddits: {
+          orderBy: { id: 'asc' }
         }
       },
       orderBy: { redditPosts: { _count: 'desc' } }
@@ -18,7 +24,9 @@ const getAllStocks = async (req, res) => {
         description: stock.description,
         displaySymbol: stock.displaySymbol,
         type: stock.type,
-        officialSubreddit: stock.officialSubreddit,
+        profile: stockProfileService.formatProfile(stock),
+        officialSubreddit: stockSubredditService.getOfficialSubreddit(stock.subreddits),
+        subreddits: stock.subreddits.map(stockSubreddit => stockSubreddit.name),
         postCount: stock._count.redditPosts,
         createdAt: stock.createdAt,
         updatedAt: stock.updatedAt
@@ -49,16 +57,14 @@ const updateStock = async (req, res) => {
       return res.status(404).json({ error: 'Stock not found' });
     }
 
-    const updatedStock = await prisma.stock.update({
-      where: { symbol: symbol.toUpperCase() },
-      data: {
-        officialSubreddit: officialSubreddit || null
-      }
-    });
+    const updatedOfficialSubreddit = await stockSubredditService.setOfficialSubreddit(
+      existingStock.id,
+      officialSubreddit || null
+    );
 
     res.json({
-      symbol: updatedStock.symbol,
-      officialSubreddit: updatedStock.officialSubreddit,
+      symbol: existingStock.symbol,
+      officialSubreddit: updatedOfficialSubreddit,
       updated: true
     });
   } catch (error) {
@@ -67,7 +73,19 @@ const updateStock = async (req, res) => {
   }
 };
 
+const purgeOrphanStocks = async (req, res) => {
+  try {
+    const dryRun = req.query.dryRun === 'true';
+    const result = await stockService.purgeOrphanStocks({ dryRun });
+    res.json(result);
+  } catch (error) {
+    console.error('Error in purgeOrphanStocks:', error);
+    res.status(500).json({ error: error.message || 'Internal server error' });
+  }
+};
+
 module.exports = {
   getAllStocks,
-  updateStock
+  updateStock,
+  purgeOrphanStocks
 };
@@ -0,0 +1,68 @@
+const commentFilterService = require('../services/commentFilterService');
+const { sendError } = require('../utils/httpErrors');
+
+const parseFilterId = (req) => {
+  const id = Number(req.params.id);
+  return Number.isInteger(id) && id > 0 ? id : null;
+};
+
+const listCommentFilters = async (req, res) => {
+  try {
+    const result = await commentFilterService.listCommentFilters();
+    res.json(result);
+  } catch (error) {
+    sendError(res, 'listCommentFilters', error);
+  }
+};
+
+const createCommentFilter = async (req, res) => {
+  try {
+    const filter = await commentFilterService.createCommentFilter(req.body || {});
+    res.status(201).json(filter);
+  } catch (error) {
+    sendError(res, 'createCommentFilter', error);
+  }
+};
+
+const updateCommentFilter = async (req, res) => {
+  try {
+    const id = parseFilterId(req);
+    if (!id) {
+      return res.status(400).json({ error: 'Invalid filter ID' });
+    }
+
+    const filter = await commentFilterService.updateCommentFilter(id, req.body || {});
+    if (!filter) {
+      return res.status(404).json({ error: 'Filter not found' });
+    }
+
+    res.json(filter);
+  } catch (error) {
+    sendError(res, 'updateCommentFilter', error);
+  }
+};
+
+const deleteCommentFilter = async (req, res) => {
+  try {
+    const id = parseFilterId(req);
+    if (!id) {
+      return res.status(400).json({ error: 'Invalid filter ID' });
+    }
+
+    const deleted = await commentFilterService.deleteCommentFilter(id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Filter not found' });
+    }
+
+    res.json({ id, deleted: true });
+  } catch (error) {
+    sendError(res, 'deleteCommentFilter', error);
+  }
+};
+
+module.exports = {
+  listCommentFilters,
+  createCommentFilter,
+  updateCommentFilter,
+  deleteCommentFilter
+};
@@ -1,7 +1,7 @@
 const healthService = require('../services/healthService');
 
 const getHealth = (req, res) => {
-  const result = healthService.getHealthStatus();
+  const result = healthService.getHealthStatus(req.app);
   res.json(result);
 };
 
@@ -0,0 +1,52 @@
+const jobQueueService = require('../services/jobQueueService');
+const { getJobStatus } = require('../jobs/jobWorker');
+const { sendError } = require('../utils/httpErrors');
+
+const parseJobId = (req) => {
+  const id = Number(req.params.id);
+  return Number.isInteger(id) && id > 0 ? id : null;
+};
+
+const listJobs = async (req, res) => {
+  try {
+    const { status, type } = req.query;
+    let limit;
+    if (req.query.limit !== undefined) {
+      limit = Number(req.query.limit);
+      if (!Number.isInteger(limit) || limit < 1 || limit > 500) {
+        return res.status(400).json({ error: 'limit must be an integer between 1 and 500' });
+      }
+    }
+
+    const [stats, jobs] = await Promise.all([
+      jobQueueService.getQueueStats(),
+      jobQueueService.listJobs({ status, type, limit })
+    ]);
+    res.json({ worker: getJobStatus(), stats, jobs });
+  } catch (error) {
+    sendError(res, 'listJobs', error);
+  }
+};
+
+const retryJob = async (req, res) => {
+  try {
+    const id = parseJobId(req);
+    if (!id) {
+      return res.status(400).json({ error: 'Invalid job ID' });
+    }
+
+    const job = await jobQueueService.retryDeadJob(id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json(job);
+  } catch (error) {
+    sendError(res, 'retryJob', error);
+  }
+};
+
+module.exports = {
+  listJobs,
+  retryJob
+};
@@ -0,0 +1,24 @@
+const postService = require('../services/postService');
+
+const getCommentTree = async (req, res) => {
+  try {
+    const { postId } = req.params;
+    if (!postId) {
+      return res.status(400).json({ error: 'Post ID is required' });
+    }
+
+    const result = await postService.getCommentTree(postId);
+    if (!result) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error in getCommentTree:', error);
+    res.status(500).json({ error: error.message || 'Internal server error' });
+  }
+};
+
+module.exports = {
+  getCommentTree
+};
@@ -0,0 +1,112 @@
+const jobRunService = require('../services/jobRunService');
+const { getActiveLeases } = require('../services/jobLeaseService');
+const { enqueueScheduledJobRun } = require('../services/jobQueueService');
+const { SCHEDULED_JOBS, getScheduledJob, jobWorker } = require('../jobs');
+const { INSTANCE_ID, INSTANCE_ROLE } = require('../config/instance');
+const { JOB_RUNS } = require('../config/jobQueue');
+const { sendError } = require('../utils/httpErrors');
+
+/**
+ * Live status of every scheduled job. `running` and `runningOn` come from the
+ * job's lease, and `lastRun` and `paused` are shared by all instances;
+ * `scheduled` and `runningHere` describe the instance that answers.
+ */
+const listScheduledJobs = async (req, res) => {
+  try {
+    const names = Object.keys(SCHEDULED_JOBS);
+    const [pauseStates, lastRuns, leases] = await Promise.all([
+      jobRunService.getPauseStates(),
+      jobRunService.getLastRuns(names),
+      getActiveLeases(names)
+    ]);
+
+    res.json({
+      instance: { id: INSTANCE_ID, role: INSTANCE_ROLE },
+      jobs: names.map(name => ({
+        ...SCHEDULED_JOBS[name].getStatus(),
+        running: Boolean(leases[name]),
+        runningOn: leases[name]?.owner || null,
+        paused: pauseStates[name]?.paused || false,
+        pausedAt: pauseStates[name]?.pausedAt || null,
+        lastRun: lastRuns[name]
+      })),
+      jobWorker: jobWorker.getJobStatus()
+    });
+  } catch (error) {
+    sendError(res, 'listScheduledJobs', error);
+  }
+};
+
+const listJobRuns = async (req, res) => {
+  try {
+    const { job, status, trigger } = req.query;
+    let limit;
+    if (req.query.limit !== undefined) {
+      limit = Number(req.query.limit);
+      if (!Number.isInteger(limit) || limit < 1 || limit > JOB_RUNS.MAX_LIST_LIMIT) {
+        return res.status(400).json({ error: `limit must be an integer between 1 and ${JOB_RUNS.MAX_LIST_LIMIT}` });
+      }
+    }
+
+    const runs = await jobRunService.listRuns({
+      jobNames: Object.keys(SCHEDULED_JOBS),
+      jobName: job,
+      status,
+      trigger,
+      limit
+    });
+    res.json({ runs });
+  } catch (error) {
+    sendError(res, 'listJobRuns', error);
+  }
+};
+
+const setPaused = (paused) => async (req, res) => {
+  try {
+    const job = getScheduledJob(req.params.name);
+    if (!job) {
+      return res.status(404).json({ error: 'Scheduled job not found' });
+    }
+
+    res.json(await jobRunService.setJobPaused(job.name, paused));
+  } catch (error) {
+    sendError(res, paused ? 'pauseScheduledJob' : 'resumeScheduledJob', error);
+  }
+};
+
+const pauseScheduledJob = setPaused(true);
+
+const resumeScheduledJob = setPaused(false);
+
+/**
+ * Queues a run (also for paused jobs) for the job worker, so it never runs in
+ * an API-only instance; poll GET /admin/scheduled-jobs/runs for the outcome.
+ */
+const runScheduledJob = async (req, res) => {
+  try {
+    const job = getScheduledJob(req.params.name);
+    if (!job) {
+      return res.status(404).json({ error: 'Scheduled job not found' });
+    }
+
+    const leases = await getActiveLeases([job.name]);
+    if (leases[job.name]) {
+      return res.status(409).json({ error: `Job is already running on instance ${leases[job.name].owner}` });
+    }
+    if (!(await enqueueScheduledJobRun(job.name))) {
+      return res.status(409).json({ error: 'A run of this job is already queued' });
+    }
+
+    res.status(202).json({ jobName: job.name, queued: true });
+  } catch (error) {
+    sendError(res, 'runScheduledJob', error);
+  }
+};
+
+module.exports = {
+  listScheduledJobs,
+  listJobRuns,
+  pauseScheduledJob,
+  resumeScheduledJob,
+  runScheduledJob
+};
@@ -0,0 +1,65 @@
+const sentimentLabelService = require('../services/sentimentLabelService');
+const sentimentEvaluationService = require('../services/sentimentEvaluationService');
+const { sendError } = require('../utils/httpErrors');
+
+const parseLabelId = (req) => {
+  const id = Number(req.params.id);
+  return Number.isInteger(id) && id > 0 ? id : null;
+};
+
+const listLabels = async (req, res) => {
+  try {
+    const labels = await sentimentLabelService.listLabels({ symbol: req.query.symbol });
+    res.json({ labels });
+  } catch (error) {
+    sendError(res, 'listLabels', error);
+  }
+};
+
+const saveLabel = async (req, res) => {
+  try {
+    const saved = await sentimentLabelService.saveLabel(req.body || {});
+    if (!saved) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    res.status(saved.created ? 201 : 200).json(saved.label);
+  } catch (error) {
+    sendError(res, 'saveLabel', error);
+  }
+};
+
+const deleteLabel = async (req, res) => {
+  try {
+    const id = parseLabelId(req);
+    if (!id) {
+      return res.status(400).json({ error: 'Invalid label ID' });
+    }
+
+    const deleted = await sentimentLabelService.deleteLabel(id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Label not found' });
+    }
+
+    res.json({ id, deleted: true });
+  } catch (error) {
+    sendError(res, 'deleteLabel', error);
+  }
+};
+
+const getEvaluationReport = async (req, res) => {
+  try {
+    const { provider, symbol } = req.query;
+    const report = await sentimentEvaluationService.evaluateLabels({ provider, symbol });
+    res.json(report);
+  } catch (error) {
+    sendError(res, 'getEvaluationReport', error);
+  }
+};
+
+module.exports = {
+  listLabels,
+  saveLabel,
+  deleteLabel,
+  getEvaluationReport
+};
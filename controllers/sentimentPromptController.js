@@ -0,0 +1,80 @@
+const sentimentPromptService = require('../services/sentimentPromptService');
+const sentimentService = require('../services/sentimentService');
+const { PROMPT_KINDS } = require('../config/sentimentPrompts');
+const { sendError } = require('../utils/httpErrors');
+
+const parsePromptId = (req) => {
+  const id = Number(req.params.id);
+  return Number.isInteger(id) && id > 0 ? id : null;
+};
+
+const listPrompts = async (req, res) => {
+  try {
+    const { kind } = req.query;
+    if (kind && !PROMPT_KINDS.includes(kind)) {
+      return res.status(400).json({ error: `kind must be one of: ${PROMPT_KINDS.join(', ')}` });
+    }
+
+    const prompts = await sentimentPromptService.listPrompts({ kind });
+    res.json({ prompts });
+  } catch (error) {
+    sendError(res, 'listPrompts', error);
+  }
+};
+
+const createPrompt = async (req, res) => {
+  try {
+    const prompt = await sentimentPromptService.createPrompt(req.body || {});
+    res.status(201).json(prompt);
+  } catch (error) {
+    sendError(res, 'createPrompt', error);
+  }
+};
+
+const activatePrompt = async (req, res) => {
+  try {
+    const id = parsePromptId(req);
+    if (!id) {
+      return res.status(400).json({ error: 'Invalid prompt ID' });
+    }
+
+    const prompt = await sentimentPromptService.activatePrompt(id);
+    if (!prompt) {
+      return res.status(404).json({ error: 'Prompt not found' });
+    }
+
+    res.json(prompt);
+  } catch (error) {
+    sendError(res, 'activatePrompt', error);
+  }
+};
+
+const evaluatePrompt = async (req, res) => {
+  try {
+    const id = parsePromptId(req);
+    if (!id) {
+      return res.status(400).json({ error: 'Invalid prompt ID' });
+    }
+
+    const { sampleSize, symbol } = req.body || {};
+    if (sampleSize !== undefined && (!Number.isInteger(sampleSize) || sampleSize < 1)) {
+      return res.status(400).json({ error: 'sampleSize must be a positive integer' });
+    }
+
+    const evaluation = await sentimentService.evaluatePrompt(id, { sampleSize, symbol });
+    if (!evaluation) {
+      return res.status(404).json({ error: 'Prompt not found' });
+    }
+
+    res.json(evaluation);
+  } catch (error) {
+    sendError(res, 'evaluatePrompt', error);
+  }
+};
+
+module.exports = {
+  listPrompts,
+  createPrompt,
+  activatePrompt,
+  evaluatePrompt
+};
@@ -0,0 +1,48 @@
+const settingsService = require('../services/settingsService');
+const { sendError } = require('../utils/httpErrors');
+
+const listSettings = async (req, res) => {
+  try {
+    const settings = await settingsService.listSettings();
+    res.json({ settings });
+  } catch (error) {
+    sendError(res, 'listSettings', error);
+  }
+};
+
+const updateSetting = async (req, res) => {
+  try {
+    const body = req.body || {};
+    if (!Object.prototype.hasOwnProperty.call(body, 'value')) {
+      return res.status(400).json({ error: 'value is required' });
+    }
+
+    const setting = await settingsService.updateSetting(req.params.key, body.value);
+    if (!setting) {
+      return res.status(404).json({ error: 'Setting not found' });
+    }
+
+    res.json(setting);
+  } catch (error) {
+    sendError(res, 'updateSetting', error);
+  }
+};
+
+const resetSetting = async (req, res) => {
+  try {
+    const setting = await settingsService.resetSetting(req.params.key);
+    if (!setting) {
+      return res.status(404).json({ error: 'Setting not found' });
+    }
+
+    res.json(setting);
+  } catch (error) {
+    sendError(res, 'resetSetting', error);
+  }
+};
+
+module.exports = {
+  listSettings,
+  updateSetting,
+  resetSetting
+};
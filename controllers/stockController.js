@@ -1,4 +1,11 @@
 const stockService = require('../services/stockService');
+const sentimentHistoryService = require('../services/sentimentHistoryService');
+const priceService = require('../services/priceService');
+const stockAnalyticsService = require('../services/stockAnalyticsService');
+const { HISTORY } = require('../config/sentiment');
+const { CANDLE_RESOLUTIONS, PRICE_RESPONSE, ANALYTICS } = require('../config/prices');
+const { TIME } = require('../config/redditScraper');
+const { sendError } = require('../utils/httpErrors');
 
 const getStock = async (req, res) => {
   try {
@@ -9,9 +16,11 @@ const getStock = async (req, res) => {
     const result = await stockService.getStockByParam(param);
     res.json(result);
   } catch (error) {
-    console.error('Error in getStock:', error);
-    // Return 500 instead of crashing
-    res.status(500).json({ error: error.message || 'Internal server error' });
+    if (error.statusCode === 404) {
+      return res.status(404).json({ error: error.message, suggestions: error.suggestions || [] });
+    }
+    // 503 while the ticker can't be validated; anything else is a 500
+    sendError(res, 'getStock', error);
   }
 };
 
@@ -47,8 +56,140 @@ const searchStock = async (req, res) => {
   }
 };
 
+const getSentimentHistory = async (req, res) => {
+  try {
+    const param = req.params.param;
+    if (!param) {
+      return res.status(400).json({ error: 'Stock parameter is required' });
+    }
+
+    const interval = req.query.interval || HISTORY.DEFAULT_INTERVAL;
+    const intervalConfig = HISTORY.INTERVALS[interval];
+    if (!intervalConfig) {
+      return res.status(400).json({
+        error: `Invalid interval. Must be one of: ${Object.keys(HISTORY.INTERVALS).join(', ')}`
+      });
+    }
+
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from
+      ? new Date(req.query.from)
+      : new Date(to.getTime() - intervalConfig.defaultWindowMs);
+
+    if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+      return res.status(400).json({ error: 'from and to must be valid dates' });
+    }
+    if (from >= to) {
+      return res.status(400).json({ error: 'from must be before to' });
+    }
+    if ((to.getTime() - from.getTime()) / intervalConfig.bucketMs > HISTORY.MAX_BUCKETS) {
+      return res.status(400).json({
+        error: `Range too large for ${interval} interval (max ${HISTORY.MAX_BUCKETS} buckets)`
+      });
+    }
+
+    const result = await sentimentHistoryService.getSentimentHistory(param, { interval, from, to });
+    if (!result) {
+      return res.status(404).json({ error: 'Stock not found' });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error in getSentimentHistory:', error);
+    res.status(500).json({ error: error.message || 'Internal server error' });
+  }
+};
+
+const getStockPrice = async (req, res) => {
+  try {
+    const param = req.params.param;
+    if (!param) {
+      return res.status(400).json({ error: 'Stock parameter is required' });
+    }
+
+    const resolution = req.query.resolution || PRICE_RESPONSE.DEFAULT_RESOLUTION;
+    if (!CANDLE_RESOLUTIONS[resolution]) {
+      return res.status(400).json({
+        error: `Invalid resolution. Must be one of: ${Object.keys(CANDLE_RESOLUTIONS).join(', ')}`
+      });
+    }
+
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from
+      ? new Date(req.query.from)
+      : new Date(to.getTime() - PRICE_RESPONSE.DEFAULT_DAYS * TIME.MS_PER_DAY);
+
+    if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+      return res.status(400).json({ error: 'from and to must be valid dates' });
+    }
+    if (from >= to) {
+      return res.status(400).json({ error: 'from must be before to' });
+    }
+    if (to.getTime() - from.getTime() > PRICE_RESPONSE.MAX_DAYS * TIME.MS_PER_DAY) {
+      return res.status(400).json({ error: `Range too large (max ${PRICE_RESPONSE.MAX_DAYS} days)` });
+    }
+
+    const result = await priceService.getStockPrice(param, { resolution, from, to });
+    if (!result) {
+      return res.status(404).json({ error: 'Stock not found' });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error in getStockPrice:', error);
+    res.status(500).json({ error: error.message || 'Internal server error' });
+  }
+};
+
+const getStockAnalytics = async (req, res) => {
+  try {
+    const param = req.params.param;
+    if (!param) {
+      return res.status(400).json({ error: 'Stock parameter is required' });
+    }
+
+    const interval = req.query.interval || HISTORY.DEFAULT_INTERVAL;
+    const intervalConfig = HISTORY.INTERVALS[interval];
+    if (!intervalConfig) {
+      return res.status(400).json({
+        error: `Invalid interval. Must be one of: ${Object.keys(HISTORY.INTERVALS).join(', ')}`
+      });
+    }
+
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from
+      ? new Date(req.query.from)
+      : new Date(to.getTime() - ANALYTICS.DEFAULT_WINDOW_MS[interval]);
+
+    if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+      return res.status(400).json({ error: 'from and to must be valid dates' });
+    }
+    if (from >= to) {
+      return res.status(400).json({ error: 'from must be before to' });
+    }
+    if ((to.getTime() - from.getTime()) / intervalConfig.bucketMs > HISTORY.MAX_BUCKETS) {
+      return res.status(400).json({
+        error: `Range too large for ${interval} interval (max ${HISTORY.MAX_BUCKETS} buckets)`
+      });
+    }
+
+    const result = await stockAnalyticsService.getStockAnalytics(param, { interval, from, to });
+    if (!result) {
+      return res.status(404).json({ error: 'Stock not found' });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error in getStockAnalytics:', error);
+    res.status(500).json({ error: error.message || 'Internal server error' });
+  }
+};
+
 module.exports = {
   getStock,
-  searchStock
+  searchStock,
+  getSentimentHistory,
+  getStockPrice,
+  getStockAnalytics
 };
 
@@ -0,0 +1,76 @@
+const stockSubredditService = require('../services/stockSubredditService');
+const { sendError } = require('../utils/httpErrors');
+
+const parseSubredditId = (req) => {
+  const id = Number(req.params.id);
+  return Number.isInteger(id) && id > 0 ? id : null;
+};
+
+const listStockSubreddits = async (req, res) => {
+  try {
+    const result = await stockSubredditService.listStockSubreddits(req.params.symbol);
+    if (!result) {
+      return res.status(404).json({ error: 'Stock not found' });
+    }
+
+    res.json(result);
+  } catch (error) {
+    sendError(res, 'listStockSubreddits', error);
+  }
+};
+
+const addStockSubreddit = async (req, res) => {
+  try {
+    const stockSubreddit = await stockSubredditService.addStockSubreddit(req.params.symbol, req.body || {});
+    if (!stockSubreddit) {
+      return res.status(404).json({ error: 'Stock not found' });
+    }
+
+    res.status(201).json(stockSubreddit);
+  } catch (error) {
+    sendError(res, 'addStockSubreddit', error);
+  }
+};
+
+const updateStockSubreddit = async (req, res) => {
+  try {
+    const id = parseSubredditId(req);
+    if (!id) {
+      return res.status(400).json({ error: 'Invalid subreddit ID' });
+    }
+
+    const stockSubreddit = await stockSubredditService.updateStockSubreddit(req.params.symbol, id, req.body || {});
+    if (!stockSubreddit) {
+      return res.status(404).json({ error: 'Stock or subreddit not found' });
+    }
+
+    res.json(stockSubreddit);
+  } catch (error) {
+    sendError(res, 'updateStockSubreddit', error);
+  }
+};
+
+const removeStockSubreddit = async (req, res) => {
+  try {
+    const id = parseSubredditId(req);
+    if (!id) {
+      return res.status(400).json({ error: 'Invalid subreddit ID' });
+    }
+
+    const removed = await stockSubredditService.removeStockSubreddit(req.params.symbol, id);
+    if (!removed) {
+      return res.status(404).json({ error: 'Stock or subreddit not found' });
+    }
+
+    res.json({ id, deleted: true });
+  } catch (error) {
+    sendError(res, 'removeStockSubreddit', error);
+  }
+};
+
+module.exports = {
+  listStockSubreddits,
+  addStockSubreddit,
+  updateStockSubreddit,
+  removeStockSubreddit
+};
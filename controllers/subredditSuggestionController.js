@@ -0,0 +1,88 @@
+const prisma = require('../config/database');
+const subredditDiscoveryService = require('../services/subredditDiscoveryService');
+
+const SUGGESTION_STATUSES = ['pending', 'accepted', 'rejected'];
+
+const parseSuggestionId = (req) => {
+  const id = Number(req.params.id);
+  return Number.isInteger(id) && id > 0 ? id : null;
+};
+
+const listSuggestions = async (req, res) => {
+  try {
+    const { status, symbol } = req.query;
+    if (status && !SUGGESTION_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${SUGGESTION_STATUSES.join(', ')}` });
+    }
+
+    const suggestions = await subredditDiscoveryService.listSuggestions({ status, symbol });
+    res.json({ suggestions });
+  } catch (error) {
+    console.error('Error in listSuggestions:', error);
+    res.status(500).json({ error: error.message || 'Internal server error' });
+  }
+};
+
+const acceptSuggestion = async (req, res) => {
+  try {
+    const id = parseSuggestionId(req);
+    if (!id) {
+      return res.status(400).json({ error: 'Invalid suggestion ID' });
+    }
+
+    const suggestion = await subredditDiscoveryService.acceptSuggestion(id);
+    if (!suggestion) {
+      return res.status(404).json({ error: 'Suggestion not found' });
+    }
+
+    res.json(suggestion);
+  } catch (error) {
+    console.error('Error in acceptSuggestion:', error);
+    res.status(500).json({ error: error.message || 'Internal server error' });
+  }
+};
+
+const rejectSuggestion = async (req, res) => {
+  try {
+    const id = parseSuggestionId(req);
+    if (!id) {
+      return res.status(400).json({ error: 'Invalid suggestion ID' });
+    }
+
+    const suggestion = await subredditDiscoveryService.rejectSuggestion(id);
+    if (!suggestion) {
+      return res.status(404).json({ error: 'Suggestion not found' });
+    }
+
+    res.json(suggestion);
+  } catch (error) {
+    console.error('Error in rejectSuggestion:', error);
+    res.status(500).json({ error: error.message || 'Internal server error' });
+  }
+};
+
+const discoverSubreddit = async (req, res) => {
+  try {
+    const { symbol } = req.params;
+    const stock = await prisma.stock.findUnique({
+      where: { symbol: symbol.toUpperCase() }
+    });
+
+    if (!stock) {
+      return res.status(404).json({ error: 'Stock not found' });
+    }
+
+    const suggestion = await subredditDiscoveryService.discoverOfficialSubreddit(stock);
+    res.json({ symbol: stock.symbol, suggestion });
+  } catch (error) {
+    console.error('Error in discoverSubreddit:', error);
+    res.status(500).json({ error: error.message || 'Internal server error' });
+  }
+};
+
+module.exports = {
+  listSuggestions,
+  acceptSuggestion,
+  rejectSuggestion,
+  discoverSubreddit
+};
@@ -8,6 +8,52 @@
 const redditScraperJob = require('./redditScraperJob');
 const sentimentAnalysisJob = require('./sentimentAnalysisJob');
 const subredditScraperJob = require('./subredditScraperJob');
+const priceIngestionJob = require('./priceIngestionJob');
+const stockProfileJob = require('./stockProfileJob');
+const jobWorker = require('./jobWorker');
+const { JOB_RUNS } = require('../config/jobQueue');
+
+/**
+ * Scheduled jobs by name (job_runs.jobName)
+ */
+const SCHEDULED_JOBS = Object.fromEntries(
+  [redditScraperJob, sentimentAnalysisJob, subredditScraperJob, priceIngestionJob, stockProfileJob]
+    .map(({ job }) => [job.name, job])
+);
+
+/**
+ * Gets a scheduled job by name
+ * @param {string} name - Job name (e.g. "reddit-scraper")
+ * @returns {Object|null}
+ */
+const getScheduledJob = (name) => SCHEDULED_JOBS[name] || null;
+
+/**
+ * Runs a scheduled job for a queued manual run (run-scheduled-job jobs).
+ * A run that fails is recorded in job_runs and thrown, so the queued job fails too.
+ *
+ * @param {string} name - Job name
+ * @returns {Promise<Object>} - Summary of the run
+ * @throws {Error} - If the job is unknown, could not start or failed
+ */
+const runQueuedScheduledJob = async (name) => {
+  const job = getScheduledJob(name);
+  if (!job) {
+    throw new Error(`Unknown scheduled job: ${name}`);
+  }
+
+  const outcome = await job.runNow();
+  if (outcome.error) {
+    throw outcome.error;
+  }
+  if (!outcome.started) {
+    throw new Error(`Job ${name} did not start (${outcome.reason})`);
+  }
+  if (outcome.run.status === JOB_RUNS.STATUS.FAILED) {
+    throw new Error(outcome.run.error || `Job ${name} failed`);
+  }
+  return { runId: outcome.run.id, itemsProcessed: outcome.run.itemsProcessed };
+};
 
 /**
  * Starts all scheduled jobs
@@ -16,6 +62,9 @@ const startAllJobs = () => {
   redditScraperJob.startRedditScraperJob();
   sentimentAnalysisJob.startSentimentAnalysisJob();
   subredditScraperJob.startSubredditScraperJob();
+  priceIngestionJob.startPriceIngestionJob();
+  stockProfileJob.startStockProfileJob();
+  jobWorker.startJobWorker();
 };
 
 /**
@@ -25,6 +74,9 @@ const stopAllJobs = () => {
   redditScraperJob.stopRedditScraperJob();
   sentimentAnalysisJob.stopSentimentAnalysisJob();
   subredditScraperJob.stopSubredditScraperJob();
+  priceIngestionJob.stopPriceIngestionJob();
+  stockProfileJob.stopStockProfileJob();
+  jobWorker.stopJobWorker();
 };
 
 /**
@@ -34,7 +86,10 @@ const getAllJobsStatus = () => {
   return {
     redditScraper: redditScraperJob.getJobStatus(),
     sentimentAnalysis: sentimentAnalysisJob.getJobStatus(),
-    subredditScraper: subredditScraperJob.getJobStatus()
+    subredditScraper: subredditScraperJob.getJobStatus(),
+    priceIngestion: priceIngestionJob.getJobStatus(),
+    stockProfile: stockProfileJob.getJobStatus(),
+    jobWorker: jobWorker.getJobStatus()
   };
 };
 
@@ -42,8 +97,14 @@ module.exports = {
   startAllJobs,
   stopAllJobs,
   getAllJobsStatus,
+  SCHEDULED_JOBS,
+  getScheduledJob,
+  runQueuedScheduledJob,
   redditScraperJob,
   sentimentAnalysisJob,
-  subredditScraperJob
+  subredditScraperJob,
+  priceIngestionJob,
+  stockProfileJob,
+  jobWorker
 };
 
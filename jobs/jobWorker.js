@@ -0,0 +1,187 @@
+/**
+ * Job Queue Worker
+ *
+ * Polls the jobs table and runs due jobs with bounded concurrency. Jobs are
+ * claimed atomically, so several processes can run workers side by side.
+ * A running job's lock is renewed every HEARTBEAT_INTERVAL_MS; stale locks
+ * (left by a process that died mid-job) are reclaimed and old completed and dead jobs
+ * purged once per RECLAIM_INTERVAL_MS.
+ */
+
+const { JOB_WORKER } = require('../config/jobQueue');
+const { INSTANCE_ID } = require('../config/instance');
+const {
+  claimNextJob,
+  renewJobLock,
+  completeJob,
+  failJob,
+  reclaimStaleJobs,
+  purgeFinishedJobs
+} = require('../services/jobQueueService');
+const { getJobHandler } = require('../services/jobHandlers');
+
+const workerId = INSTANCE_ID;
+
+let pollTimer = null;
+let lastReclaimAt = 0;
+let activeJobs = 0;
+let processedJobs = 0;
+let failedJobs = 0;
+let isPolling = false; // Lock flag to prevent overlapping polls
+
+/**
+ * Runs one claimed job and records the outcome.
+ *
+ * @param {Object} job - Claimed job
+ * @returns {Promise<boolean>} - True if the job succeeded
+ */
+const runJob = async (job) => {
+  const startTime = Date.now();
+  const handler = getJobHandler(job.type);
+
+  // Keep the lock fresh so long jobs (backfills, big threads) aren't reclaimed mid-run
+  const heartbeat = setInterval(() => {
+    renewJobLock(job)
+      .then(locked => {
+        if (!locked) {
+          console.warn(`[Jobs] ${job.type} #${job.id} lost its lock while running`);
+        }
+      })
+      .catch(error => console.error(`[Jobs] Lock renewal failed for ${job.type} #${job.id}:`, error.message));
+  }, JOB_WORKER.HEARTBEAT_INTERVAL_MS);
+
+  try {
+    if (!handler) {
+      throw new Error(`No handler for job type ${job.type}`);
+    }
+    const result = await handler(job.payload || {});
+    await completeJob(job);
+    processedJobs++;
+    console.log(`[Jobs] ${job.type} #${job.id} completed in ${((Date.now() - startTime) / 1000).toFixed(2)}s`,
+      result && typeof result === 'object' ? JSON.stringify(result) : '');
+    return true;
+  } catch (error) {
+    failedJobs++;
+    const retry = await failJob(job, error);
+    console.error(`[Jobs] ${job.type} #${job.id} failed (attempt ${job.attempts}/${job.maxAttempts}, ` +
+      `${retry ? 'will retry' : 'dead-lettered'}):`, error.message);
+    return false;
+  } finally {
+    clearInterval(heartbeat);
+  }
+};
+
+/**
+ * Reclaims stale jobs and purges old completed and dead ones, at most once per RECLAIM_INTERVAL_MS.
+ */
+const maintainQueue = async () => {
+  if (Date.now() - lastReclaimAt < JOB_WORKER.RECLAIM_INTERVAL_MS) {
+    return;
+  }
+  lastReclaimAt = Date.now();
+  await reclaimStaleJobs();
+  await purgeFinishedJobs();
+};
+
+/**
+ * Claims due jobs up to the concurrency limit and starts them (not awaited).
+ */
+const poll = async () => {
+  if (isPolling) {
+    return;
+  }
+  isPolling = true;
+
+  try {
+    await maintainQueue();
+
+    while (activeJobs < JOB_WORKER.CONCURRENCY) {
+      const job = await claimNextJob(workerId);
+      if (!job) break;
+
+      activeJobs++;
+      // runJob only rejects if recording the failure itself failed (the lock then expires and the job is reclaimed)
+      runJob(job)
+        .catch(error => console.error(`[Jobs] ${job.type} #${job.id} could not be recorded:`, error.message))
+        .finally(() => {
+          activeJobs--;
+        });
+    }
+  } catch (error) {
+    console.error('[Jobs] Worker poll failed:', error.message);
+  } finally {
+    isPolling = false;
+  }
+};
+
+/**
+ * Starts polling the job queue.
+ *
+ * @returns {Object} The poll timer
+ */
+const startJobWorker = () => {
+  if (pollTimer) {
+    return pollTimer;
+  }
+
+  console.log(`Starting job worker ${workerId} (concurrency ${JOB_WORKER.CONCURRENCY})`);
+  pollTimer = setInterval(poll, JOB_WORKER.POLL_INTERVAL_MS);
+  return pollTimer;
+};
+
+/**
+ * Stops polling. Jobs that are already running finish on their own.
+ */
+const stopJobWorker = () => {
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+    console.log('Job worker stopped');
+  }
+};
+
+/**
+ * Runs due jobs one at a time until none are left (used by scripts).
+ *
+ * @param {Object} [options]
+ * @param {string[]} [options.types] - Only run jobs of these types
+ * @returns {Promise<{succeeded: number, failed: number}>}
+ */
+const drainJobs = async ({ types } = {}) => {
+  const result = { succeeded: 0, failed: 0 };
+  await reclaimStaleJobs();
+
+  let job = await claimNextJob(workerId, { types });
+  while (job) {
+    if (await runJob(job)) {
+      result.succeeded++;
+    } else {
+      result.failed++;
+    }
+    job = await claimNextJob(workerId, { types });
+  }
+
+  return result;
+};
+
+/**
+ * Gets the current status of the worker
+ * @returns {Object} Worker status information
+ */
+const getJobStatus = () => {
+  return {
+    running: pollTimer !== null,
+    workerId,
+    concurrency: JOB_WORKER.CONCURRENCY,
+    activeJobs,
+    processedJobs,
+    failedJobs
+  };
+};
+
+module.exports = {
+  startJobWorker,
+  stopJobWorker,
+  drainJobs,
+  getJobStatus
+};
@@ -0,0 +1,32 @@
+/**
+ * Price Ingestion Scheduled Job
+ *
+ * Scheduled job that fetches Finnhub quotes and candles for tracked stocks at configured intervals.
+ * Runs are locked per instance and leased across instances, and recorded in
+ * job_runs (see scheduledJob.js).
+ */
+
+const { updateAllStockPrices } = require('../services/priceService');
+const { createScheduledJob } = require('./scheduledJob');
+
+const priceIngestionJob = createScheduledJob({
+  name: 'price-ingestion',
+  label: 'Price ingestion',
+  configKey: 'PRICE_INGESTION',
+  work: async () => {
+    const result = await updateAllStockPrices();
+    return {
+      itemsProcessed: result.stocks,
+      errorCount: result.failed.length,
+      details: result
+    };
+  }
+});
+
+module.exports = {
+  job: priceIngestionJob,
+  startPriceIngestionJob: priceIngestionJob.start,
+  stopPriceIngestionJob: priceIngestionJob.stop,
+  runPriceIngestionJob: priceIngestionJob.runNow,
+  getJobStatus: priceIngestionJob.getStatus
+};
@@ -0,0 +1,192 @@
+/**
+ * Scheduled Job Factory
+ *
+ * Builds a cron job around a unit of work. Each run:
+ * - is skipped while the previous run on this instance is still going (lock flag)
+ * - is skipped for cron runs while the job is paused (on any instance)
+ * - holds the job's database lease, so only one instance runs it at a time
+ * - is recorded in job_runs with its trigger (cron or manual)
+ * The cron schedule comes from the job's schedule setting, and the job is
+ * rescheduled when the setting changes.
+ */
+
+const cron = require('node-cron');
+const schedulerConfig = require('../config/scheduler');
+const { JOB_RUNS } = require('../config/jobQueue');
+const { withLease } = require('../services/jobLeaseService');
+const { hasRecentCronRun, recordRun, isJobPaused } = require('../services/jobRunService');
+const { getSetting, onSettingChange } = require('../services/settingsService');
+const { scheduleSettingKey } = require('../config/settings');
+
+/**
+ * Why a run did not start.
+ */
+const SKIP_REASONS = {
+  RUNNING: 'running',       // Previous run on this instance still in progress
+  PAUSED: 'paused',
+  LEASED: 'leased',         // Running on another instance
+  DUPLICATE: 'duplicate'    // Another instance already ran this cron tick
+};
+
+/**
+ * Creates a scheduled job.
+ *
+ * @param {Object} options
+ * @param {string} options.name - Job name (lease name and job_runs.jobName)
+ * @param {string} options.label - Name used in log messages
+ * @param {string} options.configKey - Key of the job's entry in config/scheduler.js (enabled flag, timezone)
+ * @param {Function} options.work - Async function returning { itemsProcessed, errorCount, details }
+ * @returns {Object} The job (start, stop, runNow, getStatus)
+ */
+const createScheduledJob = ({ name, label, configKey, work }) => {
+  const scheduleKey = scheduleSettingKey(name);
+  let task = null;
+  let schedule = null;
+  let isRunning = false; // Lock flag to prevent concurrent executions
+
+  /**
+   * Runs the job once.
+   *
+   * @param {string} trigger - JOB_RUNS.TRIGGERS value
+   * @returns {Promise<{started: boolean, reason?: string, run?: Object, error?: Error}>}
+   */
+  const run = async (trigger) => {
+    // Check if job is already running
+    if (isRunning) {
+      console.log(`[${new Date().toISOString()}] ${label} job skipped - previous job still running`);
+      return { started: false, reason: SKIP_REASONS.RUNNING };
+    }
+
+    // Set lock flag
+    isRunning = true;
+    const startTime = new Date();
+
+    try {
+      if (trigger === JOB_RUNS.TRIGGERS.CRON && await isJobPaused(name)) {
+        console.log(`[${startTime.toISOString()}] ${label} job skipped - paused`);
+        return { started: false, reason: SKIP_REASONS.PAUSED };
+      }
+
+      const { acquired, result } = await withLease(name, async () => {
+        if (trigger === JOB_RUNS.TRIGGERS.CRON && await hasRecentCronRun(name)) {
+          return null;
+        }
+        console.log(`\n[${startTime.toISOString()}] ${label} job started (${trigger})`);
+        return recordRun(name, trigger, work);
+      });
+
+      const endTime = new Date();
+      if (!acquired || !result) {
+        console.log(`[${endTime.toISOString()}] ${label} job skipped - run held by another instance`);
+        return { started: false, reason: acquired ? SKIP_REASONS.DUPLICATE : SKIP_REASONS.LEASED };
+      }
+
+      const duration = ((endTime - startTime) / 1000).toFixed(2);
+      if (result.status === JOB_RUNS.STATUS.FAILED) {
+        console.error(`[${endTime.toISOString()}] ${label} job failed after ${duration}s:`, result.error);
+      } else {
+        console.log(`[${endTime.toISOString()}] ${label} job completed in ${duration}s\n`);
+      }
+      return { started: true, run: result };
+    } catch (error) {
+      const endTime = new Date();
+      console.error(`[${endTime.toISOString()}] ${label} job failed:`, error);
+      // Don't throw - let the job continue running for next iteration
+      return { started: false, error };
+    } finally {
+      // Always release lock flag, even if error occurred
+      isRunning = false;
+    }
+  };
+
+  /**
+   * Runs the job once now (manual trigger) and waits for it to finish.
+   */
+  const runNow = () => run(JOB_RUNS.TRIGGERS.MANUAL);
+
+  /**
+   * Creates the cron task for a schedule
+   */
+  const createTask = (expression) => {
+    schedule = expression;
+    task = cron.schedule(
+      expression,
+      () => run(JOB_RUNS.TRIGGERS.CRON),
+      {
+        scheduled: true,
+        timezone: schedulerConfig[configKey].timezone || undefined
+      }
+    );
+  };
+
+  /**
+   * Starts the cron job
+   * @returns {Object|null} The cron job instance, or null if disabled
+   */
+  const start = () => {
+    if (!schedulerConfig[configKey].enabled) {
+      console.log(`${label} job is disabled`);
+      return null;
+    }
+    if (task) {
+      return task;
+    }
+
+    const expression = getSetting(scheduleKey);
+    console.log(`Starting ${label} job with schedule: ${expression}`);
+    createTask(expression);
+
+    return task;
+  };
+
+  // Reschedule a started job when its schedule setting changes
+  onSettingChange(scheduleKey, (expression) => {
+    if (!task) {
+      return;
+    }
+    task.destroy();
+    createTask(expression);
+    console.log(`${label} job rescheduled: ${expression}`);
+  });
+
+  /**
+   * Stops the cron job
+   */
+  const stop = () => {
+    if (task) {
+      task.destroy();
+      console.log(`${label} job stopped`);
+      task = null;
+      schedule = null;
+    }
+  };
+
+  /**
+   * Gets the current status of the job on this instance (runningHere is only
+   * true for a run started by this instance; see the job's lease for others)
+   * @returns {Object} Job status information
+   */
+  const getStatus = () => {
+    return {
+      name,
+      runningHere: isRunning,
+      scheduled: task !== null,
+      schedule: schedule || getSetting(scheduleKey),
+      nextRunAt: task ? task.getNextRun() : null,
+      enabled: schedulerConfig[configKey].enabled
+    };
+  };
+
+  return {
+    name,
+    start,
+    stop,
+    runNow,
+    getStatus
+  };
+};
+
+module.exports = {
+  SKIP_REASONS,
+  createScheduledJob
+};
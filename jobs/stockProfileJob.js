@@ -0,0 +1,32 @@
+/**
+ * Stock Profile Scheduled Job
+ *
+ * Scheduled job that refreshes company profiles of tracked stocks at configured intervals.
+ * Runs are locked per instance and leased across instances, and recorded in
+ * job_runs (see scheduledJob.js).
+ */
+
+const { refreshStockProfiles } = require('../services/stockProfileService');
+const { createScheduledJob } = require('./scheduledJob');
+
+const stockProfileJob = createScheduledJob({
+  name: 'stock-profile-refresh',
+  label: 'Stock profile',
+  configKey: 'STOCK_PROFILE_REFRESH',
+  work: async () => {
+    const result = await refreshStockProfiles();
+    return {
+      itemsProcessed: result.checked,
+      errorCount: result.failed.length,
+      details: result
+    };
+  }
+});
+
+module.exports = {
+  job: stockProfileJob,
+  startStockProfileJob: stockProfileJob.start,
+  stopStockProfileJob: stockProfileJob.stop,
+  runStockProfileJob: stockProfileJob.runNow,
+  getJobStatus: stockProfileJob.getStatus
+};
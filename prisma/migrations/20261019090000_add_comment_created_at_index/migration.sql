@@ -0,0 +1,2 @@
+-- CreateIndex
+CREATE INDEX "reddit_comments_createdAtUtc_idx" ON "reddit_comments"("createdAtUtc");
@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "reddit_comments" ADD COLUMN     "sentimentModel" TEXT,
+ADD COLUMN     "sentimentProvider" TEXT;
+
+-- Backfill: every comment analyzed so far was scored by OpenAI gpt-4o-mini
+UPDATE "reddit_comments" SET "sentimentProvider" = 'openai', "sentimentModel" = 'gpt-4o-mini' WHERE "sentToAIAt" IS NOT NULL;
@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "reddit_comments" ADD COLUMN     "author" TEXT,
+ADD COLUMN     "depth" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "parentRedditId" TEXT;
@@ -0,0 +1,21 @@
+-- CreateTable
+CREATE TABLE "comment_filters" (
+    "id" SERIAL NOT NULL,
+    "stockId" INTEGER,
+    "subreddit" TEXT,
+    "minAbsScore" INTEGER,
+    "minLength" INTEGER,
+    "authorBlocklist" TEXT[],
+    "excludePatterns" TEXT[],
+    "minAuthorKarma" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "comment_filters_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "comment_filters_stockId_subreddit_key" ON "comment_filters"("stockId", "subreddit");
+
+-- AddForeignKey
+ALTER TABLE "comment_filters" ADD CONSTRAINT "comment_filters_stockId_fkey" FOREIGN KEY ("stockId") REFERENCES "stocks"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,32 @@
+-- CreateTable
+CREATE TABLE "stock_subreddits" (
+    "id" SERIAL NOT NULL,
+    "stockId" INTEGER NOT NULL,
+    "name" TEXT NOT NULL,
+    "listing" TEXT NOT NULL DEFAULT 'hot',
+    "limit" INTEGER NOT NULL DEFAULT 25,
+    "keyword" TEXT,
+    "includeStickied" BOOLEAN NOT NULL DEFAULT false,
+    "isOfficial" BOOLEAN NOT NULL DEFAULT false,
+    "enabled" BOOLEAN NOT NULL DEFAULT true,
+    "lastScrapedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "stock_subreddits_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "stock_subreddits_stockId_name_key" ON "stock_subreddits"("stockId", "name");
+
+-- AddForeignKey
+ALTER TABLE "stock_subreddits" ADD CONSTRAINT "stock_subreddits_stockId_fkey" FOREIGN KEY ("stockId") REFERENCES "stocks"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Backfill: each configured officialSubreddit becomes an official hot listing
+INSERT INTO "stock_subreddits" ("stockId", "name", "isOfficial", "updatedAt")
+SELECT "id", lower(regexp_replace(trim("officialSubreddit"), '^/?r/', '', 'i')), true, CURRENT_TIMESTAMP
+FROM "stocks"
+WHERE "officialSubreddit" IS NOT NULL AND trim("officialSubreddit") <> '';
+
+-- AlterTable
+ALTER TABLE "stocks" DROP COLUMN "officialSubreddit";
@@ -0,0 +1,27 @@
+-- AlterTable
+ALTER TABLE "stocks" ADD COLUMN     "subredditDiscoveredAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "subreddit_suggestions" (
+    "id" SERIAL NOT NULL,
+    "stockId" INTEGER NOT NULL,
+    "name" TEXT NOT NULL,
+    "title" TEXT,
+    "subscribers" INTEGER,
+    "score" DOUBLE PRECISION NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "reviewedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "subreddit_suggestions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "subreddit_suggestions_status_idx" ON "subreddit_suggestions"("status");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "subreddit_suggestions_stockId_name_key" ON "subreddit_suggestions"("stockId", "name");
+
+-- AddForeignKey
+ALTER TABLE "subreddit_suggestions" ADD CONSTRAINT "subreddit_suggestions_stockId_fkey" FOREIGN KEY ("stockId") REFERENCES "stocks"("id") ON DELETE CASCADE ON UPDATE CASCADE;
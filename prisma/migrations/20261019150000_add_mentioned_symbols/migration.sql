@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "reddit_comments" ADD COLUMN     "mentionedSymbols" TEXT[];
+
+-- AlterTable
+ALTER TABLE "reddit_posts" ADD COLUMN     "mentionedSymbols" TEXT[];
+
+-- CreateIndex
+CREATE INDEX "reddit_comments_mentionedSymbols_idx" ON "reddit_comments" USING GIN ("mentionedSymbols");
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "stock_subreddits" ADD COLUMN     "maxPages" INTEGER NOT NULL DEFAULT 1,
+ADD COLUMN     "timeframe" TEXT;
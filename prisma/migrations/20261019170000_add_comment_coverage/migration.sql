@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "reddit_posts" ADD COLUMN     "commentCoverage" DOUBLE PRECISION,
+ADD COLUMN     "commentsFetched" INTEGER,
+ADD COLUMN     "numComments" INTEGER;
@@ -0,0 +1,13 @@
+-- AlterTable
+ALTER TABLE "reddit_posts" ADD COLUMN     "flagForDelete" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "sentToAIAt" TIMESTAMP(3),
+ADD COLUMN     "sentiment" DOUBLE PRECISION,
+ADD COLUMN     "sentimentModel" TEXT,
+ADD COLUMN     "sentimentProvider" TEXT,
+ADD COLUMN     "summary" TEXT,
+ADD COLUMN     "upvotes" INTEGER;
+
+-- Backfill post scores from the scraped content
+UPDATE "reddit_posts" p SET "upvotes" = (c."postContent"->>'score')::INTEGER
+FROM "reddit_posts_content" c
+WHERE c."redditPostId" = p."id" AND c."postContent"->>'score' IS NOT NULL;
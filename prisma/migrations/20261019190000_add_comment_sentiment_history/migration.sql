@@ -0,0 +1,33 @@
+-- AlterTable
+ALTER TABLE "reddit_comments" ADD COLUMN     "bodyHash" TEXT,
+ADD COLUMN     "sentimentPromptVersion" TEXT,
+ADD COLUMN     "upvotesAtAnalysis" INTEGER;
+
+-- Backfill: hash existing bodies, and record the prompt and score that existing LLM scores were made with
+UPDATE "reddit_comments" SET "bodyHash" = encode(sha256(convert_to("body", 'UTF8')), 'hex');
+UPDATE "reddit_comments" SET "sentimentPromptVersion" = 'comment-v1' WHERE "sentimentProvider" IN ('openai', 'local');
+UPDATE "reddit_comments" SET "upvotesAtAnalysis" = "upvotes" WHERE "sentToAIAt" IS NOT NULL;
+
+-- CreateTable
+CREATE TABLE "comment_sentiment_history" (
+    "id" SERIAL NOT NULL,
+    "commentId" INTEGER NOT NULL,
+    "sentiment" DOUBLE PRECISION,
+    "flagForDelete" BOOLEAN NOT NULL DEFAULT false,
+    "sentimentProvider" TEXT,
+    "sentimentModel" TEXT,
+    "promptVersion" TEXT,
+    "bodyHash" TEXT,
+    "upvotes" INTEGER,
+    "analyzedAt" TIMESTAMP(3),
+    "reason" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "comment_sentiment_history_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "comment_sentiment_history_commentId_idx" ON "comment_sentiment_history"("commentId");
+
+-- AddForeignKey
+ALTER TABLE "comment_sentiment_history" ADD CONSTRAINT "comment_sentiment_history_commentId_fkey" FOREIGN KEY ("commentId") REFERENCES "reddit_comments"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,24 @@
+-- AlterTable
+ALTER TABLE "reddit_posts" ADD COLUMN     "sentimentPromptVersion" TEXT;
+
+-- Backfill: posts scored so far used the built-in post prompt
+UPDATE "reddit_posts" SET "sentimentPromptVersion" = 'post-v1' WHERE "sentimentProvider" IN ('openai', 'local');
+
+-- CreateTable
+CREATE TABLE "sentiment_prompts" (
+    "id" SERIAL NOT NULL,
+    "kind" TEXT NOT NULL,
+    "version" TEXT NOT NULL,
+    "rubric" TEXT NOT NULL,
+    "model" TEXT,
+    "temperature" DOUBLE PRECISION,
+    "notes" TEXT,
+    "isActive" BOOLEAN NOT NULL DEFAULT false,
+    "activatedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "sentiment_prompts_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "sentiment_prompts_kind_version_key" ON "sentiment_prompts"("kind", "version");
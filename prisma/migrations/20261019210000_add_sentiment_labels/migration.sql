@@ -0,0 +1,19 @@
+-- CreateTable
+CREATE TABLE "sentiment_labels" (
+    "id" SERIAL NOT NULL,
+    "commentId" INTEGER NOT NULL,
+    "sentiment" DOUBLE PRECISION NOT NULL,
+    "flagForDelete" BOOLEAN NOT NULL DEFAULT false,
+    "labeledBy" TEXT,
+    "notes" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "sentiment_labels_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "sentiment_labels_commentId_key" ON "sentiment_labels"("commentId");
+
+-- AddForeignKey
+ALTER TABLE "sentiment_labels" ADD CONSTRAINT "sentiment_labels_commentId_fkey" FOREIGN KEY ("commentId") REFERENCES "reddit_comments"("id") ON DELETE CASCADE ON UPDATE CASCADE;
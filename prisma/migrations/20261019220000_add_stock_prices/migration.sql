@@ -0,0 +1,46 @@
+-- AlterTable
+ALTER TABLE "stocks" ADD COLUMN "candlesFetchedAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "stock_quotes" (
+    "id" SERIAL NOT NULL,
+    "stockId" INTEGER NOT NULL,
+    "price" DOUBLE PRECISION NOT NULL,
+    "change" DOUBLE PRECISION,
+    "percentChange" DOUBLE PRECISION,
+    "open" DOUBLE PRECISION,
+    "high" DOUBLE PRECISION,
+    "low" DOUBLE PRECISION,
+    "previousClose" DOUBLE PRECISION,
+    "quotedAt" TIMESTAMP(3) NOT NULL,
+    "fetchedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "stock_quotes_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "stock_price_candles" (
+    "id" SERIAL NOT NULL,
+    "stockId" INTEGER NOT NULL,
+    "resolution" TEXT NOT NULL,
+    "timestamp" TIMESTAMP(3) NOT NULL,
+    "open" DOUBLE PRECISION NOT NULL,
+    "high" DOUBLE PRECISION NOT NULL,
+    "low" DOUBLE PRECISION NOT NULL,
+    "close" DOUBLE PRECISION NOT NULL,
+    "volume" DOUBLE PRECISION NOT NULL,
+
+    CONSTRAINT "stock_price_candles_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "stock_quotes_stockId_quotedAt_key" ON "stock_quotes"("stockId", "quotedAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "stock_price_candles_stockId_resolution_timestamp_key" ON "stock_price_candles"("stockId", "resolution", "timestamp");
+
+-- AddForeignKey
+ALTER TABLE "stock_quotes" ADD CONSTRAINT "stock_quotes_stockId_fkey" FOREIGN KEY ("stockId") REFERENCES "stocks"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "stock_price_candles" ADD CONSTRAINT "stock_price_candles_stockId_fkey" FOREIGN KEY ("stockId") REFERENCES "stocks"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "stocks" ADD COLUMN "companyName" TEXT,
+ADD COLUMN "exchange" TEXT,
+ADD COLUMN "industry" TEXT,
+ADD COLUMN "marketCap" DOUBLE PRECISION,
+ADD COLUMN "logoUrl" TEXT,
+ADD COLUMN "website" TEXT,
+ADD COLUMN "profileSource" TEXT,
+ADD COLUMN "profileUpdatedAt" TIMESTAMP(3);
@@ -0,0 +1,10 @@
+-- CreateTable
+CREATE TABLE "job_leases" (
+    "name" TEXT NOT NULL,
+    "owner" TEXT NOT NULL,
+    "acquiredAt" TIMESTAMP(3) NOT NULL,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "job_leases_pkey" PRIMARY KEY ("name")
+);
@@ -0,0 +1,33 @@
+-- CreateTable
+CREATE TABLE "job_runs" (
+    "id" SERIAL NOT NULL,
+    "jobName" TEXT NOT NULL,
+    "trigger" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'running',
+    "instanceId" TEXT NOT NULL,
+    "startedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "finishedAt" TIMESTAMP(3),
+    "durationMs" INTEGER,
+    "itemsProcessed" INTEGER NOT NULL DEFAULT 0,
+    "errorCount" INTEGER NOT NULL DEFAULT 0,
+    "error" TEXT,
+    "details" JSONB,
+
+    CONSTRAINT "job_runs_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "scheduled_jobs" (
+    "name" TEXT NOT NULL,
+    "paused" BOOLEAN NOT NULL DEFAULT false,
+    "pausedAt" TIMESTAMP(3),
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "scheduled_jobs_pkey" PRIMARY KEY ("name")
+);
+
+-- CreateIndex
+CREATE INDEX "job_runs_jobName_startedAt_idx" ON "job_runs"("jobName", "startedAt");
+
+-- CreateIndex
+CREATE INDEX "job_runs_startedAt_idx" ON "job_runs"("startedAt");
@@ -0,0 +1,18 @@
+-- AlterTable
+ALTER TABLE "reddit_posts" ADD COLUMN "nextScrapeAt" TIMESTAMP(3) DEFAULT CURRENT_TIMESTAMP,
+ADD COLUMN "scrapePriority" DOUBLE PRECISION NOT NULL DEFAULT 0;
+
+-- Backfill the next scrape time from the default age-based intervals
+UPDATE "reddit_posts" SET "nextScrapeAt" = CASE
+    WHEN "postTime" <= CURRENT_TIMESTAMP - INTERVAL '7 days' THEN NULL
+    WHEN "scrapedAt" IS NULL THEN CURRENT_TIMESTAMP
+    WHEN "postTime" > CURRENT_TIMESTAMP - INTERVAL '1 day' THEN "scrapedAt" + INTERVAL '10 minutes'
+    WHEN "postTime" > CURRENT_TIMESTAMP - INTERVAL '3 days' THEN "scrapedAt" + INTERVAL '1 hour'
+    ELSE "scrapedAt" + INTERVAL '1 day'
+END;
+
+-- CreateIndex
+CREATE INDEX "reddit_posts_nextScrapeAt_idx" ON "reddit_posts"("nextScrapeAt");
+
+-- CreateIndex
+CREATE INDEX "reddit_posts_stockId_postTime_idx" ON "reddit_posts"("stockId", "postTime");
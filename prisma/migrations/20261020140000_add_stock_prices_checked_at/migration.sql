@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "stocks" ADD COLUMN "pricesCheckedAt" TIMESTAMP(3);
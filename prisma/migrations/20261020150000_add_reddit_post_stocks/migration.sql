@@ -0,0 +1,23 @@
+-- CreateTable
+CREATE TABLE "reddit_post_stocks" (
+    "redditPostId" INTEGER NOT NULL,
+    "stockId" INTEGER NOT NULL,
+    "source" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "reddit_post_stocks_pkey" PRIMARY KEY ("redditPostId","stockId")
+);
+
+-- CreateIndex
+CREATE INDEX "reddit_post_stocks_stockId_idx" ON "reddit_post_stocks"("stockId");
+
+-- AddForeignKey
+ALTER TABLE "reddit_post_stocks" ADD CONSTRAINT "reddit_post_stocks_redditPostId_fkey" FOREIGN KEY ("redditPostId") REFERENCES "reddit_posts"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "reddit_post_stocks" ADD CONSTRAINT "reddit_post_stocks_stockId_fkey" FOREIGN KEY ("stockId") REFERENCES "stocks"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Backfill: every post is attributed to the stock that found it
+INSERT INTO "reddit_post_stocks" ("redditPostId", "stockId", "source")
+SELECT "id", "stockId", "source"
+FROM "reddit_posts";
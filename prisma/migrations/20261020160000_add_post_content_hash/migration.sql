@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "reddit_posts" ADD COLUMN     "contentHash" TEXT;
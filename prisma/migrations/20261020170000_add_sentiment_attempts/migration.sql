@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "reddit_comments" ADD COLUMN     "sentimentAttempts" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "sentimentRetryAt" TIMESTAMP(3);
+
+-- AlterTable
+ALTER TABLE "reddit_posts" ADD COLUMN     "sentimentAttempts" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "sentimentRetryAt" TIMESTAMP(3);
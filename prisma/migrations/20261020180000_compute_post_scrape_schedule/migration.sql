@@ -0,0 +1,8 @@
+-- DropIndex
+DROP INDEX "reddit_posts_nextScrapeAt_idx";
+
+-- AlterTable
+ALTER TABLE "reddit_posts" DROP COLUMN "nextScrapeAt";
+
+-- CreateIndex
+CREATE INDEX "reddit_posts_postTime_idx" ON "reddit_posts"("postTime");
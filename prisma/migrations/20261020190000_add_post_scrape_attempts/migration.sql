@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "reddit_posts" ADD COLUMN     "scrapeAttempts" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "scrapeRetryAt" TIMESTAMP(3);
@@ -1,8 +1,48 @@
-const { getAllStocks } = require('../controllers/adminController');
+const { getAllStocks, purgeOrphanStocks } = require('../controllers/adminController');
+const { listCommentFilters, createCommentFilter } = require('../controllers/commentFilterController');
+const { listSuggestions } = require('../controllers/subredditSuggestionController');
+const { listPrompts, createPrompt } = require('../controllers/sentimentPromptController');
+const { listLabels, saveLabel, getEvaluationReport } = require('../controllers/sentimentLabelController');
+const { listJobs } = require('../controllers/jobController');
+const { listScheduledJobs, listJobRuns } = require('../controllers/scheduledJobController');
+const { listSettings } = require('../controllers/settingsController');
 
 const adminRoutes = {
   '/admin/stocks': {
     GET: getAllStocks
+  },
+  '/admin/stocks/orphans': {
+    DELETE: purgeOrphanStocks
+  },
+  '/admin/comment-filters': {
+    GET: listCommentFilters,
+    POST: createCommentFilter
+  },
+  '/admin/subreddit-suggestions': {
+    GET: listSuggestions
+  },
+  '/admin/sentiment-prompts': {
+    GET: listPrompts,
+    POST: createPrompt
+  },
+  '/admin/sentiment-labels': {
+    GET: listLabels,
+    POST: saveLabel
+  },
+  '/admin/sentiment-labels/report': {
+    GET: getEvaluationReport
+  },
+  '/admin/jobs': {
+    GET: listJobs
+  },
+  '/admin/scheduled-jobs': {
+    GET: listScheduledJobs
+  },
+  '/admin/scheduled-jobs/runs': {
+    GET: listJobRuns
+  },
+  '/admin/settings': {
+    GET: listSettings
   }
 };
 
@@ -0,0 +1,25 @@
+/**
+ * Job Queue Drain Script
+ *
+ * Run this script to run every due job in the queue (or only some types) and exit.
+ * The server runs the same worker continuously.
+ * Usage: node scripts/runJobWorker.js [--type=scrape-post,analyze-comment]
+ */
+
+require('dotenv').config();
+const { drainJobs } = require('../jobs/jobWorker');
+
+const typeArg = process.argv.slice(2).find(arg => arg.startsWith('--type='));
+const types = typeArg ? typeArg.slice('--type='.length).split(',').filter(Boolean) : undefined;
+
+console.log(`Running queued jobs${types ? ` (${types.join(', ')})` : ''}...\n`);
+
+drainJobs({ types })
+  .then((result) => {
+    console.log(`\nQueue drained (${result.succeeded} succeeded, ${result.failed} failed)`);
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('Error running jobs:', error);
+    process.exit(1);
+  });
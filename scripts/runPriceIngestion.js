@@ -0,0 +1,28 @@
+/**
+ * Manual Price Ingestion Script
+ *
+ * Run this script to manually fetch Finnhub quotes and candles for all tracked stocks
+ * (recorded as a manual run of the price ingestion job).
+ * Usage: node scripts/runPriceIngestion.js
+ */
+
+require('dotenv').config();
+const { runPriceIngestionJob } = require('../jobs/priceIngestionJob');
+
+// Run the ingestion function
+console.log('Starting price ingestion...\n');
+
+runPriceIngestionJob()
+  .then(({ started, run, error }) => {
+    if (error || run?.status === 'failed') {
+      process.exit(1);
+    }
+    if (started) {
+      console.log(`\nPrice ingestion completed (${run.errorCount} failed)`);
+    }
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('Error running price ingestion:', error);
+    process.exit(1);
+  });
@@ -1,19 +1,31 @@
 /**
  * Manual Reddit Scraper Script
  *
- * Run this script to manually trigger Reddit post content scraping.
+ * Run this script to queue content scrapes for all posts that are due (recorded
+ * as a manual run of the Reddit scraper job), then run them and any other
+ * queued post scrapes.
  * Usage: node scripts/runRedditScraper.js
  */
 
-const { scrapeRedditPostContent } = require('../services/redditService');
+require('dotenv').config();
+const { runRedditScraperJob } = require('../jobs/redditScraperJob');
+const { drainJobs } = require('../jobs/jobWorker');
+const { JOB_TYPES } = require('../config/jobQueue');
 
-// Run the scraping function
-scrapeRedditPostContent()
-  .then(() => {
-    console.log('\nScraping completed');
+const runScraper = async () => {
+  try {
+    const { started, run } = await runRedditScraperJob();
+    if (started) {
+      console.log(`Queued ${run.itemsProcessed} post scrapes`);
+    }
+
+    const result = await drainJobs({ types: [JOB_TYPES.SCRAPE_POST] });
+    console.log(`\nScraping completed (${result.succeeded} succeeded, ${result.failed} failed)`);
     process.exit(0);
-  })
-  .catch((error) => {
+  } catch (error) {
     console.error('Error running scraper:', error);
     process.exit(1);
-  });
+  }
+};
+
+runScraper();
@@ -1,20 +1,27 @@
 /**
  * Manual Sentiment Analysis Script
  *
- * Run this script to manually trigger sentiment analysis on Reddit comments.
+ * Run this script to queue sentiment analysis of unprocessed comments and posts
+ * (recorded as a manual run of the sentiment analysis job) and run it.
  * Usage: node scripts/runSentimentAnalysis.js
  */
 
 require('dotenv').config();
-const { calcSentiment } = require('../services/sentimentService');
+const { runSentimentAnalysisJob } = require('../jobs/sentimentAnalysisJob');
+const { drainJobs } = require('../jobs/jobWorker');
+const { JOB_TYPES } = require('../config/jobQueue');
 
 const runTest = async () => {
   try {
-    console.log('Running sentiment analysis on unprocessed comments...\n');
+    console.log('Running sentiment analysis on unprocessed comments and posts...\n');
 
-    const results = await calcSentiment();
-    console.log(`\nProcessed ${results.length} comments`);
-    console.log('Sentiment analysis completed');
+    const { started, run } = await runSentimentAnalysisJob();
+    if (started && run.itemsProcessed === 0) {
+      console.log('Sentiment analysis is already queued or running, running queued jobs');
+    }
+
+    const result = await drainJobs({ types: [JOB_TYPES.ANALYZE_COMMENT] });
+    console.log(`\nSentiment analysis completed (${result.succeeded} jobs succeeded, ${result.failed} failed)`);
     process.exit(0);
   } catch (error) {
     console.error('Sentiment analysis failed:', error);
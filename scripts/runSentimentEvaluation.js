@@ -0,0 +1,81 @@
+/**
+ * Sentiment Evaluation Script
+ *
+ * Compares sentiment scores to the hand-labeled comments (sentiment_labels).
+ * By default it reports the stored scores and re-scores the labels with the
+ * offline lexicon provider, so it runs without network access.
+ * Usage: node scripts/runSentimentEvaluation.js [--provider=stored|lexicon|local|openai] [--symbol=TSLA]
+ */
+
+require('dotenv').config();
+const { evaluateLabels } = require('../services/sentimentEvaluationService');
+const { EVALUATION } = require('../config/sentiment');
+
+const getArg = (name) => {
+  const arg = process.argv.slice(2).find(value => value.startsWith(`--${name}=`));
+  return arg ? arg.slice(name.length + 3) : undefined;
+};
+
+const formatValue = (value) => (value === null ? 'n/a' : value);
+
+const printReport = (report) => {
+  const { metrics } = report;
+  const title = report.source === 'stored'
+    ? 'Stored scores'
+    : `Provider ${report.provider} (${report.model}${report.promptVersion ? `, ${report.promptVersion}` : ''})`;
+
+  console.log(`\n=== ${title} ===`);
+  console.log(`Labeled: ${report.labeled}, compared: ${report.compared}, unscored: ${report.unscored}`);
+  console.log(`MAE: ${formatValue(metrics.mae)}`);
+  console.log(`Directional accuracy: ${formatValue(metrics.directionalAccuracy)} (${metrics.directionalCount} bullish/bearish labels)`);
+  console.log(`Band accuracy: ${formatValue(metrics.bandAccuracy)}`);
+
+  console.log('Confusion matrix (rows: label, columns: predicted):');
+  console.table(metrics.confusionMatrix);
+
+  const flags = metrics.flagForDelete;
+  console.log(`flagForDelete precision: ${formatValue(flags.precision)}, recall: ${formatValue(flags.recall)} ` +
+    `(TP ${flags.truePositives}, FP ${flags.falsePositives}, FN ${flags.falseNegatives})`);
+
+  if (report.source === 'stored' && report.byVersion.length > 1) {
+    console.log('By model and prompt version:');
+    console.table(report.byVersion.map(version => ({
+      provider: version.provider,
+      model: version.model,
+      promptVersion: version.promptVersion,
+      count: version.count,
+      mae: version.mae,
+      directionalAccuracy: version.directionalAccuracy,
+      bandAccuracy: version.bandAccuracy
+    })));
+  }
+
+  if (report.worst.length > 0) {
+    console.log('Largest errors:');
+    for (const pair of report.worst.slice(0, 5)) {
+      console.log(`  ${pair.commentId}: label ${pair.label.sentiment}, predicted ${pair.predicted.sentiment} - ${pair.body.replace(/\s+/g, ' ').slice(0, 80)}`);
+    }
+  }
+};
+
+const runEvaluation = async () => {
+  try {
+    const provider = getArg('provider');
+    const symbol = getArg('symbol');
+    const providers = provider
+      ? [provider === 'stored' ? undefined : provider]
+      : [undefined, EVALUATION.OFFLINE_PROVIDER];
+
+    for (const providerName of providers) {
+      printReport(await evaluateLabels({ provider: providerName, symbol }));
+    }
+
+    console.log('\nSentiment evaluation completed');
+    process.exit(0);
+  } catch (error) {
+    console.error('Sentiment evaluation failed:', error);
+    process.exit(1);
+  }
+};
+
+runEvaluation();
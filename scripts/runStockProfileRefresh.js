@@ -0,0 +1,28 @@
+/**
+ * Manual Stock Profile Refresh Script
+ *
+ * Run this script to manually refresh company profiles of tracked stocks that are due
+ * (recorded as a manual run of the stock profile job).
+ * Usage: node scripts/runStockProfileRefresh.js
+ */
+
+require('dotenv').config();
+const { runStockProfileJob } = require('../jobs/stockProfileJob');
+
+// Run the refresh function
+console.log('Starting stock profile refresh...\n');
+
+runStockProfileJob()
+  .then(({ started, run, error }) => {
+    if (error || run?.status === 'failed') {
+      process.exit(1);
+    }
+    if (started) {
+      console.log(`\nStock profile refresh completed (${run.errorCount} failed)`);
+    }
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('Error refreshing stock profiles:', error);
+    process.exit(1);
+  });
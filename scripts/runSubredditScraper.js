@@ -1,22 +1,29 @@
 /**
  * Manual Subreddit Scraper Script
  *
- * Run this script to manually trigger scraping of official stock subreddits.
+ * Run this script to queue scrapes of all tracked stock subreddits (recorded as
+ * a manual run of the subreddit scraper job), then run them and the post
+ * scrapes they queue.
  * Usage: node scripts/runSubredditScraper.js
  */
 
 require('dotenv').config();
-const { scrapeAllOfficialSubreddits } = require('../services/redditService');
+const { runSubredditScraperJob } = require('../jobs/subredditScraperJob');
+const { drainJobs } = require('../jobs/jobWorker');
+const { JOB_TYPES } = require('../config/jobQueue');
 
-// Run the scraping function
-console.log('Starting subreddit scraper...\n');
+const runScraper = async () => {
+  try {
+    console.log('Starting subreddit scraper...\n');
+    await runSubredditScraperJob();
 
-scrapeAllOfficialSubreddits()
-  .then(() => {
-    console.log('\nScraping completed');
+    const result = await drainJobs({ types: [JOB_TYPES.SCRAPE_SUBREDDIT, JOB_TYPES.SCRAPE_POST] });
+    console.log(`\nScraping completed (${result.succeeded} jobs succeeded, ${result.failed} failed)`);
     process.exit(0);
-  })
-  .catch((error) => {
+  } catch (error) {
     console.error('Error running scraper:', error);
     process.exit(1);
-  });
+  }
+};
+
+runScraper();
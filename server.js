@@ -5,7 +5,12 @@ const routes = require('./routes');
 const { startRedditScraperJob } = require('./jobs/redditScraperJob');
 const { startSentimentAnalysisJob } = require('./jobs/sentimentAnalysisJob');
 const { startSubredditScraperJob } = require('./jobs/subredditScraperJob');
+const { startPriceIngestionJob } = require('./jobs/priceIngestionJob');
+const { startStockProfileJob } = require('./jobs/stockProfileJob');
+const { startJobWorker } = require('./jobs/jobWorker');
 const { initializeProxies } = require('./utils/proxyManager');
+const { INSTANCE_ROLE, RUNS_API, RUNS_WORKER } = require('./config/instance');
+const { refreshSettings, startSettingsRefresh } = require('./services/settingsService');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -27,9 +32,57 @@ Object.keys(routes).forEach(path => {
 // Handle parameterized route /stock/:param
 app.get('/stock/:param', require('./controllers/stockController').getStock);
 
+// Handle parameterized route /stock/:param/sentiment/history
+app.get('/stock/:param/sentiment/history', require('./controllers/stockController').getSentimentHistory);
+
+// Handle parameterized route /stock/:param/price
+app.get('/stock/:param/price', require('./controllers/stockController').getStockPrice);
+
+// Handle parameterized route /stock/:param/analytics
+app.get('/stock/:param/analytics', require('./controllers/stockController').getStockAnalytics);
+
+// Handle parameterized route /posts/:postId/comments
+app.get('/posts/:postId/comments', require('./controllers/postController').getCommentTree);
+
 // Handle parameterized route /admin/stocks/:symbol
 app.patch('/admin/stocks/:symbol', require('./controllers/adminController').updateStock);
 
+// Handle parameterized routes /admin/stocks/:symbol/subreddits
+app.get('/admin/stocks/:symbol/subreddits', require('./controllers/stockSubredditController').listStockSubreddits);
+app.post('/admin/stocks/:symbol/subreddits', require('./controllers/stockSubredditController').addStockSubreddit);
+app.patch('/admin/stocks/:symbol/subreddits/:id', require('./controllers/stockSubredditController').updateStockSubreddit);
+app.delete('/admin/stocks/:symbol/subreddits/:id', require('./controllers/stockSubredditController').removeStockSubreddit);
+
+// Handle parameterized route /admin/stocks/:symbol/subreddit-suggestions (run discovery now)
+app.post('/admin/stocks/:symbol/subreddit-suggestions', require('./controllers/subredditSuggestionController').discoverSubreddit);
+
+// Handle parameterized routes /admin/subreddit-suggestions/:id
+app.post('/admin/subreddit-suggestions/:id/accept', require('./controllers/subredditSuggestionController').acceptSuggestion);
+app.post('/admin/subreddit-suggestions/:id/reject', require('./controllers/subredditSuggestionController').rejectSuggestion);
+
+// Handle parameterized route /admin/comment-filters/:id
+app.patch('/admin/comment-filters/:id', require('./controllers/commentFilterController').updateCommentFilter);
+app.delete('/admin/comment-filters/:id', require('./controllers/commentFilterController').deleteCommentFilter);
+
+// Handle parameterized routes /admin/sentiment-prompts/:id
+app.post('/admin/sentiment-prompts/:id/activate', require('./controllers/sentimentPromptController').activatePrompt);
+app.post('/admin/sentiment-prompts/:id/evaluate', require('./controllers/sentimentPromptController').evaluatePrompt);
+
+// Handle parameterized route /admin/sentiment-labels/:id
+app.delete('/admin/sentiment-labels/:id', require('./controllers/sentimentLabelController').deleteLabel);
+
+// Handle parameterized route /admin/jobs/:id/retry
+app.post('/admin/jobs/:id/retry', require('./controllers/jobController').retryJob);
+
+// Handle parameterized routes /admin/scheduled-jobs/:name
+app.post('/admin/scheduled-jobs/:name/pause', require('./controllers/scheduledJobController').pauseScheduledJob);
+app.post('/admin/scheduled-jobs/:name/resume', require('./controllers/scheduledJobController').resumeScheduledJob);
+app.post('/admin/scheduled-jobs/:name/run', require('./controllers/scheduledJobController').runScheduledJob);
+
+// Handle parameterized route /admin/settings/:key
+app.put('/admin/settings/:key', require('./controllers/settingsController').updateSetting);
+app.delete('/admin/settings/:key', require('./controllers/settingsController').resetSetting);
+
 // Global error handler middleware
 app.use((err, req, res, next) => {
   console.error('Unhandled error:', err);
@@ -52,14 +105,47 @@ process.on('uncaughtException', (error) => {
   // Don't exit, let the server continue running
 });
 
-app.listen(PORT, async () => {
-  console.log(`Server running on port ${PORT}`);
-
-  // Initialize proxies (validates them on startup)
-  await initializeProxies();
+/**
+ * Starts the scheduled jobs and the job worker (instances with INSTANCE_ROLE all or worker)
+ */
+const startBackgroundWork = async () => {
+  // Load runtime settings (job schedules) and keep reloading them, so changes apply without a restart
+  try {
+    await refreshSettings();
+  } catch (error) {
+    console.error('Failed to load settings, using defaults:', error.message);
+  }
+  startSettingsRefresh();
 
   // Start scheduled jobs
   startRedditScraperJob();
   startSentimentAnalysisJob();
   startSubredditScraperJob();
-});
+  startPriceIngestionJob();
+  startStockProfileJob();
+
+  // Start running queued scrape and analysis jobs
+  startJobWorker();
+};
+
+if (RUNS_API) {
+  app.listen(PORT, async () => {
+    console.log(`Server running on port ${PORT} (instance role: ${INSTANCE_ROLE})`);
+
+    // Initialize proxies (validates them on startup)
+    await initializeProxies();
+
+    if (RUNS_WORKER) {
+      await startBackgroundWork();
+    }
+  });
+} else {
+  (async () => {
+    console.log(`Worker running without HTTP server (instance role: ${INSTANCE_ROLE})`);
+
+    // Initialize proxies (validates them on startup)
+    await initializeProxies();
+
+    await startBackgroundWork();
+  })();
+}
@@ -0,0 +1,312 @@
+/**
+ * Comment Filter Service
+ *
+ * Resolves and applies the rules that decide which scraped comments are saved.
+ * Rules live in the comment_filters table and can be scoped to a stock, a
+ * subreddit, both, or neither (global). For each numeric field the most
+ * specific rule that sets it wins, in this order:
+ *
+ *   stock + subreddit > subreddit > stock > global > COMMENT_FILTER_DEFAULTS
+ *
+ * Author blocklists and exclude patterns are combined across all matching rules.
+ */
+
+const prisma = require('../config/database');
+const { COMMENT_FILTER_DEFAULTS } = require('../config').redditScraper;
+const { createValidationError } = require('../utils/httpErrors');
+
+const NUMERIC_FIELDS = ['minAbsScore', 'minLength', 'minAuthorKarma'];
+const LIST_FIELDS = ['authorBlocklist', 'excludePatterns'];
+
+/**
+ * Normalizes a subreddit name for storage and matching ("r/WallStreetBets" -> "wallstreetbets").
+ *
+ * @param {string|null|undefined} subreddit
+ * @returns {string|null}
+ */
+const normalizeSubreddit = (subreddit) => {
+  if (!subreddit) return null;
+  return subreddit.replace(/^\/?r\//i, '').trim().toLowerCase() || null;
+};
+
+/**
+ * Ranks a rule by specificity (higher wins).
+ */
+const getSpecificity = (rule) => {
+  if (rule.stockId !== null && rule.subreddit !== null) return 3;
+  if (rule.subreddit !== null) return 2;
+  if (rule.stockId !== null) return 1;
+  return 0;
+};
+
+/**
+ * Merges matching rules over the config defaults.
+ *
+ * @param {Array<Object>} rules - comment_filters rows that apply to the comment's stock/subreddit
+ * @returns {Object} - Effective filter with compiled `excludeRegexes`
+ */
+const mergeCommentFilters = (rules) => {
+  const filter = {
+    ...COMMENT_FILTER_DEFAULTS,
+    authorBlocklist: [...COMMENT_FILTER_DEFAULTS.authorBlocklist],
+    excludePatterns: [...COMMENT_FILTER_DEFAULTS.excludePatterns]
+  };
+
+  const ordered = [...rules].sort((a, b) => getSpecificity(a) - getSpecificity(b));
+
+  for (const rule of ordered) {
+    for (const field of NUMERIC_FIELDS) {
+      if (rule[field] !== null && rule[field] !== undefined) {
+        filter[field] = rule[field];
+      }
+    }
+    for (const field of LIST_FIELDS) {
+      filter[field] = [...new Set([...filter[field], ...(rule[field] || [])])];
+    }
+  }
+
+  const blockedAuthors = new Set(filter.authorBlocklist.map(author => author.toLowerCase()));
+  const excludeRegexes = [];
+  for (const pattern of filter.excludePatterns) {
+    try {
+      excludeRegexes.push(new RegExp(pattern, 'i'));
+    } catch (error) {
+      // Patterns are validated on write; skip anything invalid that slipped in
+      console.warn(`[Comment Filter] Ignoring invalid exclude pattern ${pattern}: ${error.message}`);
+    }
+  }
+
+  return { ...filter, blockedAuthors, excludeRegexes };
+};
+
+/**
+ * Resolves the effective filter for comments on a post.
+ *
+ * @param {number} stockId - Stock the post belongs to
+ * @param {string} subreddit - Subreddit the post was made in (with or without r/)
+ * @returns {Promise<Object>} - Effective filter
+ */
+const resolveCommentFilter = async (stockId, subreddit) => {
+  const subredditName = normalizeSubreddit(subreddit);
+
+  const rules = await prisma.commentFilter.findMany({
+    where: {
+      OR: [
+        { stockId: null, subreddit: null },
+        { stockId, subreddit: null },
+        ...(subredditName ? [
+          { stockId: null, subreddit: subredditName },
+          { stockId, subreddit: subredditName }
+        ] : [])
+      ]
+    }
+  });
+
+  return mergeCommentFilters(rules);
+};
+
+/**
+ * Checks a comment against a filter. The author karma rule needs a network
+ * lookup, so it's applied separately by the caller. Replies are exempt from
+ * minLength: short replies ("this", "agreed") are scored with their parent
+ * as context.
+ *
+ * @param {Object} comment - Comment with author, body, score and depth
+ * @param {Object} filter - Effective filter from resolveCommentFilter
+ * @returns {boolean} - True if the comment should be saved
+ */
+const passesCommentFilter = (comment, filter) => {
+  const score = comment.score || 0;
+  const body = comment.body || '';
+  const isReply = (comment.depth || 0) > 0;
+
+  if (Math.abs(score) < filter.minAbsScore) return false;
+  if (!isReply && body.length < filter.minLength) return false;
+  if (comment.author && filter.blockedAuthors.has(comment.author.toLowerCase())) return false;
+  if (filter.excludeRegexes.some(regex => regex.test(body))) return false;
+
+  return true;
+};
+
+/**
+ * Validates and normalizes admin input for a filter rule.
+ *
+ * @param {Object} input - Request body
+ * @param {Object} [options]
+ * @param {boolean} [options.partial=false] - Only validate fields that are present (updates)
+ * @returns {Promise<Object>} - Prisma data for the rule
+ * @throws {Error} - With statusCode 400 (invalid input) or 404 (unknown stock)
+ */
+const buildFilterData = async (input, { partial = false } = {}) => {
+  const data = {};
+
+  if (input.symbol !== undefined) {
+    if (input.symbol === null || input.symbol === '') {
+      data.stockId = null;
+    } else {
+      const stock = await prisma.stock.findUnique({
+        where: { symbol: String(input.symbol).toUpperCase() }
+      });
+      if (!stock) {
+        throw Object.assign(new Error(`Stock not found: ${input.symbol}`), { statusCode: 404 });
+      }
+      data.stockId = stock.id;
+    }
+  } else if (!partial) {
+    data.stockId = null;
+  }
+
+  if (input.subreddit !== undefined) {
+    data.subreddit = normalizeSubreddit(input.subreddit);
+  } else if (!partial) {
+    data.subreddit = null;
+  }
+
+  for (const field of NUMERIC_FIELDS) {
+    if (input[field] === undefined) continue;
+    if (input[field] !== null && (!Number.isInteger(input[field]) || input[field] < 0)) {
+      throw createValidationError(`${field} must be a non-negative integer or null`);
+    }
+    data[field] = input[field];
+  }
+
+  for (const field of LIST_FIELDS) {
+    if (input[field] === undefined) {
+      if (!partial) data[field] = [];
+      continue;
+    }
+    if (!Array.isArray(input[field]) || input[field].some(value => typeof value !== 'string' || !value.trim())) {
+      throw createValidationError(`${field} must be an array of non-empty strings`);
+    }
+    data[field] = input[field].map(value => value.trim());
+  }
+
+  for (const pattern of data.excludePatterns || []) {
+    try {
+      new RegExp(pattern, 'i');
+    } catch (error) {
+      throw createValidationError(`Invalid exclude pattern ${pattern}: ${error.message}`);
+    }
+  }
+
+  return data;
+};
+
+/**
+ * Rejects a rule whose scope is already taken by another rule. The unique index
+ * doesn't cover NULL scopes (Postgres treats NULLs as distinct), so check here.
+ */
+const assertScopeAvailable = async (stockId, subreddit, excludeId = null) => {
+  const existing = await prisma.commentFilter.findFirst({
+    where: {
+      stockId,
+      subreddit,
+      ...(excludeId !== null && { id: { not: excludeId } })
+    }
+  });
+  if (existing) {
+    throw Object.assign(new Error(`A filter already exists for this scope (id ${existing.id})`), { statusCode: 409 });
+  }
+};
+
+/**
+ * Formats a rule for API responses.
+ */
+const formatCommentFilter = (rule) => ({
+  id: rule.id,
+  symbol: rule.stock?.symbol || null,
+  subreddit: rule.subreddit,
+  minAbsScore: rule.minAbsScore,
+  minLength: rule.minLength,
+  authorBlocklist: rule.authorBlocklist,
+  excludePatterns: rule.excludePatterns,
+  minAuthorKarma: rule.minAuthorKarma,
+  createdAt: rule.createdAt,
+  updatedAt: rule.updatedAt
+});
+
+/**
+ * Lists all filter rules along with the defaults they override.
+ *
+ * @returns {Promise<{defaults: Object, filters: Array<Object>}>}
+ */
+const listCommentFilters = async () => {
+  const rules = await prisma.commentFilter.findMany({
+    include: { stock: true },
+    orderBy: { id: 'asc' }
+  });
+
+  return {
+    defaults: COMMENT_FILTER_DEFAULTS,
+    filters: rules.map(formatCommentFilter)
+  };
+};
+
+/**
+ * Creates a filter rule.
+ *
+ * @param {Object} input - symbol, subreddit and any rule fields
+ * @returns {Promise<Object>} - Created rule
+ */
+const createCommentFilter = async (input) => {
+  const data = await buildFilterData(input);
+  await assertScopeAvailable(data.stockId, data.subreddit);
+
+  const rule = await prisma.commentFilter.create({
+    data,
+    include: { stock: true }
+  });
+  return formatCommentFilter(rule);
+};
+
+/**
+ * Updates a filter rule. Only the fields present in the input are changed.
+ *
+ * @param {number} id - Rule ID
+ * @param {Object} input - Fields to change
+ * @returns {Promise<Object|null>} - Updated rule, or null if not found
+ */
+const updateCommentFilter = async (id, input) => {
+  const existing = await prisma.commentFilter.findUnique({ where: { id } });
+  if (!existing) {
+    return null;
+  }
+
+  const data = await buildFilterData(input, { partial: true });
+  if (data.stockId !== undefined || data.subreddit !== undefined) {
+    await assertScopeAvailable(
+      data.stockId !== undefined ? data.stockId : existing.stockId,
+      data.subreddit !== undefined ? data.subreddit : existing.subreddit,
+      id
+    );
+  }
+
+  const rule = await prisma.commentFilter.update({
+    where: { id },
+    data,
+    include: { stock: true }
+  });
+  return formatCommentFilter(rule);
+};
+
+/**
+ * Deletes a filter rule.
+ *
+ * @param {number} id - Rule ID
+ * @returns {Promise<boolean>} - False if the rule didn't exist
+ */
+const deleteCommentFilter = async (id) => {
+  const { count } = await prisma.commentFilter.deleteMany({ where: { id } });
+  return count > 0;
+};
+
+module.exports = {
+  resolveCommentFilter,
+  mergeCommentFilters,
+  passesCommentFilter,
+  normalizeSubreddit,
+  listCommentFilters,
+  createCommentFilter,
+  updateCommentFilter,
+  deleteCommentFilter
+};
@@ -0,0 +1,54 @@
+/**
+ * Finnhub Client
+ *
+ * Shared helper for Finnhub API calls (quotes, candles, company profiles).
+ * Every call goes through withLogging and appears in external_api_logs.
+ */
+
+const axios = require('axios');
+const { withLogging, SERVICES } = require('../utils/apiLogger');
+const { FINNHUB } = require('../config/prices');
+
+/**
+ * Checks whether Finnhub is configured.
+ */
+const isFinnhubConfigured = () => Boolean(process.env.FINNHUB_API_KEY);
+
+/**
+ * Calls a Finnhub endpoint with logging.
+ *
+ * @param {string} path - Endpoint path (e.g. /quote)
+ * @param {Object} params - Query parameters (the API token is added)
+ * @param {Object} options
+ * @param {string} options.requestSummary - Logged request description
+ * @param {Function} options.getResponseSummary - Builds the logged response summary
+ * @returns {Promise<Object>} - Response body
+ */
+const finnhubGet = async (path, params, { requestSummary, getResponseSummary }) => {
+  const response = await withLogging(
+    SERVICES.FINNHUB,
+    () => axios.get(`${FINNHUB.API_BASE_URL}${path}`, {
+      params: { ...params, token: process.env.FINNHUB_API_KEY },
+      headers: { 'User-Agent': 'request' }
+    }),
+    {
+      endpoint: path,
+      method: 'GET',
+      requestSummary,
+      getResponseSummary
+    }
+  );
+  return response.data;
+};
+
+/**
+ * Checks whether Finnhub refused access to an endpoint (some endpoints need a
+ * paid plan), as opposed to a transient failure.
+ */
+const isAccessDeniedError = (error) => error.response?.status === 401 || error.response?.status === 403;
+
+module.exports = {
+  isFinnhubConfigured,
+  finnhubGet,
+  isAccessDeniedError
+};
@@ -1,11 +1,15 @@
-const routes = require('../routes');
 const { routeHelper } = require('../utils');
+const { getRedditClientStatus } = require('./redditClient');
 
-const getHealthStatus = () => {
-  const formattedRoutes = routeHelper.formatRoutes(routes);
+/**
+ * @param {Object} app - Express app serving the request (its routes are listed)
+ */
+const getHealthStatus = (app) => {
+  const formattedRoutes = routeHelper.formatRoutes(app);
 
   return {
     status: 'ok',
+    reddit: getRedditClientStatus(),
     routes: formattedRoutes
   };
 };
@@ -13,4 +17,3 @@ const getHealthStatus = () => {
 module.exports = {
   getHealthStatus
 };
-
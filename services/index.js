@@ -8,10 +8,44 @@ const healthService = require('./healthService');
 const stockService = require('./stockService');
 const redditService = require('./redditService');
 const sentimentService = require('./sentimentService');
+const sentimentHistoryService = require('./sentimentHistoryService');
+const sentimentReanalysisService = require('./sentimentReanalysisService');
+const sentimentPromptService = require('./sentimentPromptService');
+const sentimentLabelService = require('./sentimentLabelService');
+const sentimentEvaluationService = require('./sentimentEvaluationService');
+const scoringService = require('./scoringService');
+const postService = require('./postService');
+const commentFilterService = require('./commentFilterService');
+const stockSubredditService = require('./stockSubredditService');
+const subredditDiscoveryService = require('./subredditDiscoveryService');
+const priceService = require('./priceService');
+const stockAnalyticsService = require('./stockAnalyticsService');
+const stockProfileService = require('./stockProfileService');
+const jobQueueService = require('./jobQueueService');
+const jobLeaseService = require('./jobLeaseService');
+const jobRunService = require('./jobRunService');
+const settingsService = require('./settingsService');
 
 module.exports = {
   healthService,
   stockService,
   redditService,
-  sentimentService
+  sentimentService,
+  sentimentHistoryService,
+  sentimentReanalysisService,
+  sentimentPromptService,
+  sentimentLabelService,
+  sentimentEvaluationService,
+  scoringService,
+  postService,
+  commentFilterService,
+  stockSubredditService,
+  subredditDiscoveryService,
+  priceService,
+  stockAnalyticsService,
+  stockProfileService,
+  jobQueueService,
+  jobLeaseService,
+  jobRunService,
+  settingsService
 };
@@ -0,0 +1,45 @@
+/**
+ * Job Handlers
+ *
+ * Maps each job type to the function that runs it. A handler receives the
+ * job payload; throwing marks the attempt as failed (retried with backoff,
+ * dead-lettered after maxAttempts). Handlers return a small summary that is
+ * logged by the worker.
+ */
+
+const { JOB_TYPES } = require('../config/jobQueue');
+const { runStockSearch } = require('./stockService');
+const { scrapePostById, runSubredditScrape } = require('./redditService');
+const { calcSentiment, calcPostSentiment } = require('./sentimentService');
+const { runSubredditDiscovery } = require('./subredditDiscoveryService');
+
+const JOB_HANDLERS = {
+  [JOB_TYPES.SEARCH]: ({ stockId, preset }) => runStockSearch(stockId, preset),
+
+  [JOB_TYPES.SCRAPE_POST]: ({ postId }) => scrapePostById(postId),
+
+  [JOB_TYPES.SCRAPE_SUBREDDIT]: ({ stockSubredditId }) => runSubredditScrape(stockSubredditId),
+
+  [JOB_TYPES.ANALYZE_COMMENT]: async () => {
+    const comments = await calcSentiment();
+    const posts = await calcPostSentiment();
+    return { comments: comments.length, posts: posts.length };
+  },
+
+  [JOB_TYPES.DISCOVER_SUBREDDIT]: ({ stockId }) => runSubredditDiscovery(stockId),
+
+  // Required on use: the jobs module loads the job worker, which loads these handlers
+  [JOB_TYPES.RUN_SCHEDULED_JOB]: ({ name }) => require('../jobs').runQueuedScheduledJob(name)
+};
+
+/**
+ * Gets the handler for a job type.
+ *
+ * @param {string} type - Job type
+ * @returns {Function|null}
+ */
+const getJobHandler = (type) => JOB_HANDLERS[type] || null;
+
+module.exports = {
+  getJobHandler
+};
@@ -0,0 +1,122 @@
+/**
+ * Job Lease Service
+ *
+ * Leases in the job_leases table keep a scheduled job run on one instance
+ * when several instances share the database. A lease is free once it
+ * expires, so a crashed instance never blocks a job for longer than TTL_MS.
+ */
+
+const prisma = require('../config/database');
+const { JOB_LEASE } = require('../config/jobQueue');
+const { INSTANCE_ID } = require('../config/instance');
+
+/**
+ * Takes a lease if it is free, expired or already held by this instance.
+ *
+ * @param {string} name - Lease name
+ * @param {number} [ttlMs=JOB_LEASE.TTL_MS] - Time until the lease expires
+ * @returns {Promise<Date|null>} - Acquisition time, or null if another instance holds the lease
+ */
+const acquireLease = async (name, ttlMs = JOB_LEASE.TTL_MS) => {
+  const now = new Date();
+  const data = { owner: INSTANCE_ID, acquiredAt: now, expiresAt: new Date(now.getTime() + ttlMs) };
+
+  const { count } = await prisma.jobLease.updateMany({
+    where: {
+      name,
+      OR: [{ expiresAt: { lte: now } }, { owner: INSTANCE_ID }]
+    },
+    data
+  });
+  if (count === 1) {
+    return now;
+  }
+
+  // No row yet; if another instance creates it first, it holds the lease
+  const created = await prisma.jobLease.createMany({
+    data: [{ name, ...data }],
+    skipDuplicates: true
+  });
+  return created.count === 1 ? now : null;
+};
+
+/**
+ * Extends a lease held by this instance.
+ *
+ * @param {string} name - Lease name
+ * @param {number} [ttlMs=JOB_LEASE.TTL_MS] - Time until the lease expires
+ * @returns {Promise<boolean>} - False if the lease was lost to another instance
+ */
+const renewLease = async (name, ttlMs = JOB_LEASE.TTL_MS) => {
+  const { count } = await prisma.jobLease.updateMany({
+    where: { name, owner: INSTANCE_ID },
+    data: { expiresAt: new Date(Date.now() + ttlMs) }
+  });
+  return count === 1;
+};
+
+/**
+ * Releases a lease held by this instance.
+ *
+ * @param {string} name - Lease name
+ */
+const releaseLease = (name) => prisma.jobLease.updateMany({
+  where: { name, owner: INSTANCE_ID },
+  data: { expiresAt: new Date() }
+});
+
+/**
+ * Runs a function while holding a lease, renewing it until the function settles.
+ *
+ * @param {string} name - Lease name
+ * @param {Function} fn - Async function to run
+ * @returns {Promise<{acquired: boolean, result?: *}>} - acquired is false if another instance holds the lease
+ */
+const withLease = async (name, fn) => {
+  if (!(await acquireLease(name))) {
+    return { acquired: false };
+  }
+
+  const renewTimer = setInterval(() => {
+    renewLease(name)
+      .then(renewed => {
+        if (!renewed) {
+          console.warn(`[Leases] Lost lease ${name} while its run was in progress`);
+        }
+      })
+      .catch(error => console.error(`[Leases] Failed to renew lease ${name}:`, error.message));
+  }, JOB_LEASE.RENEW_INTERVAL_MS);
+
+  try {
+    return { acquired: true, result: await fn() };
+  } finally {
+    clearInterval(renewTimer);
+    await releaseLease(name).catch(error =>
+      console.error(`[Leases] Failed to release lease ${name}:`, error.message)
+    );
+  }
+};
+
+/**
+ * Gets the unexpired leases among the given names, i.e. the jobs running on
+ * any instance.
+ *
+ * @param {string[]} names - Lease names
+ * @returns {Promise<Object>} - Map of name -> { owner, acquiredAt, expiresAt }
+ */
+const getActiveLeases = async (names) => {
+  const leases = await prisma.jobLease.findMany({
+    where: { name: { in: names }, expiresAt: { gt: new Date() } }
+  });
+  return Object.fromEntries(leases.map(({ name, owner, acquiredAt, expiresAt }) =>
+    [name, { owner, acquiredAt, expiresAt }]
+  ));
+};
+
+module.exports = {
+  getActiveLeases,
+  acquireLease,
+  renewLease,
+  releaseLease,
+  withLease
+};
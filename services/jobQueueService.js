@@ -0,0 +1,446 @@
+/**
+ * Job Queue Service
+ *
+ * Postgres-backed job queue (jobs table). Jobs are claimed by the job worker
+ * with a conditional update, so each job runs on one worker at a time even
+ * with several processes, and the worker renews the lock while the job runs.
+ * A job is only queued if no pending or running job holds the same dedupe
+ * key (derived from its type and payload). Failed jobs are retried with
+ * exponential backoff and dead-lettered after maxAttempts.
+ */
+
+const prisma = require('../config/database');
+const { createValidationError } = require('../utils/httpErrors');
+const {
+  JOB_STATUS,
+  JOB_TYPES,
+  MAX_ATTEMPTS,
+  JOB_WORKER
+} = require('../config/jobQueue');
+
+/**
+ * Dedupe key of each job type: the same work always gets the same key.
+ */
+const DEDUPE_KEYS = {
+  [JOB_TYPES.SEARCH]: ({ stockId }) => `${JOB_TYPES.SEARCH}:${stockId}`,
+  [JOB_TYPES.SCRAPE_POST]: ({ postId }) => `${JOB_TYPES.SCRAPE_POST}:${postId}`,
+  [JOB_TYPES.SCRAPE_SUBREDDIT]: ({ stockSubredditId }) => `${JOB_TYPES.SCRAPE_SUBREDDIT}:${stockSubredditId}`,
+  [JOB_TYPES.ANALYZE_COMMENT]: () => JOB_TYPES.ANALYZE_COMMENT, // At most one queued at a time
+  [JOB_TYPES.DISCOVER_SUBREDDIT]: ({ stockId }) => `${JOB_TYPES.DISCOVER_SUBREDDIT}:${stockId}`,
+  [JOB_TYPES.RUN_SCHEDULED_JOB]: ({ name }) => `${JOB_TYPES.RUN_SCHEDULED_JOB}:${name}`
+};
+
+/**
+ * Gets the dedupe key of a job.
+ *
+ * @param {string} type - Job type
+ * @param {Object} payload - Job payload
+ * @returns {string}
+ */
+const getDedupeKey = (type, payload) => DEDUPE_KEYS[type](payload || {});
+
+/**
+ * Builds the row for a new job.
+ */
+const buildJobData = ({ type, payload = {}, runAt = new Date() }) => {
+  if (!Object.values(JOB_TYPES).includes(type)) {
+    throw new Error(`Unknown job type: ${type}`);
+  }
+  return {
+    type,
+    payload,
+    dedupeKey: getDedupeKey(type, payload),
+    runAt,
+    maxAttempts: MAX_ATTEMPTS[type]
+  };
+};
+
+/**
+ * Queues jobs, skipping those whose dedupe key is held by a pending or running job.
+ *
+ * @param {Array<{type: string, payload?: Object, runAt?: Date}>} jobs
+ * @returns {Promise<number>} - Number of jobs queued
+ */
+const enqueueJobs = async (jobs) => {
+  if (jobs.length === 0) {
+    return 0;
+  }
+
+  const { count } = await prisma.job.createMany({
+    data: jobs.map(buildJobData),
+    skipDuplicates: true
+  });
+  return count;
+};
+
+/**
+ * Queues a single job.
+ *
+ * @returns {Promise<boolean>} - False if a job with the same dedupe key is already queued
+ */
+const enqueueJob = async (job) => (await enqueueJobs([job])) > 0;
+
+/**
+ * Queues content scrapes for posts.
+ *
+ * @param {number[]} postIds - Database post IDs
+ * @returns {Promise<number>} - Number of jobs queued
+ */
+const enqueuePostScrapes = (postIds) => enqueueJobs(postIds.map(postId => ({
+  type: JOB_TYPES.SCRAPE_POST,
+  payload: { postId }
+})));
+
+/**
+ * Queues listing scrapes for tracked subreddits.
+ *
+ * @param {number[]} stockSubredditIds - StockSubreddit IDs
+ * @returns {Promise<number>} - Number of jobs queued
+ */
+const enqueueSubredditScrapes = (stockSubredditIds) => enqueueJobs(stockSubredditIds.map(stockSubredditId => ({
+  type: JOB_TYPES.SCRAPE_SUBREDDIT,
+  payload: { stockSubredditId }
+})));
+
+/**
+ * Queues a Reddit search for a stock.
+ *
+ * @param {number} stockId - Stock ID
+ * @param {string} preset - SEARCH_PRESETS key (BACKFILL, REFRESH)
+ * @returns {Promise<boolean>} - False if a search for the stock is already queued
+ */
+const enqueueStockSearch = (stockId, preset) => enqueueJob({
+  type: JOB_TYPES.SEARCH,
+  payload: { stockId, preset }
+});
+
+/**
+ * Queues a sentiment analysis run (at most one is queued at a time).
+ *
+ * @returns {Promise<boolean>} - False if one is already queued or running
+ */
+const enqueueSentimentAnalysis = () => enqueueJob({
+  type: JOB_TYPES.ANALYZE_COMMENT
+});
+
+/**
+ * Queues official subreddit discovery for a stock.
+ *
+ * @param {number} stockId - Stock ID
+ * @returns {Promise<boolean>} - False if discovery for the stock is already queued
+ */
+const enqueueSubredditDiscovery = (stockId) => enqueueJob({
+  type: JOB_TYPES.DISCOVER_SUBREDDIT,
+  payload: { stockId }
+});
+
+/**
+ * Queues a manual run of a scheduled job, so it runs on an instance with the
+ * job worker instead of the one that received the request.
+ *
+ * @param {string} name - Scheduled job name
+ * @returns {Promise<boolean>} - False if a run of the job is already queued
+ */
+const enqueueScheduledJobRun = (name) => enqueueJob({
+  type: JOB_TYPES.RUN_SCHEDULED_JOB,
+  payload: { name }
+});
+
+/**
+ * Claims the next due job for a worker.
+ *
+ * @param {string} workerId - Worker identifier recorded in lockedBy
+ * @param {Object} [options]
+ * @param {string[]} [options.types] - Only claim jobs of these types
+ * @returns {Promise<Object|null>} - The claimed job, or null if none is due
+ */
+const claimNextJob = async (workerId, { types } = {}) => {
+  const where = {
+    status: JOB_STATUS.PENDING,
+    runAt: { lte: new Date() },
+    ...(types && { type: { in: types } })
+  };
+
+  // Another worker may claim the candidate first; try the next one
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const candidate = await prisma.job.findFirst({
+      where,
+      orderBy: [{ runAt: 'asc' }, { id: 'asc' }]
+    });
+    if (!candidate) {
+      return null;
+    }
+
+    const lockedAt = new Date();
+    const { count } = await prisma.job.updateMany({
+      where: { id: candidate.id, status: JOB_STATUS.PENDING },
+      data: {
+        status: JOB_STATUS.RUNNING,
+        lockedAt,
+        lockedBy: workerId,
+        attempts: { increment: 1 }
+      }
+    });
+    if (count === 1) {
+      return { ...candidate, status: JOB_STATUS.RUNNING, lockedAt, lockedBy: workerId, attempts: candidate.attempts + 1 };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Marks a claimed job as completed and releases its dedupe key.
+ *
+ * @param {Object} job - Claimed job
+ */
+const completeJob = (job) => prisma.job.updateMany({
+  where: { id: job.id, status: JOB_STATUS.RUNNING, lockedBy: job.lockedBy },
+  data: {
+    status: JOB_STATUS.COMPLETED,
+    completedAt: new Date(),
+    dedupeKey: null,
+    lockedAt: null,
+    lastError: null
+  }
+});
+
+/**
+ * Renews the lock of a running job, so it isn't reclaimed as stale while it
+ * is still running.
+ *
+ * @param {Object} job - Claimed job
+ * @returns {Promise<boolean>} - False if the job is no longer locked by this worker
+ */
+const renewJobLock = async (job) => {
+  const { count } = await prisma.job.updateMany({
+    where: { id: job.id, status: JOB_STATUS.RUNNING, lockedBy: job.lockedBy },
+    data: { lockedAt: new Date() }
+  });
+  return count === 1;
+};
+
+/**
+ * Delay before the next attempt of a job that failed `attempts` times.
+ */
+const getRetryDelayMs = (attempts) => Math.min(
+  JOB_WORKER.RETRY.BASE_DELAY_MS * 2 ** Math.max(attempts - 1, 0),
+  JOB_WORKER.RETRY.MAX_DELAY_MS
+);
+
+/**
+ * Records a failed attempt: the job is retried after a backoff delay, or
+ * dead-lettered (releasing its dedupe key) once it has used all attempts.
+ *
+ * @param {Object} job - Claimed job
+ * @param {Error} error - The failure
+ * @returns {Promise<boolean>} - True if the job will be retried
+ */
+const failJob = async (job, error) => {
+  const retry = job.attempts < job.maxAttempts;
+  const lastError = String(error?.message || error).slice(0, 1000);
+
+  await prisma.job.updateMany({
+    where: { id: job.id, status: JOB_STATUS.RUNNING, lockedBy: job.lockedBy },
+    data: retry
+      ? {
+        status: JOB_STATUS.PENDING,
+        runAt: new Date(Date.now() + getRetryDelayMs(job.attempts)),
+        lockedAt: null,
+        lockedBy: null,
+        lastError
+      }
+      : {
+        status: JOB_STATUS.DEAD,
+        dedupeKey: null,
+        lockedAt: null,
+        lastError
+      }
+  });
+
+  return retry;
+};
+
+/**
+ * Re-queues running jobs whose lock is older than LOCK_TIMEOUT_MS (their
+ * worker died), dead-lettering those that have no attempts left.
+ *
+ * @returns {Promise<{requeued: number, dead: number}>}
+ */
+const reclaimStaleJobs = async () => {
+  const staleBefore = new Date(Date.now() - JOB_WORKER.LOCK_TIMEOUT_MS);
+  const stale = await prisma.job.findMany({
+    where: { status: JOB_STATUS.RUNNING, lockedAt: { lt: staleBefore } },
+    select: { id: true, attempts: true, maxAttempts: true }
+  });
+
+  const exhaustedIds = stale.filter(job => job.attempts >= job.maxAttempts).map(job => job.id);
+  const retryIds = stale.filter(job => job.attempts < job.maxAttempts).map(job => job.id);
+  const lastError = 'Lock expired (worker stopped while running the job)';
+
+  const [requeued, dead] = await prisma.$transaction([
+    prisma.job.updateMany({
+      where: { id: { in: retryIds }, status: JOB_STATUS.RUNNING },
+      data: { status: JOB_STATUS.PENDING, runAt: new Date(), lockedAt: null, lockedBy: null, lastError }
+    }),
+    prisma.job.updateMany({
+      where: { id: { in: exhaustedIds }, status: JOB_STATUS.RUNNING },
+      data: { status: JOB_STATUS.DEAD, dedupeKey: null, lockedAt: null, lastError }
+    })
+  ]);
+
+  if (requeued.count + dead.count > 0) {
+    console.log(`[Jobs] Reclaimed ${requeued.count} stale jobs (${dead.count} dead-lettered)`);
+  }
+  return { requeued: requeued.count, dead: dead.count };
+};
+
+/**
+ * Deletes completed jobs older than COMPLETED_RETENTION_MS and dead jobs
+ * dead-lettered more than DEAD_RETENTION_MS ago.
+ *
+ * @returns {Promise<number>} - Number of jobs deleted
+ */
+const purgeFinishedJobs = async () => {
+  const now = Date.now();
+  const { count } = await prisma.job.deleteMany({
+    where: {
+      OR: [
+        { status: JOB_STATUS.COMPLETED, completedAt: { lt: new Date(now - JOB_WORKER.COMPLETED_RETENTION_MS) } },
+        { status: JOB_STATUS.DEAD, updatedAt: { lt: new Date(now - JOB_WORKER.DEAD_RETENTION_MS) } }
+      ]
+    }
+  });
+  return count;
+};
+
+/**
+ * Formats a job for API responses.
+ */
+const formatJob = (job) => ({
+  id: job.id,
+  type: job.type,
+  payload: job.payload,
+  status: job.status,
+  dedupeKey: job.dedupeKey,
+  attempts: job.attempts,
+  maxAttempts: job.maxAttempts,
+  runAt: job.runAt,
+  lockedAt: job.lockedAt,
+  lockedBy: job.lockedBy,
+  lastError: job.lastError,
+  completedAt: job.completedAt,
+  createdAt: job.createdAt
+});
+
+/**
+ * Counts jobs per type and status.
+ *
+ * @returns {Promise<Object>} - { [type]: { pending, running, completed, dead } }
+ */
+const getQueueStats = async () => {
+  const groups = await prisma.job.groupBy({
+    by: ['type', 'status'],
+    _count: { _all: true }
+  });
+
+  const stats = {};
+  for (const type of Object.values(JOB_TYPES)) {
+    stats[type] = Object.fromEntries(Object.values(JOB_STATUS).map(status => [status, 0]));
+  }
+  for (const group of groups) {
+    if (stats[group.type]) {
+      stats[group.type][group.status] = group._count._all;
+    }
+  }
+  return stats;
+};
+
+/**
+ * Lists jobs, most recently updated first.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.status] - Only jobs with this status
+ * @param {string} [options.type] - Only jobs of this type
+ * @param {number} [options.limit=100] - Maximum number of jobs
+ * @returns {Promise<Array<Object>>}
+ * @throws {Error} - With statusCode 400 on an unknown status or type
+ */
+const listJobs = async ({ status, type, limit = 100 } = {}) => {
+  if (status && !Object.values(JOB_STATUS).includes(status)) {
+    throw createValidationError(`status must be one of: ${Object.values(JOB_STATUS).join(', ')}`);
+  }
+  if (type && !Object.values(JOB_TYPES).includes(type)) {
+    throw createValidationError(`type must be one of: ${Object.values(JOB_TYPES).join(', ')}`);
+  }
+
+  const jobs = await prisma.job.findMany({
+    where: {
+      ...(status && { status }),
+      ...(type && { type })
+    },
+    orderBy: { updatedAt: 'desc' },
+    take: limit
+  });
+  return jobs.map(formatJob);
+};
+
+/**
+ * Re-queues a dead job with a fresh set of attempts. The job takes its
+ * dedupe key back, so the same work can't be queued again alongside it.
+ *
+ * @param {number} id - Job ID
+ * @returns {Promise<Object|null>} - The re-queued job, or null if it doesn't exist
+ * @throws {Error} - With statusCode 409 if the job is not dead or its work is already queued
+ */
+const retryDeadJob = async (id) => {
+  const job = await prisma.job.findUnique({ where: { id } });
+  if (!job) {
+    return null;
+  }
+
+  const dedupeKey = getDedupeKey(job.type, job.payload);
+  const active = await prisma.job.findUnique({ where: { dedupeKey } });
+  if (active) {
+    throw Object.assign(new Error(`The same work is already queued as job ${active.id}`), { statusCode: 409 });
+  }
+
+  let count;
+  try {
+    ({ count } = await prisma.job.updateMany({
+      where: { id, status: JOB_STATUS.DEAD },
+      data: { status: JOB_STATUS.PENDING, dedupeKey, attempts: 0, runAt: new Date(), lockedBy: null }
+    }));
+  } catch (error) {
+    // Queued by someone else since the check above (unique dedupe key)
+    if (error.code === 'P2002') {
+      throw Object.assign(new Error('The same work was queued in the meantime'), { statusCode: 409 });
+    }
+    throw error;
+  }
+  if (count === 0) {
+    throw Object.assign(new Error(`Job ${id} is ${job.status}, only dead jobs can be retried`), { statusCode: 409 });
+  }
+
+  return formatJob(await prisma.job.findUnique({ where: { id } }));
+};
+
+module.exports = {
+  enqueueJob,
+  enqueueJobs,
+  enqueuePostScrapes,
+  enqueueSubredditScrapes,
+  enqueueStockSearch,
+  enqueueSentimentAnalysis,
+  enqueueScheduledJobRun,
+  enqueueSubredditDiscovery,
+  claimNextJob,
+  renewJobLock,
+  completeJob,
+  failJob,
+  reclaimStaleJobs,
+  purgeFinishedJobs,
+  getQueueStats,
+  listJobs,
+  retryDeadJob
+};
@@ -0,0 +1,197 @@
+/**
+ * Job Run Service
+ *
+ * Records scheduled job runs in job_runs (trigger, duration, items processed,
+ * errors) and keeps the paused flag of each scheduled job in scheduled_jobs,
+ * which every instance checks before a cron run.
+ */
+
+const prisma = require('../config/database');
+const { JOB_RUNS } = require('../config/jobQueue');
+const { INSTANCE_ID } = require('../config/instance');
+const { createValidationError } = require('../utils/httpErrors');
+
+/**
+ * Formats a run for API responses.
+ */
+const formatRun = (run) => ({
+  id: run.id,
+  jobName: run.jobName,
+  trigger: run.trigger,
+  status: run.status,
+  instanceId: run.instanceId,
+  startedAt: run.startedAt,
+  finishedAt: run.finishedAt,
+  durationMs: run.durationMs,
+  itemsProcessed: run.itemsProcessed,
+  errorCount: run.errorCount,
+  error: run.error,
+  details: run.details
+});
+
+/**
+ * Whether a cron run of a job started within DUPLICATE_WINDOW_MS (on any instance).
+ *
+ * @param {string} jobName - Scheduled job name
+ * @returns {Promise<boolean>}
+ */
+const hasRecentCronRun = async (jobName) => {
+  const recent = await prisma.jobRun.findFirst({
+    where: {
+      jobName,
+      trigger: JOB_RUNS.TRIGGERS.CRON,
+      startedAt: { gte: new Date(Date.now() - JOB_RUNS.DUPLICATE_WINDOW_MS) }
+    },
+    select: { id: true }
+  });
+  return recent !== null;
+};
+
+/**
+ * Runs a scheduled job's work and records the run. Must be called while
+ * holding the job's lease: runs of the job still marked running were
+ * interrupted (their instance stopped) and are marked failed first.
+ *
+ * @param {string} jobName - Scheduled job name
+ * @param {string} trigger - JOB_RUNS.TRIGGERS value
+ * @param {Function} work - Async function returning { itemsProcessed, errorCount, details }
+ * @returns {Promise<Object>} - The finished run (completed or failed)
+ */
+const recordRun = async (jobName, trigger, work) => {
+  await prisma.jobRun.updateMany({
+    where: { jobName, status: JOB_RUNS.STATUS.RUNNING },
+    data: {
+      status: JOB_RUNS.STATUS.FAILED,
+      finishedAt: new Date(),
+      error: 'Interrupted (instance stopped during the run)'
+    }
+  });
+
+  const run = await prisma.jobRun.create({
+    data: { jobName, trigger, instanceId: INSTANCE_ID }
+  });
+
+  let data;
+  try {
+    const { itemsProcessed = 0, errorCount = 0, details = null } = (await work()) || {};
+    data = { status: JOB_RUNS.STATUS.COMPLETED, itemsProcessed, errorCount, details };
+  } catch (error) {
+    data = { status: JOB_RUNS.STATUS.FAILED, error: String(error?.message || error).slice(0, 1000) };
+  }
+
+  const finishedAt = new Date();
+  const finished = await prisma.jobRun.update({
+    where: { id: run.id },
+    data: {
+      ...data,
+      finishedAt,
+      durationMs: finishedAt.getTime() - run.startedAt.getTime()
+    }
+  });
+
+  await prisma.jobRun.deleteMany({
+    where: { jobName, startedAt: { lt: new Date(Date.now() - JOB_RUNS.RETENTION_MS) } }
+  });
+
+  return formatRun(finished);
+};
+
+/**
+ * Lists runs, newest first.
+ *
+ * @param {Object} options
+ * @param {string[]} options.jobNames - Known job names (for validation)
+ * @param {string} [options.jobName] - Only runs of this job
+ * @param {string} [options.status] - Only runs with this status
+ * @param {string} [options.trigger] - Only runs with this trigger
+ * @param {number} [options.limit=DEFAULT_LIST_LIMIT] - Maximum number of runs
+ * @returns {Promise<Array<Object>>}
+ * @throws {Error} - With statusCode 400 on an unknown job, status or trigger
+ */
+const listRuns = async ({ jobNames, jobName, status, trigger, limit = JOB_RUNS.DEFAULT_LIST_LIMIT }) => {
+  if (jobName && !jobNames.includes(jobName)) {
+    throw createValidationError(`job must be one of: ${jobNames.join(', ')}`);
+  }
+  if (status && !Object.values(JOB_RUNS.STATUS).includes(status)) {
+    throw createValidationError(`status must be one of: ${Object.values(JOB_RUNS.STATUS).join(', ')}`);
+  }
+  if (trigger && !Object.values(JOB_RUNS.TRIGGERS).includes(trigger)) {
+    throw createValidationError(`trigger must be one of: ${Object.values(JOB_RUNS.TRIGGERS).join(', ')}`);
+  }
+
+  const runs = await prisma.jobRun.findMany({
+    where: {
+      ...(jobName && { jobName }),
+      ...(status && { status }),
+      ...(trigger && { trigger })
+    },
+    orderBy: { startedAt: 'desc' },
+    take: limit
+  });
+  return runs.map(formatRun);
+};
+
+/**
+ * Gets the latest run of each job.
+ *
+ * @param {string[]} jobNames - Scheduled job names
+ * @returns {Promise<Object>} - { [jobName]: run|null }
+ */
+const getLastRuns = async (jobNames) => {
+  const runs = await Promise.all(jobNames.map(jobName => prisma.jobRun.findFirst({
+    where: { jobName },
+    orderBy: { startedAt: 'desc' }
+  })));
+  return Object.fromEntries(jobNames.map((jobName, i) => [jobName, runs[i] ? formatRun(runs[i]) : null]));
+};
+
+/**
+ * Whether a job is paused.
+ *
+ * @param {string} jobName - Scheduled job name
+ * @returns {Promise<boolean>}
+ */
+const isJobPaused = async (jobName) => {
+  const scheduledJob = await prisma.scheduledJob.findUnique({ where: { name: jobName } });
+  return Boolean(scheduledJob?.paused);
+};
+
+/**
+ * Gets the pause state of every job that has one.
+ *
+ * @returns {Promise<Object>} - { [jobName]: { paused, pausedAt } }
+ */
+const getPauseStates = async () => {
+  const scheduledJobs = await prisma.scheduledJob.findMany();
+  return Object.fromEntries(scheduledJobs.map(scheduledJob => [
+    scheduledJob.name,
+    { paused: scheduledJob.paused, pausedAt: scheduledJob.pausedAt }
+  ]));
+};
+
+/**
+ * Pauses or resumes a job on every instance.
+ *
+ * @param {string} jobName - Scheduled job name
+ * @param {boolean} paused
+ * @returns {Promise<{name: string, paused: boolean, pausedAt: Date|null}>}
+ */
+const setJobPaused = async (jobName, paused) => {
+  const data = { paused, pausedAt: paused ? new Date() : null };
+  const scheduledJob = await prisma.scheduledJob.upsert({
+    where: { name: jobName },
+    update: data,
+    create: { name: jobName, ...data }
+  });
+  return { name: scheduledJob.name, paused: scheduledJob.paused, pausedAt: scheduledJob.pausedAt };
+};
+
+module.exports = {
+  hasRecentCronRun,
+  recordRun,
+  listRuns,
+  getLastRuns,
+  isJobPaused,
+  getPauseStates,
+  setJobPaused
+};
@@ -0,0 +1,128 @@
+/**
+ * Mention Matcher
+ *
+ * Detects which stocks a piece of Reddit text (post title, post body or
+ * comment) talks about. A stock counts as mentioned when the text contains:
+ * - a cashtag ($TSLA, $tsla)
+ * - the bare ticker as a whole uppercase word (TSLA, not "tsla"), unless the
+ *   ticker is a common word (see AMBIGUOUS_TICKERS)
+ * - the company name taken from Stock.description ("Tesla")
+ * Only the stocks of the index passed in are matched.
+ */
+
+const {
+  AMBIGUOUS_TICKERS,
+  MIN_COMPANY_NAME_LENGTH
+} = require('../config/mentions');
+
+// Words dropped from Finnhub descriptions to get the company name ("APPLE INC" -> "apple")
+const COMPANY_SUFFIXES = new Set([
+  'inc', 'corp', 'corporation', 'co', 'company', 'ltd', 'limited', 'plc', 'holdings', 'holding',
+  'group', 'sa', 'nv', 'ag', 'se', 'llc', 'lp', 'the', 'class', 'cl', 'a', 'b', 'c', 'adr', 'sponsored', 'com'
+]);
+
+// Ticker-shaped tokens: 1-5 letters with an optional share class suffix (BRK.B)
+const CASHTAG_PATTERN = /\$([A-Za-z]{1,5}(?:\.[A-Za-z]{1,2})?)(?![A-Za-z0-9])/g;
+const WORD_PATTERN = /(?<![A-Za-z0-9$.])([A-Za-z]{1,5}(?:\.[A-Za-z]{1,2})?)(?![A-Za-z0-9])/g;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Extracts a lowercase company name from a Finnhub description.
+ *
+ * @param {string} description - e.g. "GAMESTOP CORP-CLASS A"
+ * @returns {string} - e.g. "gamestop" (empty if nothing is left)
+ */
+const getCompanyName = (description) => {
+  return (description || '')
+    .split('-')[0]
+    .toLowerCase()
+    .replace(/[^a-z0-9& ]/g, ' ')
+    .split(/\s+/)
+    .filter(word => word && !COMPANY_SUFFIXES.has(word))
+    .join(' ');
+};
+
+/**
+ * Builds a lookup of stocks for mention extraction.
+ *
+ * @param {Array<Object>} stocks - Stocks with id, symbol and description
+ * @returns {{bySymbol: Map<string, Object>, companyPatterns: Array<{symbol: string, pattern: RegExp}>, stockIds: Set<number>}}
+ */
+const buildMentionIndex = (stocks) => {
+  const bySymbol = new Map();
+  const companyPatterns = [];
+
+  for (const stock of stocks) {
+    const symbol = stock.symbol.toUpperCase();
+    bySymbol.set(symbol, stock);
+
+    const companyName = getCompanyName(stock.description);
+    if (companyName.length >= MIN_COMPANY_NAME_LENGTH && companyName !== symbol.toLowerCase()) {
+      companyPatterns.push({
+        symbol,
+        pattern: new RegExp(`(^|[^a-z0-9])${escapeRegExp(companyName)}('s)?($|[^a-z0-9])`, 'i')
+      });
+    }
+  }
+
+  return {
+    bySymbol,
+    companyPatterns,
+    stockIds: new Set(stocks.map(stock => stock.id))
+  };
+};
+
+/**
+ * Finds the stocks mentioned in a piece of text.
+ *
+ * @param {string} text - Title, body or comment text
+ * @param {Object} index - Index from buildMentionIndex
+ * @returns {string[]} - Mentioned symbols, sorted
+ */
+const extractMentions = (text, index) => {
+  const mentions = new Set();
+  if (!text) {
+    return [];
+  }
+
+  for (const match of text.matchAll(CASHTAG_PATTERN)) {
+    const symbol = match[1].toUpperCase();
+    if (index.bySymbol.has(symbol)) {
+      mentions.add(symbol);
+    }
+  }
+
+  for (const match of text.matchAll(WORD_PATTERN)) {
+    const symbol = match[1];
+    if (symbol === symbol.toUpperCase() && index.bySymbol.has(symbol) && !AMBIGUOUS_TICKERS.has(symbol)) {
+      mentions.add(symbol);
+    }
+  }
+
+  for (const { symbol, pattern } of index.companyPatterns) {
+    if (pattern.test(text)) {
+      mentions.add(symbol);
+    }
+  }
+
+  return [...mentions].sort();
+};
+
+/**
+ * Checks whether a piece of text mentions a specific stock.
+ *
+ * @param {string} text - Title, body or comment text
+ * @param {Object} stock - Stock with symbol and description
+ * @returns {boolean}
+ */
+const mentionsStock = (text, stock) => {
+  return extractMentions(text, buildMentionIndex([stock])).includes(stock.symbol.toUpperCase());
+};
+
+module.exports = {
+  getCompanyName,
+  buildMentionIndex,
+  extractMentions,
+  mentionsStock
+};
@@ -0,0 +1,50 @@
+/**
+ * Mention Service
+ *
+ * Keeps a cached mention index of the tracked stocks. The matching itself
+ * (cashtags, bare tickers, company names) is in mentionMatcher. Only tracked
+ * stocks are matched, so the thousands of symbols stored by ticker validation
+ * don't turn ordinary words into mentions.
+ */
+
+const prisma = require('../config/database');
+const { TRACKED_STOCKS } = require('../config/stocks');
+const { STOCK_INDEX_TTL_MS } = require('../config').mentions;
+const { getCompanyName, buildMentionIndex, extractMentions, mentionsStock } = require('./mentionMatcher');
+
+let cachedIndex = null;
+let cachedAt = 0;
+
+/**
+ * Gets a mention index of the tracked stocks, cached for STOCK_INDEX_TTL_MS.
+ * Pass a stock ID that must be included to reload the index when a stock
+ * was created or first looked up after it was cached.
+ *
+ * @param {number} [requiredStockId] - Stock that must be present in the index
+ * @returns {Promise<Object>} - Index from buildMentionIndex
+ */
+const getMentionIndex = async (requiredStockId) => {
+  const expired = Date.now() - cachedAt >= STOCK_INDEX_TTL_MS;
+  const missingStock = requiredStockId !== undefined && !cachedIndex?.stockIds.has(requiredStockId);
+
+  if (!cachedIndex || expired || missingStock) {
+    const stocks = await prisma.stock.findMany({
+      where: requiredStockId === undefined
+        ? TRACKED_STOCKS
+        : { OR: [...TRACKED_STOCKS.OR, { id: requiredStockId }] },
+      select: { id: true, symbol: true, description: true }
+    });
+    cachedIndex = buildMentionIndex(stocks);
+    cachedAt = Date.now();
+  }
+
+  return cachedIndex;
+};
+
+module.exports = {
+  getCompanyName,
+  buildMentionIndex,
+  extractMentions,
+  mentionsStock,
+  getMentionIndex
+};
@@ -0,0 +1,124 @@
+/**
+ * Post Service
+ *
+ * Operations on individual Reddit posts, such as rebuilding a post's
+ * comment tree from the stored threading information and attributing a
+ * post to the stocks it is about.
+ */
+
+const prisma = require('../config/database');
+
+/**
+ * Normalizes a post ID to Reddit's fullname format (t3_xxxxx).
+ *
+ * @param {string} postId - Post ID with or without the t3_ prefix
+ * @returns {string}
+ */
+const toPostFullname = (postId) => (postId.startsWith('t3_') ? postId : `t3_${postId}`);
+
+/**
+ * Builds a nested comment tree from flat comment rows.
+ * Comments whose parent wasn't stored (filtered out at ingestion) are
+ * attached at the root; their `parentId` still points at the missing parent.
+ * Replies are ordered by upvotes, highest first.
+ *
+ * @param {Array<Object>} comments - RedditComment rows for a single post
+ * @returns {Array<Object>} - Root-level comment nodes with nested `replies`
+ */
+const buildCommentTree = (comments) => {
+  const nodes = new Map();
+
+  for (const comment of comments) {
+    nodes.set(comment.redditId, {
+      id: comment.redditId,
+      parentId: comment.parentRedditId,
+      author: comment.author,
+      depth: comment.depth,
+      body: comment.body,
+      mentionedSymbols: comment.mentionedSymbols,
+      upvotes: comment.upvotes,
+      createdAt: comment.createdAtUtc.toISOString(),
+      sentiment: comment.sentiment,
+      flagForDelete: comment.flagForDelete,
+      replies: []
+    });
+  }
+
+  const roots = [];
+  for (const node of nodes.values()) {
+    const parent = node.parentId ? nodes.get(node.parentId) : null;
+    if (parent) {
+      parent.replies.push(node);
+    } else {
+      roots.push(node);
+    }
+  }
+
+  const sortByUpvotes = (list) => {
+    list.sort((a, b) => b.upvotes - a.upvotes);
+    list.forEach(node => sortByUpvotes(node.replies));
+    return list;
+  };
+
+  return sortByUpvotes(roots);
+};
+
+/**
+ * Gets a post with its stored comments as a tree.
+ *
+ * @param {string} postId - Reddit post ID (t3_xxxxx or xxxxx)
+ * @returns {Promise<Object|null>} - Post with comment tree, or null if not found
+ */
+const getCommentTree = async (postId) => {
+  const post = await prisma.redditPost.findUnique({
+    where: { redditId: toPostFullname(postId) },
+    include: {
+      stock: true,
+      content: true,
+      comments: true
+    }
+  });
+
+  if (!post) {
+    return null;
+  }
+
+  return {
+    id: post.redditId,
+    stockSymbol: post.stock.symbol,
+    title: post.content?.postContent?.title || '',
+    url: post.url,
+    postTime: post.postTime.toISOString(),
+    totalComments: post.comments.length,
+    numComments: post.numComments,
+    commentsFetched: post.commentsFetched,
+    commentCoverage: post.commentCoverage,
+    comments: buildCommentTree(post.comments)
+  };
+};
+
+/**
+ * Attributes a post to stocks (reddit_post_stocks); existing links are kept.
+ *
+ * @param {number} redditPostId - Database post ID
+ * @param {number[]} stockIds - Stock IDs
+ * @param {string} source - How the post was linked ("search", "subreddit" or "mention")
+ * @returns {Promise<number>} - Number of new links
+ */
+const linkPostToStocks = async (redditPostId, stockIds, source) => {
+  if (stockIds.length === 0) {
+    return 0;
+  }
+
+  const { count } = await prisma.redditPostStock.createMany({
+    data: stockIds.map(stockId => ({ redditPostId, stockId, source })),
+    skipDuplicates: true
+  });
+  return count;
+};
+
+module.exports = {
+  getCommentTree,
+  linkPostToStocks,
+  buildCommentTree
+};
@@ -0,0 +1,312 @@
+/**
+ * Price Service
+ *
+ * Ingests stock quotes and candles from Finnhub into stock_quotes and
+ * stock_price_candles, so price history can be shown next to sentiment.
+ * Finnhub calls go through finnhubClient (logged in external_api_logs).
+ */
+
+const prisma = require('../config/database');
+const { isFinnhubConfigured, finnhubGet, isAccessDeniedError } = require('./finnhubClient');
+const { sleep } = require('../utils/concurrency');
+const {
+  FINNHUB,
+  CANDLE_RESOLUTIONS,
+  PRICE_INGESTION
+} = require('../config/prices');
+const { TRACKED_STOCKS } = require('../config/stocks');
+
+/**
+ * Fetches the current quote for a symbol.
+ *
+ * @param {string} symbol - Stock symbol
+ * @returns {Promise<Object|null>} - Quote data, or null if Finnhub has no quote for the symbol
+ */
+const fetchQuote = async (symbol) => {
+  const data = await finnhubGet('/quote', { symbol }, {
+    requestSummary: `Quote for ${symbol}`,
+    getResponseSummary: (res) => `Price ${res.data?.c ?? 'n/a'}`
+  });
+
+  // Unknown symbols return all zeros
+  if (!data || !data.t || !data.c) {
+    return null;
+  }
+
+  return {
+    price: data.c,
+    change: data.d ?? null,
+    percentChange: data.dp ?? null,
+    open: data.o ?? null,
+    high: data.h ?? null,
+    low: data.l ?? null,
+    previousClose: data.pc ?? null,
+    quotedAt: new Date(data.t * 1000)
+  };
+};
+
+/**
+ * Fetches candles for a symbol.
+ *
+ * @param {string} symbol - Stock symbol
+ * @param {string} resolution - Finnhub resolution (D, 60)
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end
+ * @returns {Promise<Array<Object>>} - Candles, oldest first (empty when there is no data)
+ */
+const fetchCandles = async (symbol, resolution, from, to) => {
+  const data = await finnhubGet('/stock/candle', {
+    symbol,
+    resolution,
+    from: Math.floor(from.getTime() / 1000),
+    to: Math.floor(to.getTime() / 1000)
+  }, {
+    requestSummary: `${CANDLE_RESOLUTIONS[resolution].description} candles for ${symbol}`,
+    getResponseSummary: (res) => `${res.data?.s === 'ok' ? res.data.t.length : 0} candles`
+  });
+
+  if (!data || data.s !== 'ok' || !Array.isArray(data.t)) {
+    return [];
+  }
+
+  return data.t.map((timestamp, i) => ({
+    timestamp: new Date(timestamp * 1000),
+    open: data.o[i],
+    high: data.h[i],
+    low: data.l[i],
+    close: data.c[i],
+    volume: data.v[i] ?? 0
+  }));
+};
+
+/**
+ * Stores a quote; a quote with the same timestamp (market closed) is not
+ * stored twice, but its fields and fetchedAt are refreshed.
+ */
+const saveQuote = (stockId, quote) => prisma.stockQuote.upsert({
+  where: { stockId_quotedAt: { stockId, quotedAt: quote.quotedAt } },
+  update: { ...quote, fetchedAt: new Date() },
+  create: { ...quote, stockId }
+});
+
+/**
+ * Stores candles, replacing stored candles in the same range (the newest
+ * stored candle is usually still forming).
+ *
+ * @returns {Promise<number>} - Number of candles stored
+ */
+const saveCandles = async (stockId, resolution, candles) => {
+  if (candles.length === 0) {
+    return 0;
+  }
+
+  await prisma.$transaction([
+    prisma.stockPriceCandle.deleteMany({
+      where: {
+        stockId,
+        resolution,
+        timestamp: { gte: candles[0].timestamp }
+      }
+    }),
+    prisma.stockPriceCandle.createMany({
+      data: candles.map(candle => ({ ...candle, stockId, resolution })),
+      skipDuplicates: true
+    })
+  ]);
+
+  return candles.length;
+};
+
+/**
+ * Fetches and stores new candles of every configured resolution for a stock.
+ *
+ * @param {Object} stock - Stock row
+ * @returns {Promise<number>} - Number of candles stored
+ */
+const updateStockCandles = async (stock) => {
+  const now = new Date();
+  let stored = 0;
+
+  for (const resolution of Object.keys(CANDLE_RESOLUTIONS)) {
+    const newest = await prisma.stockPriceCandle.findFirst({
+      where: { stockId: stock.id, resolution },
+      orderBy: { timestamp: 'desc' }
+    });
+    const from = newest
+      ? newest.timestamp
+      : new Date(now.getTime() - CANDLE_RESOLUTIONS[resolution].INITIAL_LOOKBACK_MS);
+
+    const candles = await fetchCandles(stock.symbol, resolution, from, now);
+    stored += await saveCandles(stock.id, resolution, candles);
+    await sleep(FINNHUB.REQUEST_DELAY_MS);
+  }
+
+  await prisma.stock.update({
+    where: { id: stock.id },
+    data: { candlesFetchedAt: now }
+  });
+
+  return stored;
+};
+
+/**
+ * Fetches and stores the current quote for a stock.
+ *
+ * @param {Object} stock - Stock row
+ * @returns {Promise<Object|null>} - Stored quote, or null if Finnhub has none
+ */
+const updateStockQuote = async (stock) => {
+  const quote = await fetchQuote(stock.symbol);
+  if (!quote) {
+    return null;
+  }
+  return saveQuote(stock.id, quote);
+};
+
+/**
+ * Gets the tracked stocks whose prices are ingested, least recently attempted
+ * first (so stocks whose ingestion fails don't keep the others out of the run).
+ *
+ * @returns {Promise<Array<Object>>}
+ */
+const getTrackedStocks = () => prisma.stock.findMany({
+  where: TRACKED_STOCKS,
+  orderBy: [{ pricesCheckedAt: { sort: 'asc', nulls: 'first' } }, { id: 'asc' }],
+  take: PRICE_INGESTION.MAX_STOCKS_PER_RUN
+});
+
+/**
+ * Updates quotes (and candles when due) for every tracked stock.
+ * Candles are skipped for the rest of the run if Finnhub denies access to them.
+ *
+ * @returns {Promise<{stocks: number, quotes: number, candles: number, failed: string[]}>}
+ */
+const updateAllStockPrices = async () => {
+  const result = { stocks: 0, quotes: 0, candles: 0, failed: [] };
+  if (!isFinnhubConfigured()) {
+    console.log('[Prices] FINNHUB_API_KEY not set, skipping price ingestion');
+    return result;
+  }
+
+  const stocks = await getTrackedStocks();
+  let candlesDenied = false;
+
+  for (const stock of stocks) {
+    result.stocks++;
+    try {
+      if (await updateStockQuote(stock)) {
+        result.quotes++;
+      }
+      await sleep(FINNHUB.REQUEST_DELAY_MS);
+
+      const candlesDue = !stock.candlesFetchedAt ||
+        Date.now() - stock.candlesFetchedAt.getTime() >= PRICE_INGESTION.CANDLE_REFRESH_MS;
+      if (candlesDue && !candlesDenied) {
+        try {
+          result.candles += await updateStockCandles(stock);
+        } catch (error) {
+          if (!isAccessDeniedError(error)) {
+            throw error;
+          }
+          candlesDenied = true;
+          console.warn('[Prices] Finnhub denied access to candles, only quotes are ingested this run');
+        }
+      }
+    } catch (error) {
+      console.error(`[Prices] Error updating prices for ${stock.symbol}:`, error.message);
+      result.failed.push(stock.symbol);
+    }
+
+    await prisma.stock.update({
+      where: { id: stock.id },
+      data: { pricesCheckedAt: new Date() }
+    });
+  }
+
+  console.log(`[Prices] Updated ${result.quotes} quotes and ${result.candles} candles for ${result.stocks} stocks`);
+  return result;
+};
+
+/**
+ * Formats a stored quote for API responses.
+ */
+const formatQuote = (quote) => ({
+  price: quote.price,
+  change: quote.change,
+  percentChange: quote.percentChange,
+  open: quote.open,
+  high: quote.high,
+  low: quote.low,
+  previousClose: quote.previousClose,
+  quotedAt: quote.quotedAt,
+  fetchedAt: quote.fetchedAt
+});
+
+/**
+ * Gets the latest quote and candle history of a stock. A missing or stale
+ * quote is fetched first when Finnhub is configured.
+ *
+ * @param {string} param - Stock symbol
+ * @param {Object} options
+ * @param {string} options.resolution - Candle resolution (D, 60)
+ * @param {Date} options.from - Candle range start
+ * @param {Date} options.to - Candle range end
+ * @returns {Promise<Object|null>} - Quote and candles, or null if the stock doesn't exist
+ */
+const getStockPrice = async (param, { resolution, from, to }) => {
+  const stock = await prisma.stock.findUnique({
+    where: { symbol: param.toUpperCase() }
+  });
+  if (!stock) {
+    return null;
+  }
+
+  let quote = await prisma.stockQuote.findFirst({
+    where: { stockId: stock.id },
+    orderBy: { quotedAt: 'desc' }
+  });
+
+  if (isFinnhubConfigured() &&
+    (!quote || Date.now() - quote.fetchedAt.getTime() >= PRICE_INGESTION.QUOTE_MAX_AGE_MS)) {
+    try {
+      quote = (await updateStockQuote(stock)) || quote;
+    } catch (error) {
+      console.error(`[Prices] Error fetching quote for ${stock.symbol}:`, error.message);
+    }
+  }
+
+  const candles = await prisma.stockPriceCandle.findMany({
+    where: {
+      stockId: stock.id,
+      resolution,
+      timestamp: { gte: from, lt: to }
+    },
+    orderBy: { timestamp: 'asc' }
+  });
+
+  return {
+    stockSymbol: stock.symbol,
+    quote: quote ? formatQuote(quote) : null,
+    resolution,
+    from: from.toISOString(),
+    to: to.toISOString(),
+    candlesFetchedAt: stock.candlesFetchedAt,
+    candles: candles.map(candle => ({
+      timestamp: candle.timestamp,
+      open: candle.open,
+      high: candle.high,
+      low: candle.low,
+      close: candle.close,
+      volume: candle.volume
+    }))
+  };
+};
+
+module.exports = {
+  fetchQuote,
+  fetchCandles,
+  updateStockQuote,
+  updateStockCandles,
+  updateAllStockPrices,
+  getStockPrice
+};
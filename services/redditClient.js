@@ -0,0 +1,293 @@
+/**
+ * Reddit Client
+ *
+ * Single entry point for Reddit HTTP requests made by redditService.
+ * When OAuth script-app credentials are configured, requests go to
+ * oauth.reddit.com with a bearer token and are paced by a token bucket that
+ * follows Reddit's X-Ratelimit-Remaining/X-Ratelimit-Reset headers. Otherwise
+ * (or while OAuth is failing) requests use the anonymous .json endpoints
+ * through rotating proxies, paced by a separate bucket.
+ */
+
+const axios = require('axios');
+const { REDDIT_OAUTH, REDDIT_ANONYMOUS, REDDIT_REQUEST_BUDGET } = require('../config').redditApi;
+const { withLogging, SERVICES } = require('../utils/apiLogger');
+const { getNextProxyAgent, markProxyFailed } = require('../utils/proxyManager');
+const { getRetryAfterMs } = require('../utils/concurrency');
+const { createTokenBucket } = require('../utils/tokenBucket');
+
+// One shared budget per mode, for every caller
+const oauthBucket = createTokenBucket({
+  capacity: REDDIT_REQUEST_BUDGET.OAUTH.CAPACITY,
+  refillPerSecond: REDDIT_REQUEST_BUDGET.OAUTH.REFILL_PER_SECOND
+});
+const anonymousBucket = createTokenBucket({
+  capacity: REDDIT_REQUEST_BUDGET.ANONYMOUS.CAPACITY,
+  refillPerSecond: REDDIT_REQUEST_BUDGET.ANONYMOUS.REFILL_PER_SECOND
+});
+
+let accessToken = null;
+let accessTokenExpiresAt = 0;
+let tokenRequest = null;
+let oauthDisabledUntil = 0;
+
+/**
+ * Masks credentials in a proxy URL for safe logging.
+ * @param {string|null} proxyUrl - The proxy URL
+ * @returns {string|null} - Masked proxy URL or null
+ */
+const maskProxyUrl = (proxyUrl) => {
+  if (!proxyUrl) return null;
+  return proxyUrl.replace(/:([^:@]+)@/, ':***@');
+};
+
+/**
+ * Checks if an error indicates a proxy failure (connection/network issue)
+ * vs an application-level error (like Reddit returning 403).
+ * Only network errors should mark the proxy as failed.
+ */
+const isProxyError = (error) => {
+  // Network/connection errors that indicate proxy failure
+  const proxyErrorCodes = [
+    'ECONNREFUSED',     // Connection refused
+    'ECONNRESET',       // Connection reset
+    'ETIMEDOUT',        // Connection timed out
+    'ENOTFOUND',        // DNS lookup failed
+    'ENETUNREACH',      // Network unreachable
+    'EHOSTUNREACH',     // Host unreachable
+    'EPROTO',           // Protocol error
+    'EPIPE',            // Broken pipe
+    'ERR_SOCKET_CLOSED' // Socket closed
+  ];
+
+  if (error.code && proxyErrorCodes.includes(error.code)) {
+    return true;
+  }
+
+  // Check for proxy authentication errors
+  if (error.response?.status === 407) {
+    return true; // Proxy authentication required
+  }
+
+  // HTTP errors from the target server (like 403 from Reddit) are NOT proxy errors
+  return false;
+};
+
+/**
+ * Whether OAuth credentials are configured.
+ *
+ * @returns {boolean}
+ */
+const isOAuthConfigured = () => Boolean(
+  REDDIT_OAUTH.CLIENT_ID && REDDIT_OAUTH.CLIENT_SECRET && REDDIT_OAUTH.USERNAME && REDDIT_OAUTH.PASSWORD
+);
+
+/**
+ * Whether requests currently go through OAuth (configured and not in a failure cooldown).
+ *
+ * @returns {boolean}
+ */
+const isOAuthActive = () => isOAuthConfigured() && Date.now() >= oauthDisabledUntil;
+
+/**
+ * Converts a Reddit URL or path into a path ("https://www.reddit.com/r/x/" -> "/r/x/").
+ *
+ * @param {string} urlOrPath
+ * @returns {string}
+ */
+const toRedditPath = (urlOrPath) => {
+  if (urlOrPath.startsWith('/')) {
+    return urlOrPath;
+  }
+  const url = new URL(urlOrPath);
+  return `${url.pathname}${url.search}`;
+};
+
+/**
+ * Fetches (or reuses) an OAuth access token using the script-app password grant.
+ *
+ * @returns {Promise<string>}
+ */
+const getAccessToken = async () => {
+  if (accessToken && Date.now() < accessTokenExpiresAt - REDDIT_OAUTH.TOKEN_REFRESH_MARGIN_MS) {
+    return accessToken;
+  }
+
+  // Share one in-flight token request between concurrent callers
+  if (!tokenRequest) {
+    tokenRequest = (async () => {
+      const response = await withLogging(
+        SERVICES.REDDIT,
+        () => axios.post(
+          REDDIT_OAUTH.TOKEN_URL,
+          new URLSearchParams({
+            grant_type: 'password',
+            username: REDDIT_OAUTH.USERNAME,
+            password: REDDIT_OAUTH.PASSWORD
+          }).toString(),
+          {
+            auth: { username: REDDIT_OAUTH.CLIENT_ID, password: REDDIT_OAUTH.CLIENT_SECRET },
+            headers: {
+              'User-Agent': REDDIT_OAUTH.USER_AGENT,
+              'Content-Type': 'application/x-www-form-urlencoded'
+            }
+          }
+        ),
+        {
+          endpoint: '/api/v1/access_token',
+          method: 'POST',
+          requestSummary: 'Fetch OAuth access token',
+          getResponseSummary: (res) => (res.data?.access_token ? `Token expires in ${res.data.expires_in}s` : `Error: ${res.data?.error}`)
+        }
+      );
+
+      // Reddit reports bad credentials as a 200 with an error field
+      if (!response.data?.access_token) {
+        throw new Error(`Reddit OAuth token request failed: ${response.data?.error || 'no access token'}`);
+      }
+
+      accessToken = response.data.access_token;
+      accessTokenExpiresAt = Date.now() + (response.data.expires_in || 3600) * 1000;
+      return accessToken;
+    })().finally(() => {
+      tokenRequest = null;
+    });
+  }
+
+  return tokenRequest;
+};
+
+/**
+ * Re-syncs the OAuth budget from Reddit's rate-limit headers.
+ */
+const syncBudgetFromHeaders = (headers) => {
+  if (!headers) return;
+  const remaining = parseFloat(headers['x-ratelimit-remaining']);
+  const resetSeconds = parseFloat(headers['x-ratelimit-reset']);
+  oauthBucket.sync(remaining, resetSeconds);
+};
+
+/**
+ * Pauses a budget after a 429 response.
+ */
+const pauseOnRateLimit = (bucket, error) => {
+  if (error.response?.status === 429) {
+    const pauseMs = getRetryAfterMs(error) ?? REDDIT_REQUEST_BUDGET.RATE_LIMITED_PAUSE_MS;
+    console.warn(`[Reddit] Rate limited, pausing requests for ${Math.round(pauseMs / 1000)}s`);
+    bucket.pause(pauseMs);
+  }
+};
+
+/**
+ * GET through the OAuth API. Retries once with a fresh token on 401.
+ */
+const oauthGet = async (path, { endpoint, requestSummary, getResponseSummary }) => {
+  // The OAuth API serves JSON without the .json suffix
+  const oauthPath = path.replace(/\.json(?=\?|$)/, '');
+
+  for (let attempt = 1; ; attempt++) {
+    const token = await getAccessToken();
+    await oauthBucket.acquire();
+
+    try {
+      const response = await withLogging(
+        SERVICES.REDDIT,
+        () => axios.get(`${REDDIT_OAUTH.API_BASE_URL}${oauthPath}`, {
+          headers: {
+            Authorization: `bearer ${token}`,
+            'User-Agent': REDDIT_OAUTH.USER_AGENT
+          }
+        }),
+        { endpoint: `oauth ${endpoint}`, method: 'GET', requestSummary, getResponseSummary }
+      );
+      syncBudgetFromHeaders(response.headers);
+      return response;
+    } catch (error) {
+      syncBudgetFromHeaders(error.response?.headers);
+      pauseOnRateLimit(oauthBucket, error);
+
+      if (error.response?.status === 401 && attempt === 1) {
+        accessToken = null;
+        continue;
+      }
+      throw error;
+    }
+  }
+};
+
+/**
+ * GET through the anonymous .json endpoints, using the next proxy in rotation.
+ */
+const anonymousGet = async (path, { endpoint, requestSummary, getResponseSummary }) => {
+  await anonymousBucket.acquire();
+
+  const proxyResult = getNextProxyAgent();
+  const agent = proxyResult?.agent || null;
+  const proxyUrl = proxyResult?.proxyUrl || null;
+
+  try {
+    return await withLogging(
+      SERVICES.REDDIT,
+      () => axios.get(`${REDDIT_ANONYMOUS.BASE_URL}${path}`, {
+        headers: {
+          'User-Agent': REDDIT_ANONYMOUS.USER_AGENT
+        },
+        httpsAgent: agent,
+        httpAgent: agent
+      }),
+      { endpoint, method: 'GET', requestSummary, getResponseSummary, proxyUsed: maskProxyUrl(proxyUrl) }
+    );
+  } catch (error) {
+    if (proxyUrl && isProxyError(error)) markProxyFailed(proxyUrl);
+    pauseOnRateLimit(anonymousBucket, error);
+    throw error;
+  }
+};
+
+/**
+ * Performs a GET request against Reddit, via OAuth when available and the
+ * anonymous endpoints otherwise. If an OAuth token can't be obtained, OAuth
+ * is skipped for FAILURE_COOLDOWN_MS and the anonymous path is used.
+ *
+ * @param {string} urlOrPath - Reddit path with query string ("/search.json?q=...") or full reddit.com URL
+ * @param {Object} options
+ * @param {string} options.endpoint - Endpoint name for the API log
+ * @param {string} options.requestSummary - Request summary for the API log
+ * @param {Function} options.getResponseSummary - Builds the response summary for the API log
+ * @returns {Promise<Object>} - The axios response
+ */
+const redditGet = async (urlOrPath, options) => {
+  const path = toRedditPath(urlOrPath);
+
+  if (isOAuthActive()) {
+    try {
+      await getAccessToken();
+    } catch (error) {
+      oauthDisabledUntil = Date.now() + REDDIT_OAUTH.FAILURE_COOLDOWN_MS;
+      console.error('[Reddit] OAuth unavailable, falling back to anonymous requests:', error.message);
+    }
+  }
+
+  if (isOAuthActive()) {
+    return oauthGet(path, options);
+  }
+  return anonymousGet(path, options);
+};
+
+/**
+ * Current client mode and request budget, for status reporting.
+ *
+ * @returns {Object}
+ */
+const getRedditClientStatus = () => ({
+  mode: isOAuthActive() ? 'oauth' : 'anonymous',
+  oauthConfigured: isOAuthConfigured(),
+  oauthDisabledUntil: oauthDisabledUntil > Date.now() ? new Date(oauthDisabledUntil) : null,
+  budget: isOAuthActive() ? oauthBucket.getState() : anonymousBucket.getState()
+});
+
+module.exports = {
+  redditGet,
+  isOAuthActive,
+  getRedditClientStatus
+};
@@ -5,145 +5,175 @@
  * posts and scraping post content/comments.
  */
 
-const axios = require('axios');
+const { Prisma } = require('@prisma/client');
 const prisma = require('../config/database');
-const { SCRAPE_INTERVALS, MAX_POST_AGE_MS, RATE_LIMIT } = require('../config').redditScraper;
-const { withLogging, SERVICES } = require('../utils/apiLogger');
-const { getNextProxyAgent, markProxyFailed } = require('../utils/proxyManager');
+const {
+  SCRAPE_PRIORITY,
+  SCRAPE_FAILURES,
+  REDDIT_LISTING,
+  SEARCH_PRESETS,
+  SUBREDDIT_LISTING,
+  MORE_COMMENTS,
+  AUTHOR_KARMA,
+  TIME
+} = require('../config').redditScraper;
+const { redditGet } = require('./redditClient');
+const { resolveCommentFilter, passesCommentFilter } = require('./commentFilterService');
+const { mentionsStock, extractMentions, getMentionIndex } = require('./mentionService');
+const { linkPostToStocks } = require('./postService');
+const { hashBody, getRescrapeRequeueReason, requeueComments } = require('./sentimentReanalysisService');
+const { enqueuePostScrapes, enqueueSubredditScrapes } = require('./jobQueueService');
+const { getSetting, refreshSettings } = require('./settingsService');
+const { SCRAPE_INTERVALS_KEY } = require('../config/settings');
+const { scrapeIntervalSql } = require('./scrapeScheduleService');
 
-/**
- * Masks credentials in a proxy URL for safe logging.
- * @param {string|null} proxyUrl - The proxy URL
- * @returns {string|null} - Masked proxy URL or null
- */
-const maskProxyUrl = (proxyUrl) => {
-  if (!proxyUrl) return null;
-  return proxyUrl.replace(/:([^:@]+)@/, ':***@');
-};
 
 /**
- * Checks if an error indicates a proxy failure (connection/network issue)
- * vs an application-level error (like Reddit returning 403).
- * Only network errors should mark the proxy as failed.
+ * Fetches a Reddit listing page by page, following the `after` cursor.
+ * Each page is a separate (paced and logged) request. A failure
+ * on the first page is thrown; a failure on a later page ends pagination and
+ * keeps what was fetched so far.
+ *
+ * @param {string} baseUrl - Listing path including its query string, without limit/after
+ * @param {Object} options
+ * @param {string} options.endpoint - Endpoint name for the API log
+ * @param {string} options.requestSummary - Request summary for the API log
+ * @param {number} [options.maxPages=1] - Maximum number of pages to fetch
+ * @param {number} [options.pageSize=REDDIT_LISTING.PAGE_SIZE] - Items per page
+ * @param {Function} [options.shouldStop] - Called with each page's children; return true to stop paging
+ * @returns {Promise<Array<Object>>} - Children from all fetched pages
  */
-const isProxyError = (error) => {
-  // Network/connection errors that indicate proxy failure
-  const proxyErrorCodes = [
-    'ECONNREFUSED',     // Connection refused
-    'ECONNRESET',       // Connection reset
-    'ETIMEDOUT',        // Connection timed out
-    'ENOTFOUND',        // DNS lookup failed
-    'ENETUNREACH',      // Network unreachable
-    'EHOSTUNREACH',     // Host unreachable
-    'EPROTO',           // Protocol error
-    'EPIPE',            // Broken pipe
-    'ERR_SOCKET_CLOSED' // Socket closed
-  ];
-
-  if (error.code && proxyErrorCodes.includes(error.code)) {
-    return true;
-  }
+const fetchListing = async (baseUrl, {
+  endpoint,
+  requestSummary,
+  maxPages = 1,
+  pageSize = REDDIT_LISTING.PAGE_SIZE,
+  shouldStop = null
+}) => {
+  const pageBudget = Math.min(Math.max(1, maxPages), REDDIT_LISTING.MAX_PAGES);
+  const separator = baseUrl.includes('?') ? '&' : '?';
+  const children = [];
+  let after = null;
+
+  for (let page = 1; page <= pageBudget; page++) {
+    const pageUrl = `${baseUrl}${separator}limit=${pageSize}${after ? `&after=${after}` : ''}`;
+
+    let response;
+    try {
+      response = await redditGet(pageUrl, {
+        endpoint,
+        requestSummary: page > 1 ? `${requestSummary} (page ${page})` : requestSummary,
+        getResponseSummary: (res) => `Found ${res.data?.data?.children?.length || 0} items`
+      });
+    } catch (error) {
+      if (page === 1) {
+        throw error;
+      }
+      console.error(`Error fetching page ${page} of ${endpoint}:`, error.message);
+      break;
+    }
+
+    const pageChildren = response.data?.data?.children || [];
+    children.push(...pageChildren);
+    after = response.data?.data?.after || null;
 
-  // Check for proxy authentication errors
-  if (error.response?.status === 407) {
-    return true; // Proxy authentication required
+    if (!after || pageChildren.length === 0 || (shouldStop && shouldStop(pageChildren))) {
+      break;
+    }
   }
 
-  // HTTP errors from the target server (like 403 from Reddit) are NOT proxy errors
-  return false;
+  return children;
 };
 
-const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+/**
+ * Stops paging a newest-first listing once a page reaches posts older than the cutoff.
+ *
+ * @param {number} cutoffMs - Oldest post time of interest (epoch ms)
+ * @returns {Function} - shouldStop callback for fetchListing
+ */
+const stopWhenOlderThan = (cutoffMs) => (pageChildren) => {
+  const last = pageChildren[pageChildren.length - 1];
+  return Boolean(last?.data?.created_utc) && last.data.created_utc * 1000 < cutoffMs;
+};
 
-const searchRedditStock = async (param) => {
-  try {
-    const searchUrl = `https://www.reddit.com/search.json?q=${encodeURIComponent(param)}&type=link&sort=hot`;
+/**
+ * Searches Reddit communities (subreddits).
+ *
+ * @param {string} query - Search query (ticker or company name)
+ * @param {number} [limit=10] - Maximum number of communities to return
+ * @returns {Promise<Array<Object>>} - Subreddit data objects (t5) as returned by Reddit
+ */
+const searchRedditCommunities = async (query, limit = 10) => {
+  const response = await redditGet(`/search.json?q=${encodeURIComponent(query)}&type=communities&limit=${limit}`, {
+    endpoint: '/search.json (communities)',
+    requestSummary: `Search subreddits for ${query}`,
+    getResponseSummary: (res) => `Found ${res.data?.data?.children?.length || 0} communities`
+  });
+
+  return (response.data?.data?.children || [])
+    .filter(child => child.kind === 't5')
+    .map(child => child.data);
+};
 
-    const stockSubbredditSearch = `https://www.reddit.com/search.json?q=${encodeURIComponent(param)} stock official subreddit&type=communities`;
+/**
+ * Searches Reddit for posts about a stock.
+ * Only posts whose title or body actually mention the stock (cashtag, ticker
+ * or company name, see mentionService) are returned.
+ *
+ * @param {string} param - Search query (the stock symbol)
+ * @param {Object|null} [stock=null] - Stock row, used to match the company name
+ * @param {Object} [options] - Defaults to SEARCH_PRESETS.REFRESH
+ * @param {string} [options.sort] - "relevance", "hot", "new", "top" or "comments"
+ * @param {string|null} [options.timeframe] - "hour", "day", "week" or "month" (null = no time window)
+ * @param {number} [options.maxPages] - Maximum number of result pages to fetch
+ * @returns {Promise<Object>} - Search result with matching posts
+ */
+const searchRedditStock = async (param, stock = null, {
+  sort = SEARCH_PRESETS.REFRESH.sort,
+  timeframe = SEARCH_PRESETS.REFRESH.timeframe,
+  maxPages = SEARCH_PRESETS.REFRESH.maxPages
+} = {}) => {
+  const mentionTarget = stock || { symbol: param, description: '' };
 
-    // Fetch subreddit search results
-    let proxy1 = null;
-    try {
-      const proxyResult1 = getNextProxyAgent();
-      const agent1 = proxyResult1?.agent || null;
-      proxy1 = proxyResult1?.proxyUrl || null;
-      const subredditResponse = await withLogging(
-        SERVICES.REDDIT,
-        () => axios.get(stockSubbredditSearch, {
-          headers: {
-            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-          },
-          httpsAgent: agent1,
-          httpAgent: agent1
-        }),
-        {
-          endpoint: '/search.json (communities)',
-          method: 'GET',
-          requestSummary: `Search subreddits for ${param}`,
-          getResponseSummary: (res) => `Found ${res.data?.data?.children?.length || 0} communities`,
-          proxyUsed: maskProxyUrl(proxy1)
-        }
-      );
-      // Extract first subreddit (t5) from the response
-      const subredditChildren = subredditResponse.data?.data?.children || [];
-      const firstSubreddit = subredditChildren.find(child => child.kind === 't5');
-
-      if (firstSubreddit) {
-        console.log('First subreddit:', JSON.stringify(firstSubreddit, null, 2));
-      } else {
-        console.log('No subreddits found in response');
-      }
-    } catch (subredditError) {
-      if (proxy1 && isProxyError(subredditError)) markProxyFailed(proxy1);
-      console.error('Error fetching subreddit search:', subredditError.message);
+  try {
+    if (!REDDIT_LISTING.SEARCH_SORTS.includes(sort)) {
+      throw new Error(`Invalid search sort: ${sort}`);
     }
-
-    // Rate limit: wait before making another Reddit API call
-    await sleep(1000);
-
-    // Fetch JSON directly from Reddit API
-    const proxyResult2 = getNextProxyAgent();
-    const agent2 = proxyResult2?.agent || null;
-    const proxy2 = proxyResult2?.proxyUrl || null;
-    let response;
-    try {
-      response = await withLogging(
-        SERVICES.REDDIT,
-        () => axios.get(searchUrl, {
-          headers: {
-            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-          },
-          httpsAgent: agent2,
-          httpAgent: agent2
-        }),
-        {
-          endpoint: '/search.json (posts)',
-          method: 'GET',
-          requestSummary: `Search posts for ${param}`,
-          getResponseSummary: (res) => `Found ${res.data?.data?.children?.length || 0} posts`,
-          proxyUsed: maskProxyUrl(proxy2)
-        }
-      );
-    } catch (searchError) {
-      if (proxy2 && isProxyError(searchError)) markProxyFailed(proxy2);
-      throw searchError;
+    if (timeframe && !REDDIT_LISTING.TIMEFRAMES[timeframe]) {
+      throw new Error(`Invalid search timeframe: ${timeframe}`);
     }
 
-    // Reddit JSON API returns data in data.children array
-    const children = response.data?.data?.children || [];
+    const timeframeParam = timeframe ? `&t=${timeframe}` : '';
+    const searchUrl = `https://www.reddit.com/search.json?q=${encodeURIComponent(param)}&type=link&sort=${sort}${timeframeParam}`;
+    const cutoffMs = timeframe ? Date.now() - REDDIT_LISTING.TIMEFRAMES[timeframe] : null;
+
+    // Fetch JSON directly from Reddit API, following the `after` cursor
+    const children = await fetchListing(searchUrl, {
+      endpoint: '/search.json (posts)',
+      requestSummary: `Search posts for ${param} (sort=${sort}${timeframe ? `, t=${timeframe}` : ''})`,
+      maxPages,
+      // Newest-first results past the time window won't get any newer
+      shouldStop: sort === 'new' && cutoffMs ? stopWhenOlderThan(cutoffMs) : null
+    });
 
     // Extract posts (kind === 't3' is a post/link)
     const posts = [];
-    const stockSymbolUpper = param.toUpperCase();
+    const seenIds = new Set(); // Pages can overlap when new posts shift the listing
 
     for (const child of children) {
-      if (child.kind === 't3') {
+      if (child.kind === 't3' && !seenIds.has(child.data.name)) {
         const postData = child.data;
+        seenIds.add(postData.name);
 
-        // Check if post title contains the stock symbol (case-insensitive)
+        // Skip posts outside the time window
+        if (cutoffMs && postData.created_utc && postData.created_utc * 1000 < cutoffMs) {
+          continue;
+        }
+
+        // Check if the post title or body mentions the stock
         const title = postData.title || '';
-        if (!title.toUpperCase().includes(stockSymbolUpper)) {
-          continue; // Skip posts that don't contain the stock symbol
+        if (!mentionsStock(`${title}\n${postData.selftext || ''}`, mentionTarget)) {
+          continue; // Skip posts that don't mention the stock
         }
 
         // Build the full URL
@@ -180,73 +210,261 @@ const searchRedditStock = async (param) => {
 };
 
 /**
- * Determines if a post should be scraped based on its age and last scrape time.
- * Uses age-based intervals from configuration.
+ * Computes a post's scrape priority (see SCRAPE_PRIORITY): how fast it gained
+ * comments since the previous scrape (or since it was posted) and how many
+ * recent posts its stock has.
  *
- * @param {Object} post - Post object with postTime and scrapedAt properties
- * @returns {boolean} - True if post should be scraped, false otherwise
+ * @param {Object} post - Post row before the scrape (numComments, scrapedAt, postTime, stockId)
+ * @param {number} numComments - Comment count reported by Reddit now
+ * @param {number} now - Time of the scrape (ms)
+ * @returns {Promise<number>}
  */
-const shouldScrapePost = (post) => {
-  const now = Date.now();
-  const postAge = now - post.postTime.getTime();
+const getScrapePriority = async (post, numComments, now) => {
+  const since = post.scrapedAt || post.postTime;
+  const hours = Math.max((now - since.getTime()) / TIME.MS_PER_HOUR, 1 / 60);
+  const newComments = Math.max(numComments - (post.scrapedAt ? post.numComments || 0 : 0), 0);
+
+  const stockPosts = await prisma.redditPost.count({
+    where: {
+      stocks: { some: { stockId: post.stockId } },
+      postTime: { gte: new Date(now - SCRAPE_PRIORITY.POPULARITY_WINDOW_MS) }
+    }
+  });
 
-  // Don't scrape posts older than the maximum age threshold
-  if (postAge >= MAX_POST_AGE_MS) {
-    return false;
+  const priority = SCRAPE_PRIORITY.ACTIVITY_WEIGHT * Math.log1p(newComments / hours) +
+    SCRAPE_PRIORITY.POPULARITY_WEIGHT * Math.log1p(stockPosts);
+  return Math.round(priority * 10000) / 10000;
+};
+
+// Author karma lookups: account id (t2_xxxxx) -> { karma, fetchedAt }.
+// Map order is recency of use, so the first entry is the least recently used.
+const authorKarmaCache = new Map();
+
+/**
+ * Gets an author's cached karma lookup, marking it as recently used.
+ *
+ * @returns {{karma: number|null}|undefined} - undefined if not cached or expired
+ */
+const getCachedKarma = (authorId) => {
+  const cached = authorKarmaCache.get(authorId);
+  if (!cached) {
+    return undefined;
+  }
+  authorKarmaCache.delete(authorId);
+  if (Date.now() - cached.fetchedAt >= AUTHOR_KARMA.CACHE_MS) {
+    return undefined;
   }
+  authorKarmaCache.set(authorId, cached);
+  return cached;
+};
 
-  // If never scraped, always scrape (as long as it's not too old)
-  if (!post.scrapedAt) {
-    return true;
+/**
+ * Caches an author's karma, dropping the least recently used entries past CACHE_MAX_ENTRIES.
+ */
+const cacheKarma = (authorId, karma) => {
+  authorKarmaCache.delete(authorId);
+  authorKarmaCache.set(authorId, { karma, fetchedAt: Date.now() });
+  while (authorKarmaCache.size > AUTHOR_KARMA.CACHE_MAX_ENTRIES) {
+    authorKarmaCache.delete(authorKarmaCache.keys().next().value);
+  }
+};
+
+/**
+ * Looks up the total karma of the authors of some comments, in batches by
+ * account id (see AUTHOR_KARMA). Accounts Reddit doesn't return (deleted,
+ * suspended) are cached as null; failed requests are not cached.
+ *
+ * @param {Array<Object>} comments - Scraped comments (author_id)
+ * @returns {Promise<Map<string, number|null>>} - Account id -> karma, for authors looked up or cached
+ */
+const getAuthorKarmas = async (comments) => {
+  const karmaByAuthor = new Map();
+  const uncached = [];
+
+  for (const authorId of new Set(comments.map(comment => comment.author_id).filter(Boolean))) {
+    const cached = getCachedKarma(authorId);
+    if (cached) {
+      karmaByAuthor.set(authorId, cached.karma);
+    } else {
+      uncached.push(authorId);
+    }
+  }
+
+  const maxLookups = AUTHOR_KARMA.BATCH_SIZE * AUTHOR_KARMA.MAX_REQUESTS_PER_POST;
+  if (uncached.length > maxLookups) {
+    console.warn(`Karma lookup budget reached: ${uncached.length - maxLookups} authors not checked`);
+  }
+
+  for (let i = 0; i < Math.min(uncached.length, maxLookups); i += AUTHOR_KARMA.BATCH_SIZE) {
+    const batch = uncached.slice(i, i + AUTHOR_KARMA.BATCH_SIZE);
+    try {
+      const response = await redditGet(`/api/user_data_by_account_ids.json?ids=${batch.join(',')}`, {
+        endpoint: '/api/user_data_by_account_ids.json',
+        requestSummary: `Karma lookup for ${batch.length} authors`,
+        getResponseSummary: (res) => `Found ${Object.keys(res.data || {}).length} accounts`
+      });
+
+      for (const authorId of batch) {
+        const account = response.data?.[authorId];
+        const karma = account ? (account.link_karma || 0) + (account.comment_karma || 0) : null;
+        cacheKarma(authorId, karma);
+        karmaByAuthor.set(authorId, karma);
+      }
+    } catch (error) {
+      console.warn(`Karma lookup failed for ${batch.length} authors:`, error.message);
+    }
+  }
+
+  return karmaByAuthor;
+};
+
+/**
+ * Converts Reddit comment data (t1) into the flat shape saved by scrapeSinglePost.
+ */
+const toScrapedComment = (commentData, postId, parentId, depth) => ({
+  comment_id: commentData.name, // e.g., "t1_nxur05e"
+  post_id: postId,
+  parent_id: parentId || postId,
+  author: commentData.author || '',
+  author_id: commentData.author_fullname || null, // e.g., "t2_abc12", for karma lookups
+  body: commentData.body || '',
+  score: commentData.score || 0,
+  created_utc: commentData.created_utc || null,
+  depth
+});
+
+/**
+ * Flattens a comment listing into a list of comments (with parent_id for
+ * threading), collecting the "more" stubs Reddit returns in place of the
+ * comments it didn't include.
+ *
+ * @param {Array<Object>} children - Listing children (t1 comments and "more" stubs)
+ * @param {string} postId - Post fullname (t3_xxxxx)
+ * @param {string|null} parentId - Parent fullname, or null for top-level comments
+ * @param {number} depth - Depth of the comments in `children`
+ * @param {Array<Object>} moreStubs - Receives {parentId, depth, children, count} for each stub
+ * @returns {Array<Object>}
+ */
+const flattenComments = (children, postId, parentId, depth, moreStubs) => {
+  const comments = [];
+
+  for (const child of children) {
+    if (child.kind === 't1') { // t1 is a comment
+      const commentData = child.data;
+      comments.push(toScrapedComment(commentData, postId, parentId, depth));
+
+      // Recursively extract replies
+      if (commentData.replies && commentData.replies.data && commentData.replies.data.children) {
+        comments.push(...flattenComments(commentData.replies.data.children, postId, commentData.name, depth + 1, moreStubs));
+      }
+    } else if (child.kind === 'more') {
+      moreStubs.push({
+        parentId: parentId || postId,
+        depth,
+        children: child.data.children || [],
+        count: child.data.count || 0
+      });
+    }
   }
 
-  // Find the appropriate interval rule based on post age
-  const rule = SCRAPE_INTERVALS.find(r => postAge < r.maxAgeMs);
-  if (!rule) {
-    return false; // Shouldn't happen, but safety check
+  return comments;
+};
+
+/**
+ * Resolves "more" stubs into comments within the per-post request budget.
+ * Stubs that list comment IDs go through /api/morechildren; "continue this
+ * thread" stubs (no IDs) are fetched from the parent comment's permalink.
+ * Stubs found in the results are queued too. Whatever is left when the
+ * budget runs out is skipped and shows up as lower comment coverage.
+ *
+ * @param {string} postId - Post fullname (t3_xxxxx)
+ * @param {Array<Object>} moreStubs - Stubs collected by flattenComments
+ * @returns {Promise<{comments: Array<Object>, requests: number, skippedStubs: number}>}
+ */
+const expandMoreComments = async (postId, moreStubs) => {
+  const comments = [];
+  const queue = [...moreStubs];
+  let requests = 0;
+
+  while (queue.length > 0 && requests < MORE_COMMENTS.MAX_REQUESTS_PER_POST) {
+    const stub = queue.shift();
+
+    try {
+      if (stub.children.length > 0) {
+        const ids = stub.children.slice(0, MORE_COMMENTS.IDS_PER_REQUEST);
+        const remaining = stub.children.slice(MORE_COMMENTS.IDS_PER_REQUEST);
+        if (remaining.length > 0) {
+          queue.push({ ...stub, children: remaining, count: remaining.length });
+        }
+
+        requests++;
+        const response = await redditGet(
+          `/api/morechildren.json?api_type=json&link_id=${postId}&children=${ids.join(',')}&limit_children=false`,
+          {
+            endpoint: '/api/morechildren.json',
+            requestSummary: `Expand ${ids.length} more comments on ${postId}`,
+            getResponseSummary: (res) => `Found ${res.data?.json?.data?.things?.length || 0} items`
+          }
+        );
+
+        // morechildren returns a flat list; each item carries its parent and depth
+        for (const thing of response.data?.json?.data?.things || []) {
+          const depth = thing.data.depth ?? stub.depth;
+          if (thing.kind === 't1') {
+            comments.push(toScrapedComment(thing.data, postId, thing.data.parent_id, depth));
+          } else if (thing.kind === 'more') {
+            queue.push({
+              parentId: thing.data.parent_id,
+              depth,
+              children: thing.data.children || [],
+              count: thing.data.count || 0
+            });
+          }
+        }
+      } else if (stub.parentId.startsWith('t1_')) {
+        // "Continue this thread": load the parent comment's own thread
+        requests++;
+        const response = await redditGet(
+          `/comments/${postId.replace(/^t3_/, '')}/_/${stub.parentId.replace(/^t1_/, '')}.json`,
+          {
+            endpoint: 'comment/.json',
+            requestSummary: `Continue thread ${stub.parentId} on ${postId}`,
+            getResponseSummary: (res) => `Found ${res.data?.[1]?.data?.children?.[0]?.data?.replies?.data?.children?.length || 0} replies`
+          }
+        );
+
+        const parent = response.data?.[1]?.data?.children?.[0];
+        const replies = parent?.data?.replies?.data?.children || [];
+        comments.push(...flattenComments(replies, postId, stub.parentId, stub.depth, queue));
+      }
+    } catch (error) {
+      console.warn(`Failed to expand more comments under ${stub.parentId}:`, error.message);
+    }
   }
 
-  // Check if enough time has passed since last scrape
-  const timeSinceLastScrape = now - post.scrapedAt.getTime();
-  return timeSinceLastScrape >= rule.intervalMs;
+  return { comments, requests, skippedStubs: queue.length };
 };
 
 /**
  * Scrapes a single post's content and comments from Reddit.
  * This is the core scraping logic used by both scheduled and on-demand scraping.
  *
- * @param {Object} post - Post object with id and url
+ * @param {Object} post - Post object with id, stockId and url
  * @returns {Promise<boolean>} - True if successful, false otherwise
  */
 const scrapeSinglePost = async (post) => {
-  const proxyResult = getNextProxyAgent();
-  const agent = proxyResult?.agent || null;
-  const proxyUrl = proxyResult?.proxyUrl || null;
-
   try {
     // Fetch post and comments from Reddit JSON API
     const jsonUrl = post.url.endsWith('/') ? `${post.url}.json` : `${post.url}/.json`;
 
-    const jsonResponse = await withLogging(
-      SERVICES.REDDIT,
-      () => axios.get(jsonUrl, {
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-        },
-        httpsAgent: agent,
-        httpAgent: agent
-      }),
-      {
-        endpoint: `${post.redditId || 'post'}/.json`,
-        method: 'GET',
-        requestSummary: `Scrape post ${post.redditId || post.id}`,
-        getResponseSummary: (res) => {
-          const comments = res.data?.[1]?.data?.children?.length || 0;
-          return `Post scraped with ${comments} top-level comments`;
-        },
-        proxyUsed: maskProxyUrl(proxyUrl)
+    const jsonResponse = await redditGet(jsonUrl, {
+      endpoint: `${post.redditId || 'post'}/.json`,
+      requestSummary: `Scrape post ${post.redditId || post.id}`,
+      getResponseSummary: (res) => {
+        const comments = res.data?.[1]?.data?.children?.length || 0;
+        return `Post scraped with ${comments} top-level comments`;
       }
-    );
+    });
 
     // Reddit JSON API returns an array: [post_data, comments_data]
     const postDataJson = jsonResponse.data[0]?.data?.children[0]?.data;
@@ -270,40 +488,28 @@ const scrapeSinglePost = async (post) => {
       selftext: postDataJson.selftext || '' // Post body/content
     };
 
-    // Recursive function to extract all comments (flattened with parent_id for threading)
-    const extractAllComments = (children, postId, parentId = null, depth = 0) => {
-      const comments = [];
-
-      for (const child of children) {
-        if (child.kind === 't1') { // t1 is a comment
-          const commentData = child.data;
-          const commentId = commentData.name; // e.g., "t1_nxur05e"
-
-          const comment = {
-            comment_id: commentId,
-            post_id: postId,
-            parent_id: parentId || postId,
-            author: commentData.author || '',
-            body: commentData.body || '',
-            score: commentData.score || 0,
-            created_utc: commentData.created_utc || null,
-            depth: depth
-          };
-
-          comments.push(comment);
-
-          // Recursively extract replies
-          if (commentData.replies && commentData.replies.data && commentData.replies.data.children) {
-            const replies = extractAllComments(commentData.replies.data.children, postId, commentId, depth + 1);
-            comments.push(...replies);
-          }
-        }
+    // Flatten the comment tree, then resolve "load more comments" stubs
+    const moreStubs = [];
+    const allComments = flattenComments(commentsData, postData.post_id, null, 0, moreStubs);
+
+    if (moreStubs.length > 0) {
+      const expanded = await expandMoreComments(postData.post_id, moreStubs);
+      const seenIds = new Set(allComments.map(comment => comment.comment_id));
+      allComments.push(...expanded.comments.filter(comment => !seenIds.has(comment.comment_id)));
+
+      if (expanded.skippedStubs > 0) {
+        console.log(`Post ${postData.post_id}: comment budget used (${expanded.requests} requests), ${expanded.skippedStubs} more stubs skipped`);
       }
+    }
 
-      return comments;
-    };
+    // How complete the capture is (num_comments also counts deleted/removed comments)
+    const commentCoverage = postData.num_comments > 0
+      ? Math.round(Math.min(1, allComments.length / postData.num_comments) * 1000) / 1000
+      : 1;
 
-    const allComments = extractAllComments(commentsData, postData.post_id);
+    // Tickers mentioned in the post and its comments, for attributing comments to stocks
+    const mentionIndex = await getMentionIndex(post.stockId);
+    const postMentions = extractMentions(`${postData.title}\n${postData.selftext}`, mentionIndex);
 
     // Save to database
     const now = new Date();
@@ -323,31 +529,70 @@ const scrapeSinglePost = async (post) => {
       }
     });
 
-    // Save each comment as a separate row in the reddit_comments table
-    // Filter: only save comments with (score >= 2 OR score <= -2) AND body length >= 10
+    // Save each comment as a separate row in the reddit_comments table,
+    // keeping only comments that pass the filter for this stock/subreddit
+    const commentFilter = await resolveCommentFilter(post.stockId, postDataJson.subreddit);
+
+    // Stored comments, to re-queue edited or heavily re-voted ones for sentiment analysis
+    const storedComments = await prisma.redditComment.findMany({
+      where: { redditPostId: post.id }
+    });
+    const storedById = new Map(storedComments.map(stored => [stored.redditId, stored]));
+
+    // Karma of the authors of comments that pass the other filters
+    const karmaByAuthor = commentFilter.minAuthorKarma !== null
+      ? await getAuthorKarmas(allComments.filter(comment => passesCommentFilter(comment, commentFilter)))
+      : new Map();
+
     for (const comment of allComments) {
       try {
         const commentScore = comment.score || 0;
         const commentBody = comment.body || '';
 
-        if ((commentScore >= 2 || commentScore <= -2) && commentBody.length >= 10) {
+        let keepComment = passesCommentFilter(comment, commentFilter);
+
+        // Karma is only enforced when the lookup succeeds
+        if (keepComment && commentFilter.minAuthorKarma !== null) {
+          const authorKarma = karmaByAuthor.get(comment.author_id) ?? null;
+          keepComment = authorKarma === null || authorKarma >= commentFilter.minAuthorKarma;
+        }
+
+        if (keepComment) {
           const createdAtUtc = comment.created_utc
             ? new Date(comment.created_utc * 1000)
             : new Date();
+          const mentionedSymbols = extractMentions(commentBody, mentionIndex);
+          const bodyHash = hashBody(commentBody);
+
+          const stored = storedById.get(comment.comment_id);
+          const requeueReason = getRescrapeRequeueReason(stored, { bodyHash, upvotes: commentScore });
+          if (requeueReason) {
+            await requeueComments([stored], requeueReason);
+          }
 
           await prisma.redditComment.upsert({
             where: { redditId: comment.comment_id },
             update: {
+              parentRedditId: comment.parent_id,
+              author: comment.author || null,
+              depth: comment.depth,
               body: commentBody,
+              bodyHash,
               upvotes: commentScore,
+              mentionedSymbols,
               createdAtUtc: createdAtUtc,
               scrapedAt: now
             },
             create: {
               redditId: comment.comment_id,
               redditPostId: post.id,
+              parentRedditId: comment.parent_id,
+              author: comment.author || null,
+              depth: comment.depth,
               body: commentBody,
+              bodyHash,
               upvotes: commentScore,
+              mentionedSymbols,
               createdAtUtc: createdAtUtc,
               scrapedAt: now
             }
@@ -358,134 +603,174 @@ const scrapeSinglePost = async (post) => {
       }
     }
 
-    // Update scrapedAt in reddit_posts table
+    // An analyzed post whose title or selftext was edited is analyzed again (the old score counts until then)
+    const contentHash = hashBody(`${postData.title}\n${postData.selftext}`);
+    const contentEdited = Boolean(post.sentToAIAt && post.contentHash && post.contentHash !== contentHash);
+    if (contentEdited) {
+      console.log(`Post ${postData.post_id}: content edited, re-queued for sentiment analysis`);
+    }
+
+    // Update scrapedAt, the next scrape, mentions, score, comment coverage and content hash in reddit_posts table
     await prisma.redditPost.update({
       where: { id: post.id },
-      data: { scrapedAt: now }
+      data: {
+        ...(contentEdited && { sentToAIAt: null, sentimentAttempts: 0, sentimentRetryAt: null }),
+        contentHash,
+        scrapedAt: now,
+        scrapeAttempts: 0,
+        scrapeRetryAt: null,
+        scrapePriority: await getScrapePriority(post, postData.num_comments, now.getTime()),
+        mentionedSymbols: postMentions,
+        upvotes: postData.score,
+        numComments: postData.num_comments,
+        commentsFetched: allComments.length,
+        commentCoverage
+      }
     });
 
+    // Attribute the post to the other tracked stocks its title or body mentions
+    await linkPostToStocks(post.id, postMentions.map(symbol => mentionIndex.bySymbol.get(symbol).id), 'mention');
+
     return true;
   } catch (error) {
-    if (proxyUrl && isProxyError(error)) markProxyFailed(proxyUrl);
     console.error(`Error scraping post ${post.url}:`, error);
     return false;
   }
 };
 
 /**
- * Scrapes content for all posts that need updating based on age-based rules.
- * Used by the scheduled job.
+ * Queues content scrapes for due posts (at most MAX_POSTS_PER_RUN per run; the
+ * rest stay due for the next run). Used by the scheduled job.
+ * Due-ness is computed from the current `scrape-intervals` setting: a post is
+ * due right away if it was never scraped, and otherwise the interval for its age
+ * at the last scrape after that scrape. The posts overdue by the most whole
+ * intervals are queued first, then the highest scrapePriority, so a stale
+ * priority can't hold back posts that have waited longer. Posts waiting after a
+ * failed scrape, or given up on (see SCRAPE_FAILURES), are skipped.
+ *
+ * @returns {Promise<number>} - Number of scrape jobs queued
  */
-const scrapeRedditPostContent = async () => {
-  try {
-    // Get all posts and filter by age-based rules
-    const allPosts = await prisma.redditPost.findMany({
-      include: {
-        content: true
-      }
-    });
-
-    // Filter posts that should be scraped based on age-based rules
-    const postsToScrape = allPosts.filter(shouldScrapePost);
-
-    if (postsToScrape.length === 0) {
-      return;
-    }
-
-    // Process each post
-    for (let i = 0; i < postsToScrape.length; i++) {
-      await scrapeSinglePost(postsToScrape[i]);
+const enqueueDuePostScrapes = async () => {
+  // Use the current intervals, also when run from a script
+  await refreshSettings();
+  const scrapeIntervals = getSetting(SCRAPE_INTERVALS_KEY);
+  const now = Date.now();
 
-      // Sleep between posts (random delay within configured rate limit range)
-      if (i < postsToScrape.length - 1) {
-        const sleepTime = Math.random() * (RATE_LIMIT.MAX_DELAY_MS - RATE_LIMIT.MIN_DELAY_MS) + RATE_LIMIT.MIN_DELAY_MS;
-        await sleep(sleepTime);
-      }
-    }
-  } catch (error) {
-    console.error('Error in scrapeRedditPostContent:', error);
-    throw error;
+  const postTimeMs = Prisma.sql`(EXTRACT(EPOCH FROM p."postTime") * 1000)`;
+  const lastScrapeMs = Prisma.sql`(EXTRACT(EPOCH FROM COALESCE(p."scrapedAt", p."postTime")) * 1000)`;
+  const ageAtLastScrapeMs = Prisma.sql`(EXTRACT(EPOCH FROM COALESCE(p."scrapedAt", p."postTime") - p."postTime") * 1000)`;
+  const duePosts = await prisma.$queryRaw`
+    SELECT "id"
+    FROM (
+      SELECT
+        p."id",
+        p."scrapePriority",
+        CASE WHEN p."scrapedAt" IS NULL THEN ${now}::float8 - ${postTimeMs}
+          ELSE ${now}::float8 - ${lastScrapeMs} - "intervals"."intervalMs"
+        END AS "overdueMs",
+        "intervals"."intervalMs"
+      FROM "reddit_posts" p
+      CROSS JOIN LATERAL (
+        SELECT ${scrapeIntervalSql(ageAtLastScrapeMs, scrapeIntervals)} AS "intervalMs"
+      ) AS "intervals"
+      WHERE p."postTime" > ${new Date(now - scrapeIntervals.maxPostAgeMs)}
+        AND p."scrapeAttempts" < ${SCRAPE_FAILURES.MAX_ATTEMPTS}
+        AND (p."scrapeRetryAt" IS NULL OR p."scrapeRetryAt" <= ${new Date(now)})
+    ) AS "candidates"
+    WHERE "overdueMs" >= 0
+    ORDER BY FLOOR("overdueMs" / "intervalMs") DESC, "scrapePriority" DESC, "overdueMs" DESC
+    LIMIT ${SCRAPE_PRIORITY.MAX_POSTS_PER_RUN}
+  `;
+  if (duePosts.length === 0) {
+    return 0;
   }
+
+  const queued = await enqueuePostScrapes(duePosts.map(post => post.id));
+  console.log(`[Reddit Scraper] ${duePosts.length} posts due, queued ${queued} scrapes`);
+  return queued;
 };
 
 /**
- * Scrapes content for specific posts by their database IDs.
- * Used for on-demand scraping of newly discovered posts.
+ * Records a failed content scrape of a post, delaying its next scheduled scrape
+ * (SCRAPE_FAILURES.BASE_DELAY_MS, doubled on each failure).
  *
- * @param {number[]} postIds - Array of database post IDs to scrape
+ * @param {Object} post - Post row (id, redditId, scrapeAttempts)
+ * @returns {Promise<void>}
  */
-const scrapePostsByIds = async (postIds) => {
-  if (!postIds || postIds.length === 0) {
-    return;
+const recordFailedScrape = async (post) => {
+  const attempts = post.scrapeAttempts + 1;
+  const delay = Math.min(SCRAPE_FAILURES.BASE_DELAY_MS * Math.pow(2, attempts - 1), SCRAPE_FAILURES.MAX_DELAY_MS);
+  if (attempts >= SCRAPE_FAILURES.MAX_ATTEMPTS) {
+    console.warn(`Giving up on scraping post ${post.redditId} after ${attempts} failed attempts`);
   }
 
-  try {
-    // Fetch posts by IDs
-    const posts = await prisma.redditPost.findMany({
-      where: {
-        id: { in: postIds }
-      }
-    });
-
-    if (posts.length === 0) {
-      return;
-    }
-
-    console.log(`Scraping ${posts.length} newly discovered posts...`);
+  await prisma.redditPost.update({
+    where: { id: post.id },
+    data: { scrapeAttempts: attempts, scrapeRetryAt: new Date(Date.now() + delay) }
+  }).catch(error => console.error(`Error recording failed scrape of post ${post.redditId}:`, error.message));
+};
 
-    // Process each post with rate limiting
-    for (let i = 0; i < posts.length; i++) {
-      await scrapeSinglePost(posts[i]);
+/**
+ * Scrapes one post by its database ID (the `scrape-post` job).
+ *
+ * @param {number} postId - Database post ID
+ * @returns {Promise<boolean>} - False if the post no longer exists
+ * @throws {Error} - If the scrape failed, so the job is retried
+ */
+const scrapePostById = async (postId) => {
+  const post = await prisma.redditPost.findUnique({
+    where: { id: postId }
+  });
+  if (!post) {
+    return false;
+  }
 
-      // Sleep between posts
-      if (i < posts.length - 1) {
-        const sleepTime = Math.random() * (RATE_LIMIT.MAX_DELAY_MS - RATE_LIMIT.MIN_DELAY_MS) + RATE_LIMIT.MIN_DELAY_MS;
-        await sleep(sleepTime);
-      }
-    }
-  } catch (error) {
-    console.error('Error in scrapePostsByIds:', error);
-    throw error;
+  if (!(await scrapeSinglePost(post))) {
+    await recordFailedScrape(post);
+    throw new Error(`Scraping post ${post.redditId} failed`);
   }
-}
+  return true;
+};
 
 /**
- * Scrapes posts from a specific subreddit (for official stock subreddits).
- * Fetches hot posts from the past 7 days, excluding stickied posts.
+ * Scrapes posts from a specific subreddit listing, following the `after`
+ * cursor for up to maxPages pages.
+ * Only posts from the past 7 days are kept; stickied posts are skipped unless requested.
  *
  * @param {string} subredditName - Name of the subreddit (without r/ prefix)
  * @param {number} stockId - Database ID of the stock
- * @param {number} limit - Maximum number of posts to fetch (default 25)
+ * @param {Object} [options]
+ * @param {string} [options.listing='hot'] - Listing to fetch: "hot", "new" or "top"
+ * @param {number} [options.limit=25] - Posts per page
+ * @param {number} [options.maxPages=1] - Maximum number of pages to fetch
+ * @param {string|null} [options.timeframe=null] - Window for "top" listings (defaults to SUBREDDIT_LISTING.TOP_TIMEFRAME)
+ * @param {string|null} [options.keyword=null] - Only keep posts whose title or body contains this (case-insensitive)
+ * @param {boolean} [options.includeStickied=false] - Keep stickied posts (e.g. daily discussion threads)
  * @returns {Promise<number[]>} - Array of newly created post IDs
  */
-const scrapeSubredditPosts = async (subredditName, stockId, limit = 25) => {
-  const proxyResult = getNextProxyAgent();
-  const agent = proxyResult?.agent || null;
-  const proxyUrl = proxyResult?.proxyUrl || null;
-
+const scrapeSubredditPosts = async (subredditName, stockId, {
+  listing = 'hot',
+  limit = SUBREDDIT_LISTING.DEFAULT_LIMIT,
+  maxPages = 1,
+  timeframe = null,
+  keyword = null,
+  includeStickied = false
+} = {}) => {
   try {
-    const subredditUrl = `https://www.reddit.com/r/${encodeURIComponent(subredditName)}/hot.json?limit=${limit}`;
-
-    const response = await withLogging(
-      SERVICES.REDDIT,
-      () => axios.get(subredditUrl, {
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-        },
-        httpsAgent: agent,
-        httpAgent: agent
-      }),
-      {
-        endpoint: `/r/${subredditName}/hot.json`,
-        method: 'GET',
-        requestSummary: `Fetch hot posts from r/${subredditName}`,
-        getResponseSummary: (res) => `Found ${res.data?.data?.children?.length || 0} posts`,
-        proxyUsed: maskProxyUrl(proxyUrl)
-      }
-    );
-
-    const children = response.data?.data?.children || [];
+    const timeframeParam = listing === 'top' ? `?t=${timeframe || SUBREDDIT_LISTING.TOP_TIMEFRAME}` : '';
+    const subredditUrl = `https://www.reddit.com/r/${encodeURIComponent(subredditName)}/${listing}.json${timeframeParam}`;
     const sevenDaysAgo = Date.now() - (7 * 24 * 60 * 60 * 1000);
+
+    const children = await fetchListing(subredditUrl, {
+      endpoint: `/r/${subredditName}/${listing}.json`,
+      requestSummary: `Fetch ${listing} posts from r/${subredditName}`,
+      maxPages,
+      pageSize: limit,
+      // Newest-first listings past the 7-day window won't get any newer
+      shouldStop: listing === 'new' ? stopWhenOlderThan(sevenDaysAgo) : null
+    });
+
+    const keywordLower = keyword ? keyword.toLowerCase() : null;
     const newPostIds = [];
 
     for (const child of children) {
@@ -493,13 +778,19 @@ const scrapeSubredditPosts = async (subredditName, stockId, limit = 25) => {
 
       const postData = child.data;
 
-      // Skip stickied posts
-      if (postData.stickied) continue;
+      // Skip stickied posts unless this subreddit tracks them
+      if (postData.stickied && !includeStickied) continue;
 
       // Skip posts older than 7 days
       const postTime = postData.created_utc ? postData.created_utc * 1000 : 0;
       if (postTime < sevenDaysAgo) continue;
 
+      // Skip posts that don't mention the keyword
+      if (keywordLower) {
+        const text = `${postData.title || ''}\n${postData.selftext || ''}`.toLowerCase();
+        if (!text.includes(keywordLower)) continue;
+      }
+
       const redditId = postData.name; // e.g., "t3_xxxxx"
       const permalink = postData.permalink || '';
       const fullUrl = permalink.startsWith('http')
@@ -513,7 +804,7 @@ const scrapeSubredditPosts = async (subredditName, stockId, limit = 25) => {
         });
 
         if (existing) {
-          // Update existing post (don't change source if already set)
+          // Update existing post (don't change source or its first stock) and attribute it to this stock too
           await prisma.redditPost.update({
             where: { redditId },
             data: {
@@ -521,6 +812,7 @@ const scrapeSubredditPosts = async (subredditName, stockId, limit = 25) => {
               postTime: new Date(postTime)
             }
           });
+          await linkPostToStocks(existing.id, [stockId], 'subreddit');
         } else {
           // Create new post with source = 'subreddit'
           const created = await prisma.redditPost.create({
@@ -529,7 +821,8 @@ const scrapeSubredditPosts = async (subredditName, stockId, limit = 25) => {
               url: fullUrl,
               postTime: new Date(postTime),
               stockId,
-              source: 'subreddit'
+              source: 'subreddit',
+              stocks: { create: { stockId, source: 'subreddit' } }
             }
           });
           newPostIds.push(created.id);
@@ -542,64 +835,88 @@ const scrapeSubredditPosts = async (subredditName, stockId, limit = 25) => {
     console.log(`[Subreddit r/${subredditName}] Found ${children.length} posts, saved ${newPostIds.length} new posts`);
     return newPostIds;
   } catch (error) {
-    if (proxyUrl && isProxyError(error)) markProxyFailed(proxyUrl);
     console.error(`Error scraping subreddit r/${subredditName}:`, error.message);
     return [];
   }
 };
 
 /**
- * Scrapes posts from all stocks that have an official subreddit configured.
- * Used by the scheduled cron job.
+ * Scrapes one tracked subreddit (a stock_subreddits row) with its listing
+ * settings and records when it was scraped.
  *
- * @returns {Promise<void>}
+ * @param {Object} stockSubreddit - StockSubreddit row
+ * @returns {Promise<number[]>} - Array of newly created post IDs
  */
-const scrapeAllOfficialSubreddits = async () => {
-  try {
-    // Find all stocks with officialSubreddit set
-    const stocksWithSubreddits = await prisma.stock.findMany({
-      where: {
-        officialSubreddit: { not: null }
-      }
-    });
-
-    if (stocksWithSubreddits.length === 0) {
-      console.log('[Subreddit Scraper] No stocks with official subreddits configured');
-      return;
-    }
-
-    console.log(`[Subreddit Scraper] Scraping ${stocksWithSubreddits.length} official subreddits...`);
-
-    for (let i = 0; i < stocksWithSubreddits.length; i++) {
-      const stock = stocksWithSubreddits[i];
-
-      console.log(`[Subreddit Scraper] Scraping r/${stock.officialSubreddit} for ${stock.symbol}...`);
-
-      const newPostIds = await scrapeSubredditPosts(stock.officialSubreddit, stock.id);
+const scrapeStockSubreddit = async (stockSubreddit) => {
+  const newPostIds = await scrapeSubredditPosts(stockSubreddit.name, stockSubreddit.stockId, {
+    listing: stockSubreddit.listing,
+    limit: stockSubreddit.limit,
+    maxPages: stockSubreddit.maxPages,
+    timeframe: stockSubreddit.timeframe,
+    keyword: stockSubreddit.keyword,
+    includeStickied: stockSubreddit.includeStickied
+  });
+
+  await prisma.stockSubreddit.update({
+    where: { id: stockSubreddit.id },
+    data: { lastScrapedAt: new Date() }
+  });
+
+  return newPostIds;
+};
 
-      // Scrape content for new posts
-      if (newPostIds.length > 0) {
-        await scrapePostsByIds(newPostIds);
-      }
+/**
+ * Scrapes one tracked subreddit by ID (the `scrape-subreddit` job) and
+ * queues content scrapes for its new posts.
+ *
+ * @param {number} stockSubredditId - StockSubreddit ID
+ * @returns {Promise<number|null>} - Number of new posts, or null if the subreddit is gone or disabled
+ */
+const runSubredditScrape = async (stockSubredditId) => {
+  const stockSubreddit = await prisma.stockSubreddit.findUnique({
+    where: { id: stockSubredditId },
+    include: { stock: true }
+  });
+  if (!stockSubreddit || !stockSubreddit.enabled) {
+    return null;
+  }
 
-      // Rate limit between subreddits
-      if (i < stocksWithSubreddits.length - 1) {
-        const sleepTime = Math.random() * (RATE_LIMIT.MAX_DELAY_MS - RATE_LIMIT.MIN_DELAY_MS) + RATE_LIMIT.MIN_DELAY_MS;
-        await sleep(sleepTime);
-      }
-    }
+  console.log(`[Subreddit Scraper] Scraping r/${stockSubreddit.name} (${stockSubreddit.listing}) for ${stockSubreddit.stock.symbol}...`);
+  const newPostIds = await scrapeStockSubreddit(stockSubreddit);
+  await enqueuePostScrapes(newPostIds);
+  return newPostIds.length;
+};
 
-    console.log('[Subreddit Scraper] Completed scraping all official subreddits');
-  } catch (error) {
-    console.error('[Subreddit Scraper] Error:', error);
-    throw error;
+/**
+ * Queues scrapes of every enabled subreddit tracked for any stock.
+ * Used by the scheduled cron job.
+ *
+ * @returns {Promise<number>} - Number of scrape jobs queued
+ */
+const enqueueAllStockSubredditScrapes = async () => {
+  const stockSubreddits = await prisma.stockSubreddit.findMany({
+    where: { enabled: true },
+    select: { id: true },
+    orderBy: [{ stockId: 'asc' }, { id: 'asc' }]
+  });
+
+  if (stockSubreddits.length === 0) {
+    console.log('[Subreddit Scraper] No stock subreddits configured');
+    return 0;
   }
+
+  const queued = await enqueueSubredditScrapes(stockSubreddits.map(stockSubreddit => stockSubreddit.id));
+  console.log(`[Subreddit Scraper] Queued ${queued} of ${stockSubreddits.length} stock subreddits`);
+  return queued;
 };
 
 module.exports = {
   searchRedditStock,
-  scrapeRedditPostContent,
-  scrapePostsByIds,
+  searchRedditCommunities,
+  enqueueDuePostScrapes,
+  scrapePostById,
   scrapeSubredditPosts,
-  scrapeAllOfficialSubreddits
+  scrapeStockSubreddit,
+  runSubredditScrape,
+  enqueueAllStockSubredditScrapes
 };
@@ -0,0 +1,116 @@
+/**
+ * Scoring Service
+ *
+ * Computes aggregate sentiment scores for a set of comments (and posts) using
+ * the upvote/depth/recency weighting model defined in config/sentiment.js.
+ */
+
+const { SCORING } = require('../config/sentiment');
+const { TIME } = require('../config/redditScraper');
+
+/**
+ * Calculates the weight of a single comment in the aggregate score.
+ * Posts (`isPost: true`) are weighted like top-level comments, times POST_WEIGHT.
+ *
+ * @param {Object} comment - Comment or post with upvotes, createdAtUtc and optional depth/isPost
+ * @param {number} now - Reference timestamp in milliseconds
+ * @returns {number} - Weight (> 0)
+ */
+const getCommentWeight = (comment, now) => {
+  const upvotes = comment.upvotes || 0;
+  const upvoteFactor = upvotes > 0
+    ? 1 + SCORING.UPVOTE_LOG_SCALE * Math.log1p(upvotes)
+    : SCORING.NEGATIVE_SCORE_WEIGHT;
+
+  // Comments without threading info are treated as top-level
+  const depthFactor = Math.pow(SCORING.DEPTH_DECAY, comment.depth || 0);
+
+  const ageHours = Math.max(now - comment.createdAtUtc.getTime(), 0) / TIME.MS_PER_HOUR;
+  const recencyFactor = Math.pow(0.5, ageHours / SCORING.HALF_LIFE_HOURS);
+
+  const typeFactor = comment.isPost ? SCORING.POST_WEIGHT : 1;
+
+  return upvoteFactor * depthFactor * recencyFactor * typeFactor;
+};
+
+/**
+ * Aggregates comment sentiment into a weighted score.
+ * Confidence is based on the effective sample size, so a score dominated by a
+ * single heavily weighted comment is reported with low confidence.
+ *
+ * @param {Array<{sentiment: number, upvotes: number, createdAtUtc: Date, depth?: number, isPost?: boolean}>} comments - Analyzed comments and posts
+ * @param {Object} [options]
+ * @param {number} [options.now=Date.now()] - Reference timestamp in milliseconds
+ * @returns {{weighted: number|null, mean: number|null, confidence: number, sampleSize: number, effectiveSampleSize: number}}
+ */
+const aggregateSentiment = (comments, { now = Date.now() } = {}) => {
+  let sentimentSum = 0;
+  let weightedSum = 0;
+  let weightTotal = 0;
+  let weightSquaredTotal = 0;
+
+  for (const comment of comments) {
+    const weight = getCommentWeight(comment, now);
+
+    sentimentSum += comment.sentiment;
+    weightedSum += comment.sentiment * weight;
+    weightTotal += weight;
+    weightSquaredTotal += weight * weight;
+  }
+
+  // Kish effective sample size: (sum of weights)^2 / sum of squared weights
+  const effectiveSampleSize = weightSquaredTotal > 0
+    ? (weightTotal * weightTotal) / weightSquaredTotal
+    : 0;
+
+  return {
+    weighted: weightTotal > 0 ? weightedSum / weightTotal : null,
+    mean: comments.length > 0 ? sentimentSum / comments.length : null,
+    confidence: effectiveSampleSize / (effectiveSampleSize + SCORING.CONFIDENCE_SAMPLE_SIZE),
+    sampleSize: comments.length,
+    effectiveSampleSize
+  };
+};
+
+const isAnalyzed = (item) => !item.flagForDelete && item.sentiment !== null && item.sentiment !== undefined;
+
+/**
+ * Whether a comment's score counts for a stock. Comments are scored against
+ * their post's stock (RedditPost.stockId), so on a post attributed to the
+ * stock through reddit_post_stocks but found for another one, only comments
+ * that mention the stock count.
+ *
+ * @param {Object} comment - Comment with mentionedSymbols
+ * @param {Object} post - Post with stockId
+ * @param {Object} stock - Stock with id and symbol
+ * @returns {boolean}
+ */
+const isCommentScoredForStock = (comment, post, stock) =>
+  post.stockId === stock.id || (comment.mentionedSymbols || []).includes(stock.symbol);
+
+/**
+ * Collects the analyzed comments and posts that count toward a stock's
+ * aggregate: comments per isCommentScoredForStock, and posts whose own score
+ * was computed for the stock (weighted by their score times POST_WEIGHT).
+ *
+ * @param {Array<Object>} posts - Posts attributed to the stock, with comments
+ * @param {Object} stock - Stock with id and symbol
+ * @returns {{comments: Array<Object>, posts: Array<Object>}} - Inputs for aggregateSentiment
+ */
+const getStockSentimentInputs = (posts, stock) => ({
+  comments: posts.flatMap(post =>
+    (post.comments || []).filter(comment => isAnalyzed(comment) && isCommentScoredForStock(comment, post, stock))
+  ),
+  posts: SCORING.POST_WEIGHT > 0
+    ? posts
+      .filter(post => post.stockId === stock.id && isAnalyzed(post))
+      .map(post => ({ sentiment: post.sentiment, upvotes: post.upvotes || 0, createdAtUtc: post.postTime, isPost: true }))
+    : []
+});
+
+module.exports = {
+  getCommentWeight,
+  aggregateSentiment,
+  isCommentScoredForStock,
+  getStockSentimentInputs
+};
@@ -0,0 +1,48 @@
+/**
+ * Scrape Schedule Service
+ *
+ * Age-based content scrape intervals of the `scrape-intervals` setting, as
+ * rules and as SQL for the due-post query (redditService.enqueueDuePostScrapes).
+ */
+
+const { Prisma } = require('@prisma/client');
+
+/**
+ * Lists the age-based scrape interval rules of the `scrape-intervals` setting
+ * that can apply: a post is scraped every `intervalMs` while younger than the
+ * first rule's `maxAgeMs` it is below, and not at all from `maxPostAgeMs` on
+ * (the rule covering it is cut off there, later rules are dropped).
+ *
+ * @param {Object} scrapeIntervals - Value of the `scrape-intervals` setting
+ * @returns {Array<{maxAgeMs: number, intervalMs: number}>}
+ */
+const getScrapeIntervalRules = ({ maxPostAgeMs, intervals }) => {
+  const rules = [];
+  for (const { maxAgeMs, intervalMs } of intervals) {
+    rules.push({ maxAgeMs: Math.min(maxAgeMs, maxPostAgeMs), intervalMs });
+    if (maxAgeMs >= maxPostAgeMs) {
+      break;
+    }
+  }
+  return rules;
+};
+
+/**
+ * Selects the interval (ms) of the rule matching a post age in the database
+ * (NULL past the last rule).
+ *
+ * @param {Prisma.Sql} postAgeMs - Post age in milliseconds
+ * @param {Object} scrapeIntervals - Value of the `scrape-intervals` setting
+ * @returns {Prisma.Sql}
+ */
+const scrapeIntervalSql = (postAgeMs, scrapeIntervals) => Prisma.sql`CASE ${Prisma.join(
+  getScrapeIntervalRules(scrapeIntervals).map(rule =>
+    Prisma.sql`WHEN ${postAgeMs} < ${rule.maxAgeMs}::float8 THEN ${rule.intervalMs}::float8`
+  ),
+  ' '
+)} END`;
+
+module.exports = {
+  getScrapeIntervalRules,
+  scrapeIntervalSql
+};
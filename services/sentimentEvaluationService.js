@@ -0,0 +1,205 @@
+/**
+ * Sentiment Evaluation Service
+ *
+ * Measures sentiment accuracy against hand-labeled comments (sentiment_labels):
+ * mean absolute error, directional accuracy, a confusion matrix across the
+ * bullish/neutral/bearish bands and flagForDelete precision/recall.
+ *
+ * By default the stored scores of the labeled comments are evaluated. Given a
+ * provider, the labeled comments are re-scored with it (nothing is saved),
+ * which works offline with the lexicon provider.
+ */
+
+const prisma = require('../config/database');
+const { EVALUATION } = require('../config/sentiment');
+const { getProvider } = require('./sentimentProviders');
+const { getActivePrompt } = require('./sentimentPromptService');
+const { classifySentiment } = require('./sentimentHistoryService');
+const { buildCommentData, scoreComments } = require('./sentimentService');
+
+const BANDS = ['bullish', 'neutral', 'bearish'];
+
+const round = (value) => Math.round(value * 1000) / 1000;
+const ratio = (numerator, denominator) => (denominator > 0 ? round(numerator / denominator) : null);
+
+/**
+ * Computes accuracy metrics for predicted scores against labels.
+ *
+ * Directional accuracy only counts labels in the bullish or bearish band:
+ * the prediction is right if its score has the same sign.
+ * The confusion matrix is indexed as confusionMatrix[labelBand][predictedBand].
+ *
+ * @param {Array<{label: {sentiment: number, flagForDelete: boolean}, predicted: {sentiment: number, flagForDelete: boolean}}>} pairs
+ * @returns {Object} - count, mae, directionalAccuracy, bandAccuracy, confusionMatrix, flagForDelete
+ */
+const computeMetrics = (pairs) => {
+  const confusionMatrix = Object.fromEntries(
+    BANDS.map(labelBand => [labelBand, Object.fromEntries(BANDS.map(band => [band, 0]))])
+  );
+  let absErrorSum = 0;
+  let directional = 0;
+  let directionalCorrect = 0;
+  let bandCorrect = 0;
+  const flags = { truePositives: 0, falsePositives: 0, falseNegatives: 0 };
+
+  for (const { label, predicted } of pairs) {
+    absErrorSum += Math.abs(predicted.sentiment - label.sentiment);
+
+    const labelBand = classifySentiment(label.sentiment);
+    const predictedBand = classifySentiment(predicted.sentiment);
+    confusionMatrix[labelBand][predictedBand]++;
+    if (labelBand === predictedBand) {
+      bandCorrect++;
+    }
+
+    if (labelBand !== 'neutral') {
+      directional++;
+      if (Math.sign(predicted.sentiment) === Math.sign(label.sentiment)) {
+        directionalCorrect++;
+      }
+    }
+
+    if (predicted.flagForDelete && label.flagForDelete) flags.truePositives++;
+    else if (predicted.flagForDelete) flags.falsePositives++;
+    else if (label.flagForDelete) flags.falseNegatives++;
+  }
+
+  return {
+    count: pairs.length,
+    mae: ratio(absErrorSum, pairs.length),
+    directionalAccuracy: ratio(directionalCorrect, directional),
+    directionalCount: directional,
+    bandAccuracy: ratio(bandCorrect, pairs.length),
+    confusionMatrix,
+    flagForDelete: {
+      ...flags,
+      precision: ratio(flags.truePositives, flags.truePositives + flags.falsePositives),
+      recall: ratio(flags.truePositives, flags.truePositives + flags.falseNegatives)
+    }
+  };
+};
+
+/**
+ * Gets the predictions for labeled comments: their stored scores, or fresh
+ * scores from the given provider.
+ *
+ * @returns {Promise<{scoring: Object, predictions: Map<number, Object>}>}
+ */
+const getPredictions = async (comments, providerName) => {
+  if (!providerName) {
+    const predictions = new Map(comments
+      .filter(comment => comment.sentToAIAt && comment.sentiment !== null)
+      .map(comment => [comment.id, {
+        sentiment: comment.sentiment,
+        flagForDelete: comment.flagForDelete,
+        provider: comment.sentimentProvider,
+        model: comment.sentimentModel,
+        promptVersion: comment.sentimentPromptVersion
+      }]));
+    return { scoring: { source: 'stored' }, predictions };
+  }
+
+  const provider = getProvider(providerName);
+  if (!provider) {
+    throw Object.assign(new Error(`Unknown sentiment provider: ${providerName}`), { statusCode: 400 });
+  }
+  if (!provider.isAvailable()) {
+    throw Object.assign(new Error(`Sentiment provider ${providerName} is not configured`), { statusCode: 503 });
+  }
+
+  const prompt = provider.usesPrompts ? await getActivePrompt('comment') : null;
+  const { model, promptVersion } = provider.getScoringInfo(prompt);
+  const results = await scoreComments(provider, await buildCommentData(comments), prompt);
+
+  const predictions = new Map();
+  for (const [id, result] of results) {
+    if (typeof result.sentiment !== 'number') continue;
+    predictions.set(id, {
+      sentiment: result.sentiment,
+      flagForDelete: result.flagForDelete ?? false,
+      provider: provider.name,
+      model,
+      promptVersion
+    });
+  }
+
+  return {
+    scoring: { source: 'provider', provider: provider.name, model, promptVersion },
+    predictions
+  };
+};
+
+/**
+ * Builds the accuracy report for the labeled comments.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.provider] - Re-score with this provider instead of using stored scores
+ * @param {string} [options.symbol] - Only labels of comments on this stock's posts
+ * @returns {Promise<Object>} - Overall metrics, metrics per model/prompt version and the worst comments
+ * @throws {Error} - With statusCode 400 (unknown provider) or 503 (provider not configured)
+ */
+const evaluateLabels = async ({ provider, symbol } = {}) => {
+  const labels = await prisma.sentimentLabel.findMany({
+    where: symbol ? { comment: { redditPost: { stock: { symbol: symbol.toUpperCase() } } } } : {},
+    include: {
+      comment: {
+        include: {
+          redditPost: {
+            include: {
+              stock: true,
+              content: true
+            }
+          }
+        }
+      }
+    },
+    orderBy: { id: 'asc' }
+  });
+
+  const { scoring, predictions } = await getPredictions(labels.map(label => label.comment), provider);
+
+  const pairs = [];
+  for (const label of labels) {
+    const predicted = predictions.get(label.commentId);
+    if (!predicted) continue;
+    pairs.push({
+      commentId: label.comment.redditId,
+      body: label.comment.body.slice(0, 200),
+      label: { sentiment: label.sentiment, flagForDelete: label.flagForDelete },
+      predicted,
+      error: round(predicted.sentiment - label.sentiment)
+    });
+  }
+
+  const pairsByVersion = new Map();
+  for (const pair of pairs) {
+    const key = [pair.predicted.provider, pair.predicted.model, pair.predicted.promptVersion].join('|');
+    if (!pairsByVersion.has(key)) {
+      pairsByVersion.set(key, []);
+    }
+    pairsByVersion.get(key).push(pair);
+  }
+
+  return {
+    ...scoring,
+    symbol: symbol ? symbol.toUpperCase() : null,
+    labeled: labels.length,
+    compared: pairs.length,
+    unscored: labels.length - pairs.length,
+    metrics: computeMetrics(pairs),
+    byVersion: [...pairsByVersion.values()].map(versionPairs => ({
+      provider: versionPairs[0].predicted.provider,
+      model: versionPairs[0].predicted.model,
+      promptVersion: versionPairs[0].predicted.promptVersion,
+      ...computeMetrics(versionPairs)
+    })),
+    worst: [...pairs]
+      .sort((a, b) => Math.abs(b.error) - Math.abs(a.error))
+      .slice(0, EVALUATION.WORST_COMMENTS)
+  };
+};
+
+module.exports = {
+  computeMetrics,
+  evaluateLabels
+};
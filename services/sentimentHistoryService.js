@@ -0,0 +1,168 @@
+/**
+ * Sentiment History Service
+ *
+ * Buckets analyzed Reddit comments into time intervals so sentiment
+ * trends can be charted per stock. Buckets are aggregated in the database,
+ * so only one row per non-empty bucket is loaded.
+ */
+
+const { Prisma } = require('@prisma/client');
+const prisma = require('../config/database');
+const { SENTIMENT_BANDS, HISTORY } = require('../config/sentiment');
+
+/**
+ * Classifies a sentiment score into a band.
+ *
+ * @param {number} sentiment - Sentiment score between -1 and +1
+ * @returns {'bullish'|'bearish'|'neutral'} - The sentiment band
+ */
+const classifySentiment = (sentiment) => {
+  if (sentiment > SENTIMENT_BANDS.BULLISH_THRESHOLD) return 'bullish';
+  if (sentiment < SENTIMENT_BANDS.BEARISH_THRESHOLD) return 'bearish';
+  return 'neutral';
+};
+
+/**
+ * Index of the bucket a timestamp column falls into (buckets of bucketMs
+ * counted from the epoch, as in bucketSentiment).
+ *
+ * @param {Prisma.Sql} column - Timestamp column
+ * @param {number} bucketMs - Bucket size in milliseconds
+ * @returns {Prisma.Sql}
+ */
+const bucketIndexSql = (column, bucketMs) =>
+  Prisma.sql`FLOOR(EXTRACT(EPOCH FROM ${column}) * 1000 / ${bucketMs})::int`;
+
+/**
+ * Bounds a timestamp column to [from, to). The bounds are passed as ISO
+ * strings cast to timestamp, so they compare as UTC like the stored values.
+ *
+ * @returns {Prisma.Sql}
+ */
+const timeRangeSql = (column, from, to) =>
+  Prisma.sql`${column} >= ${from.toISOString()}::timestamp AND ${column} < ${to.toISOString()}::timestamp`;
+
+/**
+ * Whether a comment (alias c, on post alias p) counts for a stock: the SQL
+ * form of scoringService.isCommentScoredForStock.
+ *
+ * @param {Object} stock - Stock with id and symbol
+ * @returns {Prisma.Sql}
+ */
+const commentScoredForStockSql = (stock) =>
+  Prisma.sql`(p."stockId" = ${stock.id} OR ${stock.symbol} = ANY(c."mentionedSymbols"))`;
+
+/**
+ * Aggregates the analyzed, non-flagged comments that count for a stock per
+ * time bucket (the comments that contribute to the history) in the database:
+ * comments on the posts attributed to the stock (reddit_post_stocks), except
+ * that on posts found for another stock only comments mentioning it count.
+ * Comments are weighted by upvotes for the weighted mean; downvoted and
+ * zero-score comments still count, but only minimally (weight 1).
+ *
+ * @param {Object} stock - Stock with id and symbol
+ * @param {Object} options
+ * @param {number} options.bucketMs - Bucket size in milliseconds
+ * @param {Date} options.from - Start of the range (inclusive)
+ * @param {Date} options.to - End of the range (exclusive)
+ * @returns {Promise<Array<{bucket: number, count: number, sentimentSum: number, weightedSum: number,
+ *   weightTotal: number, bullish: number, bearish: number}>>} - Non-empty buckets only
+ */
+const getSentimentAggregates = (stock, { bucketMs, from, to }) => {
+  const createdAt = Prisma.sql`c."createdAtUtc"`;
+  return prisma.$queryRaw`
+    SELECT
+      ${bucketIndexSql(createdAt, bucketMs)} AS "bucket",
+      COUNT(*)::int AS "count",
+      SUM(c."sentiment")::float AS "sentimentSum",
+      SUM(c."sentiment" * GREATEST(c."upvotes", 1))::float AS "weightedSum",
+      SUM(GREATEST(c."upvotes", 1))::float AS "weightTotal",
+      (COUNT(*) FILTER (WHERE c."sentiment" > ${SENTIMENT_BANDS.BULLISH_THRESHOLD}))::int AS "bullish",
+      (COUNT(*) FILTER (WHERE c."sentiment" < ${SENTIMENT_BANDS.BEARISH_THRESHOLD}))::int AS "bearish"
+    FROM "reddit_comments" c
+    JOIN "reddit_posts" p ON p."id" = c."redditPostId"
+    JOIN "reddit_post_stocks" ps ON ps."redditPostId" = p."id" AND ps."stockId" = ${stock.id}
+    WHERE ${commentScoredForStockSql(stock)}
+      AND c."sentiment" IS NOT NULL
+      AND c."flagForDelete" = false
+      AND ${timeRangeSql(createdAt, from, to)}
+    GROUP BY 1
+  `;
+};
+
+/**
+ * Lays per-bucket aggregates out on fixed-size time buckets between `from`
+ * and `to`. Empty buckets are included (with count 0) so charts have a
+ * continuous axis.
+ *
+ * @param {Array<Object>} aggregates - Rows from getSentimentAggregates
+ * @param {Object} options - Bucketing options
+ * @param {number} options.bucketMs - Bucket size in milliseconds
+ * @param {Date} options.from - Start of the range (inclusive)
+ * @param {Date} options.to - End of the range (exclusive)
+ * @returns {Array<Object>} - Buckets ordered oldest first
+ */
+const bucketSentiment = (aggregates, { bucketMs, from, to }) => {
+  const byIndex = new Map(aggregates.map(row => [row.bucket, row]));
+  const buckets = [];
+
+  for (let start = Math.floor(from.getTime() / bucketMs) * bucketMs; start < to.getTime(); start += bucketMs) {
+    const row = byIndex.get(start / bucketMs);
+    const count = row ? row.count : 0;
+
+    buckets.push({
+      start: new Date(start).toISOString(),
+      end: new Date(start + bucketMs).toISOString(),
+      count,
+      mean: count > 0 ? row.sentimentSum / count : null,
+      weightedMean: row && row.weightTotal > 0 ? row.weightedSum / row.weightTotal : null,
+      bullish: row ? row.bullish : 0,
+      bearish: row ? row.bearish : 0,
+      neutral: row ? count - row.bullish - row.bearish : 0
+    });
+  }
+
+  return buckets;
+};
+
+/**
+ * Gets bucketed sentiment history for a stock.
+ *
+ * @param {string} param - Stock symbol
+ * @param {Object} options - History options
+ * @param {'hour'|'day'} options.interval - Bucket interval
+ * @param {Date} options.from - Start of the range (inclusive)
+ * @param {Date} options.to - End of the range (exclusive)
+ * @returns {Promise<Object|null>} - History response, or null if the stock is unknown
+ */
+const getSentimentHistory = async (param, { interval, from, to }) => {
+  const stock = await prisma.stock.findUnique({
+    where: { symbol: param.toUpperCase() }
+  });
+
+  if (!stock) {
+    return null;
+  }
+
+  const { bucketMs } = HISTORY.INTERVALS[interval];
+  const buckets = bucketSentiment(await getSentimentAggregates(stock, { bucketMs, from, to }), { bucketMs, from, to });
+
+  return {
+    stockSymbol: stock.symbol,
+    interval,
+    from: from.toISOString(),
+    to: to.toISOString(),
+    totalComments: buckets.reduce((total, bucket) => total + bucket.count, 0),
+    buckets
+  };
+};
+
+module.exports = {
+  getSentimentHistory,
+  getSentimentAggregates,
+  bucketSentiment,
+  bucketIndexSql,
+  timeRangeSql,
+  commentScoredForStockSql,
+  classifySentiment
+};
@@ -0,0 +1,132 @@
+/**
+ * Sentiment Label Service
+ *
+ * Manages hand-labeled comments (sentiment_labels table), the ground truth
+ * the sentiment accuracy report compares model scores against. Each comment
+ * has at most one label; labeling it again replaces the label.
+ */
+
+const prisma = require('../config/database');
+const { createValidationError } = require('../utils/httpErrors');
+
+/**
+ * Formats a label (with its comment) for API responses.
+ */
+const formatLabel = (label) => ({
+  id: label.id,
+  commentId: label.comment.redditId,
+  symbol: label.comment.redditPost?.stock?.symbol ?? null,
+  body: label.comment.body,
+  label: {
+    sentiment: label.sentiment,
+    flagForDelete: label.flagForDelete
+  },
+  current: {
+    sentiment: label.comment.sentiment,
+    flagForDelete: label.comment.flagForDelete,
+    provider: label.comment.sentimentProvider,
+    model: label.comment.sentimentModel,
+    promptVersion: label.comment.sentimentPromptVersion
+  },
+  labeledBy: label.labeledBy,
+  notes: label.notes,
+  createdAt: label.createdAt,
+  updatedAt: label.updatedAt
+});
+
+const LABEL_INCLUDE = {
+  comment: {
+    include: {
+      redditPost: { include: { stock: true } }
+    }
+  }
+};
+
+/**
+ * Normalizes a Reddit comment ID to the stored `t1_` form.
+ *
+ * @param {string} commentId - Comment ID with or without the t1_ prefix
+ * @returns {string}
+ */
+const toCommentRedditId = (commentId) => (commentId.startsWith('t1_') ? commentId : `t1_${commentId}`);
+
+/**
+ * Lists labels, newest first.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.symbol] - Only labels of comments on this stock's posts
+ * @returns {Promise<Array<Object>>}
+ */
+const listLabels = async ({ symbol } = {}) => {
+  const labels = await prisma.sentimentLabel.findMany({
+    where: symbol ? { comment: { redditPost: { stock: { symbol: symbol.toUpperCase() } } } } : {},
+    include: LABEL_INCLUDE,
+    orderBy: { updatedAt: 'desc' }
+  });
+  return labels.map(formatLabel);
+};
+
+/**
+ * Labels a comment, replacing its existing label.
+ *
+ * @param {Object} input - commentId (Reddit ID), sentiment (-1 to 1) and optional flagForDelete, labeledBy, notes
+ * @returns {Promise<{label: Object, created: boolean}|null>} - Saved label, or null if the comment doesn't exist
+ * @throws {Error} - With statusCode 400 on invalid input
+ */
+const saveLabel = async (input) => {
+  if (typeof input.commentId !== 'string' || !/^(t1_)?[a-z0-9]+$/i.test(input.commentId)) {
+    throw createValidationError('commentId must be a Reddit comment ID');
+  }
+  if (typeof input.sentiment !== 'number' || !Number.isFinite(input.sentiment) || input.sentiment < -1 || input.sentiment > 1) {
+    throw createValidationError('sentiment must be a number between -1 and 1');
+  }
+  if (input.flagForDelete !== undefined && typeof input.flagForDelete !== 'boolean') {
+    throw createValidationError('flagForDelete must be a boolean');
+  }
+  for (const field of ['labeledBy', 'notes']) {
+    if (input[field] !== undefined && input[field] !== null && typeof input[field] !== 'string') {
+      throw createValidationError(`${field} must be a string or null`);
+    }
+  }
+
+  const comment = await prisma.redditComment.findUnique({
+    where: { redditId: toCommentRedditId(input.commentId) },
+    include: { sentimentLabel: true }
+  });
+  if (!comment) {
+    return null;
+  }
+
+  const data = {
+    sentiment: input.sentiment,
+    flagForDelete: input.flagForDelete ?? false,
+    labeledBy: input.labeledBy?.trim() || null,
+    notes: input.notes?.trim() || null
+  };
+
+  const label = await prisma.sentimentLabel.upsert({
+    where: { commentId: comment.id },
+    update: data,
+    create: { ...data, commentId: comment.id },
+    include: LABEL_INCLUDE
+  });
+
+  return { label: formatLabel(label), created: !comment.sentimentLabel };
+};
+
+/**
+ * Deletes a label.
+ *
+ * @param {number} id - SentimentLabel ID
+ * @returns {Promise<boolean>} - False if the label doesn't exist
+ */
+const deleteLabel = async (id) => {
+  const { count } = await prisma.sentimentLabel.deleteMany({ where: { id } });
+  return count > 0;
+};
+
+module.exports = {
+  listLabels,
+  saveLabel,
+  deleteLabel
+};
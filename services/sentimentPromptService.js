@@ -0,0 +1,193 @@
+/**
+ * Sentiment Prompt Service
+ *
+ * Manages versioned sentiment prompts (sentiment_prompts table). Each kind
+ * (comment, post) has at most one active version, which the LLM providers
+ * use for scoring. The built-in prompts from config/sentimentPrompts.js are
+ * stored as the first active version of their kind the first time it's needed.
+ */
+
+const prisma = require('../config/database');
+const { createValidationError } = require('../utils/httpErrors');
+const {
+  PROMPT_KINDS,
+  DEFAULT_PROMPTS,
+  ACTIVE_PROMPT_CACHE_MS
+} = require('../config/sentimentPrompts');
+
+// kind -> { prompt, loadedAt }
+const activePromptCache = new Map();
+
+/**
+ * Formats a prompt for API responses.
+ */
+const formatPrompt = (prompt) => ({
+  id: prompt.id,
+  kind: prompt.kind,
+  version: prompt.version,
+  rubric: prompt.rubric,
+  model: prompt.model,
+  temperature: prompt.temperature,
+  notes: prompt.notes,
+  isActive: prompt.isActive,
+  activatedAt: prompt.activatedAt,
+  createdAt: prompt.createdAt
+});
+
+/**
+ * Stores the built-in prompt of a kind as its active version if the kind has no versions yet.
+ *
+ * @param {string} kind - Prompt kind
+ */
+const ensureDefaultPrompt = async (kind) => {
+  const existing = await prisma.sentimentPrompt.count({ where: { kind } });
+  if (existing > 0) {
+    return;
+  }
+
+  await prisma.sentimentPrompt.createMany({
+    data: [{ ...DEFAULT_PROMPTS[kind], isActive: true, activatedAt: new Date() }],
+    skipDuplicates: true
+  });
+};
+
+/**
+ * Gets the active prompt version of a kind, cached for ACTIVE_PROMPT_CACHE_MS.
+ * Falls back to the built-in prompt if no version is active.
+ *
+ * @param {string} kind - 'comment' or 'post'
+ * @returns {Promise<Object>} - Prompt with version, rubric, model and temperature
+ */
+const getActivePrompt = async (kind) => {
+  const cached = activePromptCache.get(kind);
+  if (cached && Date.now() - cached.loadedAt < ACTIVE_PROMPT_CACHE_MS) {
+    return cached.prompt;
+  }
+
+  await ensureDefaultPrompt(kind);
+
+  let prompt = await prisma.sentimentPrompt.findFirst({
+    where: { kind, isActive: true }
+  });
+  if (!prompt) {
+    console.warn(`[Sentiment] No active ${kind} prompt, using the built-in ${DEFAULT_PROMPTS[kind].version}`);
+    prompt = DEFAULT_PROMPTS[kind];
+  }
+
+  activePromptCache.set(kind, { prompt, loadedAt: Date.now() });
+  return prompt;
+};
+
+/**
+ * Lists prompt versions, newest first.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.kind] - Only versions of this kind
+ * @returns {Promise<Array<Object>>}
+ */
+const listPrompts = async ({ kind } = {}) => {
+  for (const promptKind of PROMPT_KINDS) {
+    await ensureDefaultPrompt(promptKind);
+  }
+
+  const prompts = await prisma.sentimentPrompt.findMany({
+    where: kind ? { kind } : {},
+    orderBy: [{ kind: 'asc' }, { createdAt: 'desc' }]
+  });
+  return prompts.map(formatPrompt);
+};
+
+/**
+ * Gets a prompt version by ID.
+ *
+ * @param {number} id - Prompt ID
+ * @returns {Promise<Object|null>} - Prompt row, or null if not found
+ */
+const getPrompt = (id) => prisma.sentimentPrompt.findUnique({ where: { id } });
+
+/**
+ * Creates a new (inactive) prompt version.
+ *
+ * @param {Object} input - kind, version, rubric and optional model, temperature, notes
+ * @returns {Promise<Object>} - Created prompt
+ * @throws {Error} - With statusCode 400 (invalid input) or 409 (version already exists)
+ */
+const createPrompt = async (input) => {
+  if (!PROMPT_KINDS.includes(input.kind)) {
+    throw createValidationError(`kind must be one of: ${PROMPT_KINDS.join(', ')}`);
+  }
+  if (typeof input.version !== 'string' || !/^[A-Za-z0-9._-]{1,50}$/.test(input.version)) {
+    throw createValidationError('version must be 1-50 letters, digits, dots, dashes or underscores');
+  }
+  if (typeof input.rubric !== 'string' || !input.rubric.trim()) {
+    throw createValidationError('rubric must be a non-empty string');
+  }
+  if (input.model !== undefined && input.model !== null && (typeof input.model !== 'string' || !input.model.trim())) {
+    throw createValidationError('model must be a non-empty string or null');
+  }
+  if (input.temperature !== undefined && input.temperature !== null &&
+    (typeof input.temperature !== 'number' || input.temperature < 0 || input.temperature > 2)) {
+    throw createValidationError('temperature must be a number between 0 and 2, or null');
+  }
+  if (input.notes !== undefined && input.notes !== null && typeof input.notes !== 'string') {
+    throw createValidationError('notes must be a string or null');
+  }
+
+  await ensureDefaultPrompt(input.kind);
+
+  const existing = await prisma.sentimentPrompt.findUnique({
+    where: { kind_version: { kind: input.kind, version: input.version } }
+  });
+  if (existing) {
+    throw Object.assign(new Error(`Prompt version ${input.version} already exists`), { statusCode: 409 });
+  }
+
+  const prompt = await prisma.sentimentPrompt.create({
+    data: {
+      kind: input.kind,
+      version: input.version,
+      rubric: input.rubric.trim(),
+      model: input.model ? input.model.trim() : null,
+      temperature: input.temperature ?? null,
+      notes: input.notes ?? null
+    }
+  });
+  return formatPrompt(prompt);
+};
+
+/**
+ * Makes a prompt version the active one for its kind. Comments scored with
+ * the previous version are re-queued by the sentiment job.
+ *
+ * @param {number} id - Prompt ID
+ * @returns {Promise<Object|null>} - Activated prompt, or null if not found
+ */
+const activatePrompt = async (id) => {
+  const prompt = await getPrompt(id);
+  if (!prompt) {
+    return null;
+  }
+
+  const activated = await prisma.$transaction(async (tx) => {
+    await tx.sentimentPrompt.updateMany({
+      where: { kind: prompt.kind, isActive: true, id: { not: id } },
+      data: { isActive: false }
+    });
+    return tx.sentimentPrompt.update({
+      where: { id },
+      data: { isActive: true, activatedAt: new Date() }
+    });
+  });
+
+  activePromptCache.delete(prompt.kind);
+  return formatPrompt(activated);
+};
+
+module.exports = {
+  formatPrompt,
+  getActivePrompt,
+  listPrompts,
+  getPrompt,
+  createPrompt,
+  activatePrompt
+};
@@ -0,0 +1,112 @@
+/**
+ * Sentiment Providers
+ *
+ * Registry of sentiment providers. Every provider exposes the same interface:
+ *
+ *   {
+ *     name: string,                                  // recorded as RedditComment.sentimentProvider
+ *     model: string,                                 // default model (or lexicon version)
+ *     usesPrompts: boolean,                          // true for LLM providers that use sentiment prompts
+ *     getScoringInfo(prompt): {model, promptVersion}, // recorded as sentimentModel/sentimentPromptVersion
+ *     isAvailable(): boolean,                        // false when not configured
+ *     analyze(comment, prompt): Promise<{sentiment, flagForDelete}>,
+ *     analyzeBatch(comments, prompt): Promise<Array<{id, sentiment, flagForDelete}>>,
+ *     analyzePost(post, prompt): Promise<{sentiment, flagForDelete, summary}>
+ *   }
+ *
+ * `prompt` is the active sentiment prompt version of the matching kind
+ * (see sentimentPromptService); the lexicon provider ignores it.
+ *
+ * Providers that fail with a non-transient error (missing/invalid key,
+ * exhausted quota, unreachable endpoint) are skipped for a cooldown period.
+ */
+
+const { OpenAI } = require('openai');
+const openai = require('../../config/openai');
+const { PROVIDERS } = require('../../config/sentiment');
+const { SERVICES } = require('../../utils/apiLogger');
+const { createOpenAIProvider } = require('./openaiProvider');
+const { lexiconProvider } = require('./lexiconProvider');
+
+const localClient = PROVIDERS.LOCAL.BASE_URL
+  ? new OpenAI({ baseURL: PROVIDERS.LOCAL.BASE_URL, apiKey: PROVIDERS.LOCAL.API_KEY })
+  : null;
+
+const providers = {
+  openai: createOpenAIProvider({
+    name: 'openai',
+    client: openai,
+    model: PROVIDERS.OPENAI.MODEL,
+    temperature: PROVIDERS.OPENAI.TEMPERATURE,
+    supportsJsonSchema: true,
+    service: SERVICES.OPENAI
+  }),
+  local: createOpenAIProvider({
+    name: 'local',
+    client: localClient,
+    model: PROVIDERS.LOCAL.MODEL,
+    temperature: PROVIDERS.LOCAL.TEMPERATURE,
+    supportsJsonSchema: PROVIDERS.LOCAL.SUPPORTS_JSON_SCHEMA,
+    service: SERVICES.LOCAL_LLM
+  }),
+  lexicon: lexiconProvider
+};
+
+// { providerName: timestamp until which the provider is skipped }
+const unavailableUntil = {};
+
+/**
+ * Gets a provider by name.
+ *
+ * @param {string} name - Provider name (openai, local, lexicon)
+ * @returns {Object|null} - The provider, or null if unknown
+ */
+const getProvider = (name) => providers[name] || null;
+
+/**
+ * Checks whether an error means the provider can't be used right now,
+ * as opposed to a transient failure of a single request.
+ */
+const isProviderUnavailableError = (error) => {
+  if (error.code === 'insufficient_quota') return true;
+  if (error.status === 401 || error.status === 403 || error.status === 404) return true;
+  // Connection errors have no HTTP status (e.g. local endpoint not running)
+  return error.status === undefined && error.name === 'APIConnectionError';
+};
+
+/**
+ * Marks a provider as unavailable for the configured cooldown.
+ *
+ * @param {string} name - Provider name
+ * @param {Error} error - The error that made the provider unavailable
+ */
+const markProviderUnavailable = (name, error) => {
+  unavailableUntil[name] = Date.now() + PROVIDERS.UNAVAILABLE_COOLDOWN_MS;
+  console.warn(`[Sentiment] Provider "${name}" unavailable, falling back: ${error.message}`);
+};
+
+/**
+ * Returns the providers to try, in order: the primary provider, then the
+ * fallback. Providers that aren't configured or are cooling down are skipped.
+ *
+ * @returns {Array<Object>} - Available providers
+ */
+const getProviderChain = () => {
+  const now = Date.now();
+
+  return [PROVIDERS.PRIMARY, PROVIDERS.FALLBACK]
+    .filter((name, index, names) => name && name !== 'none' && names.indexOf(name) === index)
+    .map(name => {
+      const provider = getProvider(name);
+      if (!provider) console.warn(`[Sentiment] Unknown provider "${name}"`);
+      return provider;
+    })
+    .filter(provider => provider && provider.isAvailable() && !(unavailableUntil[provider.name] > now));
+};
+
+module.exports = {
+  getProvider,
+  getProviderChain,
+  isProviderUnavailableError,
+  markProviderUnavailable
+};
@@ -0,0 +1,243 @@
+/**
+ * Lexicon Sentiment Provider
+ *
+ * Scores comments offline using a finance/WSB lexicon: slang, options
+ * positioning ("calls"/"puts") and emoji. Used when no LLM provider is
+ * available, so results are coarser than model scores.
+ */
+
+const { ANALYSIS } = require('../../config/sentiment');
+
+const LEXICON_VERSION = 'finance-lexicon-v1';
+
+// Terms and phrases with their sentiment weight (positive = bullish)
+const TERMS = {
+  // Bullish
+  'bullish': 2,
+  'bull': 1,
+  'moon': 2,
+  'mooning': 2,
+  'to the moon': 2,
+  'calls': 1.5,
+  'tendies': 1.5,
+  'buy': 1,
+  'buying': 1,
+  'bought': 0.8,
+  'loading up': 1.5,
+  'buy the dip': 1.5,
+  'btfd': 1.5,
+  'undervalued': 1.5,
+  'squeeze': 1,
+  'breakout': 1,
+  'rally': 1,
+  'printing': 1.5,
+  'diamond hands': 1.5,
+  'hodl': 1,
+  'hold': 0.5,
+  'holding': 0.5,
+  'yolo': 1,
+  'lfg': 1.5,
+  'green': 0.8,
+  'beat': 0.8,
+  'upside': 1,
+  'long': 0.5,
+
+  // Bearish
+  'bearish': -2,
+  'bear': -1,
+  'puts': -1.5,
+  'short': -1,
+  'shorting': -1.5,
+  'sell': -1,
+  'selling': -1,
+  'sold': -0.8,
+  'dump': -1.5,
+  'dumping': -1.5,
+  'overvalued': -1.5,
+  'bagholder': -1.5,
+  'bagholding': -1.5,
+  'bags': -1,
+  'crash': -1.5,
+  'crashing': -1.5,
+  'tank': -1.5,
+  'tanking': -1.5,
+  'drill': -1.5,
+  'drilling': -1.5,
+  'rug pull': -2,
+  'rugpull': -2,
+  'scam': -1.5,
+  'fraud': -2,
+  'bankrupt': -2,
+  'bankruptcy': -2,
+  'dilution': -1.5,
+  'guh': -1.5,
+  'rekt': -1.5,
+  'red': -0.8,
+  'miss': -0.8,
+  'downside': -1
+};
+
+const EMOJI = {
+  '🚀': 1.5,
+  '🌙': 1,
+  '💎': 1,
+  '🙌': 0.5,
+  '📈': 1,
+  '🐂': 1.5,
+  '🔥': 0.5,
+  '🐻': -1.5,
+  '📉': -1,
+  '🩸': -1,
+  '🤡': -0.5
+};
+
+// Words that flip the sentiment of the term that follows them
+const NEGATIONS = new Set(['not', 'no', 'never', "don't", 'dont', "isn't", 'isnt', "wasn't", "aren't", "won't", 'wont', "can't", 'cant']);
+
+// How many words before a term are checked for a negation
+const NEGATION_WINDOW = 2;
+
+// Raw lexicon totals are squashed into [-1, 1]; a total of SCALE maps to ~0.76
+const SCALE = 3;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const TERM_PATTERNS = Object.entries(TERMS).map(([term, weight]) => ({
+  weight,
+  pattern: new RegExp(`(^|[^a-z0-9])${escapeRegExp(term)}(?=$|[^a-z0-9])`, 'g')
+}));
+
+// Short replies that adopt (or reject) the parent comment's stance
+const AGREEMENTS = new Set(['this', 'so much this', 'exactly', 'agreed', 'agree', 'same', 'facts', 'true', 'yep', 'yes', '100%', '+1', 'this is the way']);
+const DISAGREEMENTS = new Set(['no', 'nope', 'wrong', 'disagree', 'cope', 'doubt', 'lol no']);
+
+// Comments that are only a link, image or gif carry no opinion
+const LINK_ONLY_PATTERN = /^\s*(https?:\/\/\S+|!\[(gif|img)\]\([^)]*\))\s*$/i;
+
+/**
+ * Checks whether the words right before a match contain a negation.
+ */
+const isNegated = (text, index) => {
+  const precedingWords = text.slice(0, index).split(/\s+/).filter(Boolean).slice(-NEGATION_WINDOW);
+  return precedingWords.some(word => NEGATIONS.has(word));
+};
+
+/**
+ * Scores text against the lexicon.
+ *
+ * @param {string} text - Comment body
+ * @returns {{sentiment: number, hits: number}} - Score in [-1, 1] and the number of lexicon hits
+ */
+const scoreText = (text) => {
+  const lower = (text || '').toLowerCase();
+  let total = 0;
+  let hits = 0;
+
+  for (const { weight, pattern } of TERM_PATTERNS) {
+    pattern.lastIndex = 0;
+    let match;
+    while ((match = pattern.exec(lower)) !== null) {
+      const termIndex = match.index + match[1].length;
+      total += isNegated(lower, termIndex) ? -weight : weight;
+      hits++;
+    }
+  }
+
+  for (const [emoji, weight] of Object.entries(EMOJI)) {
+    const count = lower.split(emoji).length - 1;
+    total += count * weight;
+    hits += count;
+  }
+
+  return {
+    sentiment: Math.round(Math.tanh(total / SCALE) * 100) / 100,
+    hits
+  };
+};
+
+/**
+ * Analyzes a single comment.
+ *
+ * @param {Object} comment - Comment data with body and optional parentBody
+ * @returns {Promise<{sentiment: number, flagForDelete: boolean}>}
+ */
+const analyze = async (comment) => {
+  let { sentiment, hits } = scoreText(comment.body);
+
+  // Read bare agreement/disagreement replies in the context of the parent comment
+  if (hits === 0 && comment.parentBody) {
+    const reply = (comment.body || '').toLowerCase().replace(/[.!?]+$/, '').trim();
+    if (AGREEMENTS.has(reply)) {
+      sentiment = scoreText(comment.parentBody).sentiment;
+    } else if (DISAGREEMENTS.has(reply)) {
+      sentiment = -scoreText(comment.parentBody).sentiment;
+    }
+  }
+
+  return {
+    sentiment,
+    flagForDelete: LINK_ONLY_PATTERN.test(comment.body || '')
+  };
+};
+
+/**
+ * Analyzes several comments.
+ *
+ * @param {Array<Object>} comments - Comment data objects with id and body
+ * @returns {Promise<Array<{id: number, sentiment: number, flagForDelete: boolean}>>}
+ */
+const analyzeBatch = async (comments) => {
+  const results = [];
+  for (const comment of comments) {
+    results.push({ id: comment.id, ...(await analyze(comment)) });
+  }
+  return results;
+};
+
+/**
+ * Builds an extractive summary: the first sentence of the body, or the title
+ * when the post has no text.
+ */
+const summarizePost = (post) => {
+  const body = (post.body || '').trim();
+  const source = body && !LINK_ONLY_PATTERN.test(body) ? body : (post.title || '');
+  const firstSentence = source.split(/(?<=[.!?])\s+|\n+/)[0].trim();
+  return firstSentence.slice(0, ANALYSIS.MAX_SUMMARY_LENGTH);
+};
+
+/**
+ * Analyzes a post's title and selftext together. Bare link/media posts are
+ * flagged (like link-only comments) unless the title names the stock or
+ * carries a lexicon hit.
+ *
+ * @param {Object} post - Post data with stockTicker, title, body and mentionedSymbols
+ * @returns {Promise<{sentiment: number, flagForDelete: boolean, summary: string}>}
+ */
+const analyzePost = async (post) => {
+  const { sentiment } = scoreText(`${post.title || ''}\n${post.body || ''}`);
+  const body = (post.body || '').trim();
+  const isBareLink = !body || LINK_ONLY_PATTERN.test(body);
+  const titleMentionsStock = (post.mentionedSymbols || []).includes(post.stockTicker);
+
+  return {
+    sentiment,
+    flagForDelete: isBareLink && !titleMentionsStock && scoreText(post.title).hits === 0,
+    summary: summarizePost(post)
+  };
+};
+
+const lexiconProvider = {
+  name: 'lexicon',
+  model: LEXICON_VERSION,
+  usesPrompts: false,
+  getScoringInfo: () => ({ model: LEXICON_VERSION, promptVersion: null }),
+  isAvailable: () => true,
+  analyze,
+  analyzeBatch,
+  analyzePost
+};
+
+module.exports = {
+  lexiconProvider,
+  scoreText
+};
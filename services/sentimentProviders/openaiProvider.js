@@ -0,0 +1,343 @@
+/**
+ * OpenAI Sentiment Provider
+ *
+ * Scores comments and posts with a chat completion model. Works with the
+ * OpenAI API and with any OpenAI-compatible endpoint (used by the "local"
+ * provider). The system prompt, and optionally the model and temperature,
+ * come from the active sentiment prompt version (see sentimentPromptService).
+ */
+
+const { ANALYSIS } = require('../../config/sentiment');
+const { DEFAULT_PROMPTS } = require('../../config/sentimentPrompts');
+const { logApiRequest } = require('../../utils/apiLogger');
+const { retryWithBackoff } = require('../../utils/concurrency');
+
+// JSON response formats appended to each prompt's rubric (must match the parsing below)
+const SINGLE_RESPONSE_INSTRUCTIONS = 'Return JSON only: {"sentiment": <number>, "flagForDelete": <boolean>}';
+
+const BATCH_RESPONSE_INSTRUCTIONS = `You will receive several comments, each prefixed with its id. Score every comment independently.
+Return JSON only: {"results": [{"id": <id>, "sentiment": <number>, "flagForDelete": <boolean>}]} with one entry per comment id.`;
+
+const POST_RESPONSE_INSTRUCTIONS = 'Return JSON only: {"sentiment": <number>, "flagForDelete": <boolean>, "summary": <string>}';
+
+// Structured output schema for batch responses
+const BATCH_RESPONSE_FORMAT = {
+  type: 'json_schema',
+  json_schema: {
+    name: 'comment_sentiments',
+    strict: true,
+    schema: {
+      type: 'object',
+      properties: {
+        results: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              id: { type: 'integer' },
+              sentiment: { type: 'number' },
+              flagForDelete: { type: 'boolean' }
+            },
+            required: ['id', 'sentiment', 'flagForDelete'],
+            additionalProperties: false
+          }
+        }
+      },
+      required: ['results'],
+      additionalProperties: false
+    }
+  }
+};
+
+/**
+ * Validates a score returned by the model: sentiment must be a finite number
+ * (clamped to [-1, 1]) and flagForDelete a boolean.
+ *
+ * @param {Object} result - Parsed result
+ * @returns {Object|null} - Result with the clamped sentiment, or null if invalid
+ */
+const validateResult = (result) => {
+  if (!result || typeof result.sentiment !== 'number' || !Number.isFinite(result.sentiment) ||
+    typeof result.flagForDelete !== 'boolean') {
+    return null;
+  }
+  return { ...result, sentiment: Math.min(Math.max(result.sentiment, -1), 1) };
+};
+
+/**
+ * Parses a single-item response, throwing if the score is invalid so the
+ * caller records a failed attempt.
+ *
+ * @param {Object} response - Chat completion response
+ * @returns {Object} - Validated result
+ */
+const parseSingleResult = (response) => {
+  const content = response.choices[0].message.content;
+  const result = validateResult(JSON.parse(content));
+  if (!result) {
+    throw new Error(`Invalid sentiment result: ${content.slice(0, 200)}`);
+  }
+  return result;
+};
+
+/**
+ * Rate limits (except exhausted quota) and server errors are worth retrying.
+ */
+const isRetryableError = (error) => {
+  if (error.status === 429) {
+    return error.code !== 'insufficient_quota';
+  }
+  return error.status >= 500;
+};
+
+const truncateBody = (body) => (body || '').slice(0, ANALYSIS.MAX_BODY_LENGTH);
+
+/**
+ * Formats a comment (with its parent or post context, if any) for a prompt.
+ */
+const formatComment = (comment) => {
+  const lines = [`Stock: ${comment.stockTicker}`];
+
+  if (comment.parentBody) {
+    lines.push(`Parent comment: ${comment.parentBody.slice(0, ANALYSIS.MAX_CONTEXT_LENGTH)}`);
+  } else if (comment.postTitle) {
+    lines.push(`Post title: ${comment.postTitle.slice(0, ANALYSIS.MAX_CONTEXT_LENGTH)}`);
+  }
+
+  lines.push(`Comment: ${truncateBody(comment.body)}`);
+  return lines.join('\n');
+};
+
+/**
+ * Formats a post (title and selftext) for a prompt.
+ */
+const formatPost = (post) => {
+  const lines = [`Stock: ${post.stockTicker}`];
+  if (post.subreddit) {
+    lines.push(`Subreddit: ${post.subreddit}`);
+  }
+  lines.push(`Title: ${post.title || ''}`);
+  lines.push(`Body: ${(post.body || '').slice(0, ANALYSIS.MAX_POST_BODY_LENGTH) || '(no text)'}`);
+  return lines.join('\n');
+};
+
+/**
+ * Creates a sentiment provider backed by an OpenAI-compatible client.
+ *
+ * @param {Object} options
+ * @param {string} options.name - Provider name recorded on scored comments
+ * @param {Object|null} options.client - OpenAI SDK client, or null if not configured
+ * @param {string} options.model - Default chat completion model
+ * @param {number} options.temperature - Default sampling temperature
+ * @param {boolean} options.supportsJsonSchema - Use json_schema structured output for batches
+ * @param {string} options.service - Service name for the external API log
+ * @returns {Object} - Sentiment provider
+ */
+const createOpenAIProvider = ({ name, client, model, temperature, supportsJsonSchema, service }) => {
+  /**
+   * Calls the chat completions API with the configured retry/backoff policy.
+   * The SDK's built-in retries are disabled so only this policy applies.
+   */
+  const createCompletionWithRetry = (params) => retryWithBackoff(
+    () => client.chat.completions.create(params, { maxRetries: 0 }),
+    {
+      maxRetries: ANALYSIS.RETRY.MAX_RETRIES,
+      baseDelayMs: ANALYSIS.RETRY.BASE_DELAY_MS,
+      maxDelayMs: ANALYSIS.RETRY.MAX_DELAY_MS,
+      shouldRetry: isRetryableError,
+      onRetry: (error, attempt, delayMs) => {
+        console.warn(`[${name}] Request failed (${error.status}), retry ${attempt} in ${Math.round(delayMs)}ms`);
+      }
+    }
+  );
+
+  /**
+   * Logs a chat completion call to the external API log.
+   */
+  const logRequest = ({ requestedAt, error = null, requestSummary, responseSummary = null }) => {
+    logApiRequest({
+      service,
+      endpoint: '/chat/completions',
+      method: 'POST',
+      requestedAt,
+      respondedAt: new Date(),
+      statusCode: error ? error.status || null : 200,
+      success: !error,
+      errorMessage: error?.message,
+      requestSummary,
+      responseSummary
+    }).catch(() => {}); // Silently ignore logging errors
+  };
+
+  /**
+   * Model and prompt version used when scoring with a prompt (its model
+   * overrides the provider's configured model when set).
+   *
+   * @param {Object} prompt - Sentiment prompt version
+   * @returns {{model: string, promptVersion: string}}
+   */
+  const getScoringInfo = (prompt) => ({
+    model: prompt.model || model,
+    promptVersion: prompt.version
+  });
+
+  /**
+   * Chat completion parameters shared by all requests made with a prompt.
+   */
+  const getCompletionParams = (prompt) => ({
+    model: prompt.model || model,
+    temperature: prompt.temperature ?? temperature
+  });
+
+  /**
+   * Analyzes a single comment.
+   *
+   * @param {Object} comment - Comment data with id, stockTicker, body and optional parentBody/postTitle
+   * @param {Object} [prompt] - Comment prompt version (defaults to the built-in prompt)
+   * @returns {Promise<{sentiment: number, flagForDelete: boolean}>}
+   * @throws {Error} - If the request failed or the model returned an invalid score
+   */
+  const analyze = async (comment, prompt = DEFAULT_PROMPTS.comment) => {
+    const requestedAt = new Date();
+    const requestSummary = `Sentiment analysis for ${comment.stockTicker} comment`;
+
+    try {
+      const response = await createCompletionWithRetry({
+        ...getCompletionParams(prompt),
+        response_format: { type: 'json_object' },
+        messages: [
+          {
+            role: 'system',
+            content: `${prompt.rubric}\n\n${SINGLE_RESPONSE_INSTRUCTIONS}`
+          },
+          {
+            role: 'user',
+            content: formatComment(comment)
+          }
+        ]
+      });
+
+      // Parse and validate the JSON response
+      const parsedResponse = parseSingleResult(response);
+
+      logRequest({
+        requestedAt,
+        requestSummary,
+        responseSummary: `sentiment=${parsedResponse.sentiment}, flagForDelete=${parsedResponse.flagForDelete}`
+      });
+
+      return parsedResponse;
+    } catch (err) {
+      logRequest({ requestedAt, error: err, requestSummary });
+      throw err;
+    }
+  };
+
+  /**
+   * Analyzes several comments in a single request.
+   *
+   * @param {Array<Object>} comments - Comment data objects with id, stockTicker and body
+   * @param {Object} [prompt] - Comment prompt version (defaults to the built-in prompt)
+   * @returns {Promise<Array<{id: number, sentiment: number, flagForDelete: boolean}>>}
+   *   Valid results for the comments the model returned (may be fewer than requested)
+   */
+  const analyzeBatch = async (comments, prompt = DEFAULT_PROMPTS.comment) => {
+    const requestedAt = new Date();
+    const requestSummary = `Batch sentiment analysis for ${comments.length} comments`;
+
+    try {
+      const response = await createCompletionWithRetry({
+        ...getCompletionParams(prompt),
+        response_format: supportsJsonSchema ? BATCH_RESPONSE_FORMAT : { type: 'json_object' },
+        messages: [
+          {
+            role: 'system',
+            content: `${prompt.rubric}\n\n${BATCH_RESPONSE_INSTRUCTIONS}`
+          },
+          {
+            role: 'user',
+            content: comments
+              .map(comment => `[id: ${comment.id}] ${formatComment(comment)}`)
+              .join('\n\n')
+          }
+        ]
+      });
+
+      const parsedResponse = JSON.parse(response.choices[0].message.content);
+      const requestedIds = new Set(comments.map(comment => comment.id));
+      // Invalid or unknown entries are dropped, so those comments are retried individually
+      const results = (Array.isArray(parsedResponse.results) ? parsedResponse.results : [])
+        .map(result => validateResult(result && { ...result, id: Number(result.id) }))
+        .filter(result => result && requestedIds.has(result.id));
+
+      logRequest({
+        requestedAt,
+        requestSummary,
+        responseSummary: `Scored ${results.length}/${comments.length} comments`
+      });
+
+      return results;
+    } catch (err) {
+      logRequest({ requestedAt, error: err, requestSummary });
+      throw err;
+    }
+  };
+
+  /**
+   * Analyzes a post's title and selftext.
+   *
+   * @param {Object} post - Post data with id, stockTicker, subreddit, title and body
+   * @param {Object} [prompt] - Post prompt version (defaults to the built-in prompt)
+   * @returns {Promise<{sentiment: number, flagForDelete: boolean, summary: string}>}
+   * @throws {Error} - If the request failed or the model returned an invalid score
+   */
+  const analyzePost = async (post, prompt = DEFAULT_PROMPTS.post) => {
+    const requestedAt = new Date();
+    const requestSummary = `Sentiment analysis for ${post.stockTicker} post`;
+
+    try {
+      const response = await createCompletionWithRetry({
+        ...getCompletionParams(prompt),
+        response_format: { type: 'json_object' },
+        messages: [
+          {
+            role: 'system',
+            content: `${prompt.rubric}\n\n${POST_RESPONSE_INSTRUCTIONS}`
+          },
+          {
+            role: 'user',
+            content: formatPost(post)
+          }
+        ]
+      });
+
+      const parsedResponse = parseSingleResult(response);
+
+      logRequest({
+        requestedAt,
+        requestSummary,
+        responseSummary: `sentiment=${parsedResponse.sentiment}, flagForDelete=${parsedResponse.flagForDelete}`
+      });
+
+      return parsedResponse;
+    } catch (err) {
+      logRequest({ requestedAt, error: err, requestSummary });
+      throw err;
+    }
+  };
+
+  return {
+    name,
+    model,
+    usesPrompts: true,
+    getScoringInfo,
+    isAvailable: () => Boolean(client),
+    analyze,
+    analyzeBatch,
+    analyzePost
+  };
+};
+
+module.exports = {
+  createOpenAIProvider
+};
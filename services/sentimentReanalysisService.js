@@ -0,0 +1,162 @@
+/**
+ * Sentiment Re-analysis Service
+ *
+ * Decides when an already scored comment must be analyzed again and
+ * re-queues it. Re-queuing copies the current score into
+ * comment_sentiment_history and clears `sentToAIAt`, so the next sentiment
+ * run picks the comment up. The old score stays on the comment (and keeps
+ * counting in aggregates) until the new one replaces it.
+ */
+
+const crypto = require('crypto');
+const prisma = require('../config/database');
+const { REANALYSIS, PROVIDERS } = require('../config/sentiment');
+const { getProviderChain } = require('./sentimentProviders');
+const { getActivePrompt } = require('./sentimentPromptService');
+
+const REASONS = {
+  BODY_CHANGED: 'body_changed',
+  MODEL_CHANGED: 'model_changed',
+  PROMPT_CHANGED: 'prompt_changed',
+  VOTES_CHANGED: 'votes_changed'
+};
+
+/**
+ * Hashes a comment body (or a post's title and selftext) to detect edits.
+ *
+ * @param {string} body - Comment body, or post title and selftext
+ * @returns {string} - Hex SHA-256 digest
+ */
+const hashBody = (body) => crypto.createHash('sha256').update(body || '', 'utf8').digest('hex');
+
+/**
+ * Checks whether a comment's score moved enough since it was analyzed.
+ */
+const hasVotesChanged = (upvotesAtAnalysis, upvotes) => {
+  if (upvotesAtAnalysis === null || upvotesAtAnalysis === undefined) {
+    return false;
+  }
+  const change = Math.abs(upvotes - upvotesAtAnalysis);
+  return change >= REANALYSIS.MIN_VOTE_CHANGE &&
+    Math.abs(upvotes) >= REANALYSIS.VOTE_CHANGE_FACTOR * Math.max(Math.abs(upvotesAtAnalysis), 1);
+};
+
+/**
+ * Decides whether a re-scraped comment must be analyzed again.
+ * Comments that were never analyzed (or have no stored hash yet) are never re-queued.
+ *
+ * @param {Object|null} existing - Stored RedditComment row
+ * @param {{bodyHash: string, upvotes: number}} incoming - Values from the new scrape
+ * @returns {string|null} - Re-queue reason, or null
+ */
+const getRescrapeRequeueReason = (existing, incoming) => {
+  if (!existing || !existing.sentToAIAt) {
+    return null;
+  }
+  if (existing.bodyHash && existing.bodyHash !== incoming.bodyHash) {
+    return REASONS.BODY_CHANGED;
+  }
+  if (hasVotesChanged(existing.upvotesAtAnalysis, incoming.upvotes)) {
+    return REASONS.VOTES_CHANGED;
+  }
+  return null;
+};
+
+/**
+ * Archives the current scores of comments and re-queues them for analysis.
+ *
+ * @param {Array<Object>} comments - RedditComment rows (with their sentiment fields)
+ * @param {string} reason - One of REASONS
+ * @returns {Promise<number>} - Number of comments re-queued
+ */
+const requeueComments = async (comments, reason) => {
+  const analyzed = comments.filter(comment => comment.sentToAIAt);
+  if (analyzed.length === 0) {
+    return 0;
+  }
+
+  await prisma.$transaction([
+    prisma.commentSentimentHistory.createMany({
+      data: analyzed.map(comment => ({
+        commentId: comment.id,
+        sentiment: comment.sentiment,
+        flagForDelete: comment.flagForDelete,
+        sentimentProvider: comment.sentimentProvider,
+        sentimentModel: comment.sentimentModel,
+        promptVersion: comment.sentimentPromptVersion,
+        bodyHash: comment.bodyHash,
+        upvotes: comment.upvotesAtAnalysis,
+        analyzedAt: comment.sentToAIAt,
+        reason
+      }))
+    }),
+    prisma.redditComment.updateMany({
+      where: { id: { in: analyzed.map(comment => comment.id) } },
+      data: { sentToAIAt: null, sentimentAttempts: 0, sentimentRetryAt: null }
+    })
+  ]);
+
+  return analyzed.length;
+};
+
+/**
+ * Re-queues comments scored by the primary provider with a different model or
+ * prompt version than it uses now, up to MAX_VERSION_REQUEUE_PER_RUN.
+ * Comments scored by the fallback provider are left alone, and nothing is
+ * re-queued while the primary provider is unavailable (the fallback would
+ * just score them again).
+ *
+ * @returns {Promise<{modelChanged: number, promptChanged: number}>}
+ */
+const requeueOutdatedComments = async () => {
+  const result = { modelChanged: 0, promptChanged: 0 };
+  const primary = getProviderChain()[0];
+  if (!primary || primary.name !== PROVIDERS.PRIMARY) {
+    return result;
+  }
+
+  const { model, promptVersion } = primary.getScoringInfo(await getActivePrompt('comment'));
+  const limit = REANALYSIS.MAX_VERSION_REQUEUE_PER_RUN;
+
+  const modelChanged = await prisma.redditComment.findMany({
+    where: {
+      sentToAIAt: { not: null },
+      sentimentProvider: primary.name,
+      sentimentModel: { not: model }
+    },
+    orderBy: { id: 'desc' },
+    take: limit
+  });
+  result.modelChanged = await requeueComments(modelChanged, REASONS.MODEL_CHANGED);
+
+  const remaining = limit - result.modelChanged;
+  if (remaining > 0) {
+    const promptChanged = await prisma.redditComment.findMany({
+      where: {
+        sentToAIAt: { not: null },
+        sentimentProvider: primary.name,
+        sentimentModel: model,
+        ...(promptVersion === null
+          ? { sentimentPromptVersion: { not: null } }
+          : { OR: [{ sentimentPromptVersion: { not: promptVersion } }, { sentimentPromptVersion: null }] })
+      },
+      orderBy: { id: 'desc' },
+      take: remaining
+    });
+    result.promptChanged = await requeueComments(promptChanged, REASONS.PROMPT_CHANGED);
+  }
+
+  if (result.modelChanged + result.promptChanged > 0) {
+    console.log(`[Sentiment] Re-queued ${result.modelChanged} comments for a model change and ${result.promptChanged} for a prompt change`);
+  }
+
+  return result;
+};
+
+module.exports = {
+  REASONS,
+  hashBody,
+  getRescrapeRequeueReason,
+  requeueComments,
+  requeueOutdatedComments
+};
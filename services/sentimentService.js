@@ -1,164 +1,486 @@
 /**
  * Sentiment Service
  *
- * Handles sentiment analysis of Reddit comments using OpenAI.
+ * Handles sentiment analysis of Reddit comments and posts through the
+ * configured sentiment providers (OpenAI, an OpenAI-compatible local endpoint
+ * or the built-in lexicon). Comments are analyzed in batches with bounded
+ * concurrency; posts (title + selftext) are analyzed one per request.
  */
 
 const prisma = require('../config/database');
-const openai = require('../config/openai');
-const { logApiRequest, SERVICES } = require('../utils/apiLogger');
+const { ANALYSIS } = require('../config/sentiment');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const {
+  getProviderChain,
+  isProviderUnavailableError,
+  markProviderUnavailable
+} = require('./sentimentProviders');
+const { requeueOutdatedComments } = require('./sentimentReanalysisService');
+const { getActivePrompt, getPrompt, formatPrompt } = require('./sentimentPromptService');
+const { classifySentiment } = require('./sentimentHistoryService');
+const { PROMPT_EVALUATION } = require('../config/sentimentPrompts');
+
+/**
+ * Runs `fn` with each available provider in turn until one succeeds.
+ * Only provider-unavailable errors move on to the next provider; other
+ * errors are rethrown so the comments are retried on the next run.
+ *
+ * @param {Function} fn - Async function called with the provider
+ * @returns {Promise<{provider: Object, result: *}>}
+ */
+const runWithProviders = async (fn) => {
+  const chain = getProviderChain();
+
+  for (const provider of chain) {
+    try {
+      return { provider, result: await fn(provider) };
+    } catch (error) {
+      if (!isProviderUnavailableError(error)) {
+        throw error;
+      }
+      markProviderUnavailable(provider.name, error);
+    }
+  }
+
+  throw new Error('No sentiment provider available');
+};
+
+/**
+ * Loads the bodies of stored parent comments so replies can be scored in context.
+ * Parents that were filtered out at ingestion are simply missing from the map.
+ *
+ * @param {Array<Object>} comments - RedditComment rows
+ * @returns {Promise<Map<string, string>>} - Map of parent redditId to body
+ */
+const getParentBodies = async (comments) => {
+  const parentIds = [...new Set(
+    comments
+      .map(comment => comment.parentRedditId)
+      .filter(parentId => parentId && parentId.startsWith('t1_'))
+  )];
+
+  if (parentIds.length === 0) {
+    return new Map();
+  }
+
+  const parents = await prisma.redditComment.findMany({
+    where: { redditId: { in: parentIds } },
+    select: { redditId: true, body: true }
+  });
+
+  return new Map(parents.map(parent => [parent.redditId, parent.body]));
+};
+
+/**
+ * Builds the comment data passed to providers from RedditComment rows
+ * (with their post, stock and content included).
+ *
+ * @param {Array<Object>} comments - RedditComment rows
+ * @returns {Promise<Array<Object>>}
+ */
+const buildCommentData = async (comments) => {
+  const parentBodies = await getParentBodies(comments);
+
+  return comments.map(comment => ({
+    id: comment.id,
+    redditId: comment.redditId,
+    stockTicker: comment.redditPost?.stock?.symbol || '',
+    body: comment.body || '',
+    votes: comment.upvotes || 0,
+    // Context: the parent comment for replies, the post title for top-level comments
+    parentBody: parentBodies.get(comment.parentRedditId) || null,
+    postTitle: comment.redditPost?.content?.postContent?.title || null
+  }));
+};
+
+/**
+ * Splits comment data into batches (a batch size of 1 analyzes comments individually).
+ */
+const toBatches = (commentData) => {
+  const batchSize = Math.max(1, ANALYSIS.BATCH_SIZE);
+  const batches = [];
+  for (let i = 0; i < commentData.length; i += batchSize) {
+    batches.push(commentData.slice(i, i + batchSize));
+  }
+  return batches;
+};
+
+/**
+ * Writes an analysis result back to the comment row.
+ */
+const saveSentimentResult = async (commentData, result, provider, prompt) => {
+  const { model, promptVersion } = provider.getScoringInfo(prompt);
+
+  await prisma.redditComment.update({
+    where: { id: commentData.id },
+    data: {
+      sentiment: result.sentiment ?? null,
+      flagForDelete: result.flagForDelete ?? false,
+      sentimentProvider: provider.name,
+      sentimentModel: model,
+      sentimentPromptVersion: promptVersion,
+      upvotesAtAnalysis: commentData.votes,
+      sentimentAttempts: 0,
+      sentimentRetryAt: null,
+      sentToAIAt: new Date()
+    }
+  });
+};
+
+/**
+ * Analyzes one batch of comments and saves the results.
+ * Comments missing from a batch response are analyzed individually
+ * with the same provider.
+ *
+ * @param {Array<Object>} batch - Comment data objects
+ * @param {Object} prompt - Active comment prompt
+ * @returns {Promise<Array<Object>>} - Analyzed comments
+ */
+const analyzeAndSaveBatch = async (batch, prompt) => {
+  const { provider, result: results } = await runWithProviders(provider =>
+    batch.length > 1 ? provider.analyzeBatch(batch, prompt) : Promise.resolve([])
+  );
+  const resultsById = new Map(results.map(result => [result.id, result]));
+
+  const analyzedComments = [];
+
+  for (const commentData of batch) {
+    try {
+      const analyzedComment = resultsById.get(commentData.id) || await provider.analyze(commentData, prompt);
+
+      if (analyzedComment) {
+        await saveSentimentResult(commentData, analyzedComment, provider, prompt);
+        analyzedComments.push({ ...analyzedComment, id: commentData.id, provider: provider.name });
+      }
+    } catch (error) {
+      console.error(`Error analyzing comment ${commentData.id}:`, error.message);
+      // Continue with next comment instead of failing entire batch
+    }
+  }
+
+  return analyzedComments;
+};
+
+/**
+ * Filter for comments or posts waiting for analysis: not analyzed yet, not
+ * waiting after a failed attempt and not given up on.
+ */
+const dueForAnalysis = () => ({
+  sentToAIAt: null,
+  sentimentAttempts: { lt: ANALYSIS.FAILED_ITEMS.MAX_ATTEMPTS },
+  OR: [{ sentimentRetryAt: null }, { sentimentRetryAt: { lte: new Date() } }]
+});
+
+/**
+ * Records a failed analysis of comments or posts, delaying their next attempt
+ * (FAILED_ITEMS.BASE_DELAY_MS, doubled on each failure).
+ *
+ * @param {'comment'|'post'} kind - What the rows are
+ * @param {Array<{id: number, sentimentAttempts: number}>} rows - Rows whose analysis failed
+ */
+const recordFailedAttempts = (kind, rows) => Promise.all(rows.map(row => {
+  const attempts = row.sentimentAttempts + 1;
+  const delay = Math.min(
+    ANALYSIS.FAILED_ITEMS.BASE_DELAY_MS * Math.pow(2, attempts - 1),
+    ANALYSIS.FAILED_ITEMS.MAX_DELAY_MS
+  );
+  if (attempts >= ANALYSIS.FAILED_ITEMS.MAX_ATTEMPTS) {
+    console.warn(`Giving up on sentiment analysis of ${kind} ${row.id} after ${attempts} failed attempts`);
+  }
+
+  return (kind === 'post' ? prisma.redditPost : prisma.redditComment).update({
+    where: { id: row.id },
+    data: { sentimentAttempts: attempts, sentimentRetryAt: new Date(Date.now() + delay) }
+  }).catch(error => console.error(`Error recording failed analysis of ${kind} ${row.id}:`, error.message));
+}));
 
 /**
  * Calculates sentiment for Reddit comments
- * Fetches comments from redditComments table and analyzes their sentiment
- * @returns {Promise<Array>} Array of comment objects with stock ticker, body, upvotes, sentiment, and flagForDelete
+ * Re-queues comments scored with an outdated model or prompt, then fetches
+ * unanalyzed comments (up to the per-run cap, never-analyzed ones first,
+ * skipping comments waiting after a failed attempt), analyzes them in batches with bounded concurrency and writes results back
+ * to the redditComments table.
+ * @returns {Promise<Array>} Array of analyzed comments with id, sentiment, flagForDelete and provider
  */
 const calcSentiment = async () => {
   try {
-    // Fetch ALL comments that haven't been analyzed yet
-    // Only fetch comments where sentToAIAt is null (not yet sent to AI)
+    await requeueOutdatedComments();
+
+    // Fetch comments that haven't been analyzed yet (sentToAIAt is null), except ones waiting
+    // after a failed attempt. New comments (no model yet) go before re-queued ones, then oldest first
     const comments = await prisma.redditComment.findMany({
-      where: {
-        sentToAIAt: null
-      },
+      where: dueForAnalysis(),
       include: {
         redditPost: {
           include: {
-            stock: true
+            stock: true,
+            content: true
           }
         }
-      }
+      },
+      orderBy: [{ sentimentModel: { sort: 'asc', nulls: 'first' } }, { id: 'asc' }],
+      take: ANALYSIS.MAX_COMMENTS_PER_RUN
     });
 
     if (comments.length === 0) {
       return [];
     }
 
-    const analyzedComments = [];
+    const prompt = await getActivePrompt('comment');
+    const commentData = await buildCommentData(comments);
 
-    // Process each comment individually
-    for (let i = 0; i < comments.length; i++) {
-      const comment = comments[i];
+    const commentsById = new Map(comments.map(comment => [comment.id, comment]));
 
+    const batchResults = await mapWithConcurrency(toBatches(commentData), ANALYSIS.CONCURRENCY, async (batch) => {
+      let analyzed = [];
       try {
-        // Create object with the required structure
-        const commentData = {
-          id: comment.id,
-          redditId: comment.redditId,
-          stockTicker: comment.redditPost?.stock?.symbol || '',
-          body: comment.body || '',
-          votes: comment.upvotes || 0
-        };
-
-        // Analyze single comment
-        const analyzedComment = await analyzeSentiment(commentData);
-
-        if (analyzedComment) {
-          analyzedComments.push(analyzedComment);
-
-          // Update database immediately after each analysis
-          const now = new Date();
-          await prisma.redditComment.update({
-            where: { id: comment.id },
-            data: {
-              sentiment: analyzedComment.sentiment ?? null,
-              flagForDelete: analyzedComment.flagForDelete ?? false,
-              sentToAIAt: now
-            }
-          });
-        }
+        analyzed = await analyzeAndSaveBatch(batch, prompt);
       } catch (error) {
-        console.error(`Error analyzing comment ${comment.id}:`, error.message);
-        // Continue with next comment instead of failing entire batch
-        continue;
+        console.error(`Error analyzing batch of ${batch.length} comments:`, error.message);
       }
-    }
-    return analyzedComments;
+
+      // Comments left unanalyzed are retried after a delay
+      const analyzedIds = new Set(analyzed.map(comment => comment.id));
+      await recordFailedAttempts(
+        'comment',
+        batch.filter(comment => !analyzedIds.has(comment.id)).map(comment => commentsById.get(comment.id))
+      );
+      return analyzed;
+    });
+
+    return batchResults.flat();
   } catch (error) {
     console.error('Error in calcSentiment:', error);
     throw error;
   }
 };
 
-async function analyzeSentiment(comment) {
-  const requestedAt = new Date();
-  let response = null;
-  let error = null;
+/**
+ * Analyzes one post with the first available provider and saves the result.
+ *
+ * @param {Object} postData - Post data with id, stockTicker, subreddit, title, body and mentionedSymbols
+ * @param {Object} prompt - Active post prompt
+ * @returns {Promise<Object>} - Analyzed post
+ */
+const analyzeAndSavePost = async (postData, prompt) => {
+  const { provider, result } = await runWithProviders(provider => provider.analyzePost(postData, prompt));
+  const { model, promptVersion } = provider.getScoringInfo(prompt);
+  const summary = typeof result.summary === 'string'
+    ? result.summary.trim().slice(0, ANALYSIS.MAX_SUMMARY_LENGTH) || null
+    : null;
 
+  const analyzedPost = {
+    sentiment: result.sentiment ?? null,
+    flagForDelete: result.flagForDelete ?? false,
+    summary
+  };
+
+  await prisma.redditPost.update({
+    where: { id: postData.id },
+    data: {
+      ...analyzedPost,
+      sentimentProvider: provider.name,
+      sentimentModel: model,
+      sentimentPromptVersion: promptVersion,
+      sentimentAttempts: 0,
+      sentimentRetryAt: null,
+      sentToAIAt: new Date()
+    }
+  });
+
+  return { ...analyzedPost, id: postData.id, provider: provider.name };
+};
+
+/**
+ * Calculates sentiment for Reddit posts (title + selftext).
+ * Fetches unanalyzed posts whose content has been scraped (up to the per-run
+ * cap, skipping posts waiting after a failed attempt) and analyzes them with
+ * bounded concurrency.
+ * @returns {Promise<Array>} Array of analyzed posts with id, sentiment, flagForDelete, summary and provider
+ */
+const calcPostSentiment = async () => {
   try {
-    response = await openai.chat.completions.create({
-      model: 'gpt-4o-mini',
-      response_format: { type: 'json_object' },
-      temperature: 0.2,
-      messages: [
-        {
-          role: 'system',
-          content: `You are a financial sentiment analyzer. Analyze Reddit comments about stocks and return a JSON object.
-
-Score the comment's sentiment toward the stock on a scale from -1 to +1:
-- +0.7 to +1.0: Very bullish (strong buy conviction, major upside expected)
-- +0.3 to +0.6: Bullish (optimistic, positive outlook)
-- -0.2 to +0.2: Neutral (factual, questions, jokes, no clear stance)
-- -0.6 to -0.3: Bearish (concerns, doubts, negative outlook)
-- -1.0 to -0.7: Very bearish (strong sell conviction, expects failure)
-
-Set flagForDelete to true if the comment is:
-- A link to a meme/video
-- Not about the stock or company
-- Spam or irrelevant
-
-Return JSON only: {"sentiment": <number>, "flagForDelete": <boolean>}`
-        },
-        {
-          role: 'user',
-          content: `Stock: ${comment.stockTicker}\nComment: ${comment.body}`
-        }
-      ]
+    const posts = await prisma.redditPost.findMany({
+      where: {
+        ...dueForAnalysis(),
+        content: { isNot: null }
+      },
+      include: {
+        stock: true,
+        content: true
+      },
+      orderBy: { id: 'asc' },
+      take: ANALYSIS.MAX_POSTS_PER_RUN
     });
 
-    // Parse the JSON response
-    const responseContent = response.choices[0].message.content;
-    const parsedResponse = JSON.parse(responseContent);
-
-    // Log successful API call
-    const respondedAt = new Date();
-    logApiRequest({
-      service: SERVICES.OPENAI,
-      endpoint: '/chat/completions',
-      method: 'POST',
-      requestedAt,
-      respondedAt,
-      statusCode: 200,
-      success: true,
-      requestSummary: `Sentiment analysis for ${comment.stockTicker} comment`,
-      responseSummary: `sentiment=${parsedResponse.sentiment}, flagForDelete=${parsedResponse.flagForDelete}`
-    }).catch(() => {}); // Silently ignore logging errors
-
-    // Return the analyzed comment (should be a single object, not an array)
-    return parsedResponse;
-  } catch (err) {
-    error = err;
-
-    // Log failed API call
-    const respondedAt = new Date();
-    logApiRequest({
-      service: SERVICES.OPENAI,
-      endpoint: '/chat/completions',
-      method: 'POST',
-      requestedAt,
-      respondedAt,
-      statusCode: err.status || null,
-      success: false,
-      errorMessage: err.message,
-      requestSummary: `Sentiment analysis for ${comment.stockTicker} comment`
-    }).catch(() => {}); // Silently ignore logging errors
-
-    console.error(`Error analyzing sentiment for comment ${comment.id}:`, err);
-    throw err;
+    if (posts.length === 0) {
+      return [];
+    }
+
+    const prompt = await getActivePrompt('post');
+
+    const results = await mapWithConcurrency(posts, ANALYSIS.CONCURRENCY, async (post) => {
+      const postContent = post.content?.postContent || {};
+      try {
+        return await analyzeAndSavePost({
+          id: post.id,
+          stockTicker: post.stock?.symbol || '',
+          subreddit: postContent.subreddit || null,
+          title: postContent.title || '',
+          body: postContent.selftext || '',
+          mentionedSymbols: post.mentionedSymbols
+        }, prompt);
+      } catch (error) {
+        // Leave the post unanalyzed; it's retried after a delay
+        console.error(`Error analyzing post ${post.redditId}:`, error.message);
+        await recordFailedAttempts('post', [post]);
+        return null;
+      }
+    });
+
+    return results.filter(Boolean);
+  } catch (error) {
+    console.error('Error in calcPostSentiment:', error);
+    throw error;
   }
-}
+};
+
+/**
+ * Analyzes a single comment with the first available provider.
+ *
+ * @param {Object} comment - Comment data with id, stockTicker, body and optional parentBody/postTitle context
+ * @returns {Promise<{sentiment: number, flagForDelete: boolean, provider: string, model: string}>}
+ */
+const analyzeSentiment = async (comment) => {
+  const prompt = await getActivePrompt('comment');
+  const { provider, result } = await runWithProviders(provider => provider.analyze(comment, prompt));
+  return { ...result, provider: provider.name, ...provider.getScoringInfo(prompt) };
+};
+
+/**
+ * Scores comments with a specific provider and prompt without saving anything
+ * (used to evaluate candidate prompts and providers).
+ *
+ * @param {Object} provider - Sentiment provider
+ * @param {Array<Object>} commentData - Comment data from buildCommentData
+ * @param {Object} prompt - Comment prompt
+ * @returns {Promise<Map<number, {sentiment: number, flagForDelete: boolean}>>} - Results by comment ID
+ */
+const scoreComments = async (provider, commentData, prompt) => {
+  const batchResults = await mapWithConcurrency(toBatches(commentData), ANALYSIS.CONCURRENCY, async (batch) => {
+    const results = batch.length > 1 ? await provider.analyzeBatch(batch, prompt) : [];
+    const resultsById = new Map(results.map(result => [result.id, result]));
+    for (const commentData of batch) {
+      if (!resultsById.has(commentData.id)) {
+        try {
+          resultsById.set(commentData.id, await provider.analyze(commentData, prompt));
+        } catch (error) {
+          console.error(`Error scoring comment ${commentData.id}:`, error.message);
+        }
+      }
+    }
+    return [...resultsById.entries()];
+  });
+
+  return new Map(batchResults.flat());
+};
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Runs a candidate comment prompt against the most recently analyzed comments
+ * and compares its scores with the stored ones. Nothing is saved.
+ *
+ * @param {number} promptId - Candidate prompt ID
+ * @param {Object} [options]
+ * @param {number} [options.sampleSize] - Number of comments (default/max in PROMPT_EVALUATION)
+ * @param {string} [options.symbol] - Only comments on this stock's posts
+ * @returns {Promise<Object|null>} - Comparison summary and per-comment differences, or null if the prompt doesn't exist
+ * @throws {Error} - With statusCode 400 (not a comment prompt) or 503 (no LLM provider available)
+ */
+const evaluatePrompt = async (promptId, { sampleSize = PROMPT_EVALUATION.DEFAULT_SAMPLE_SIZE, symbol } = {}) => {
+  const prompt = await getPrompt(promptId);
+  if (!prompt) {
+    return null;
+  }
+  if (prompt.kind !== 'comment') {
+    throw Object.assign(new Error('Only comment prompts can be evaluated'), { statusCode: 400 });
+  }
+
+  const provider = getProviderChain().find(candidate => candidate.usesPrompts);
+  if (!provider) {
+    throw Object.assign(new Error('No LLM sentiment provider available'), { statusCode: 503 });
+  }
+
+  const comments = await prisma.redditComment.findMany({
+    where: {
+      sentToAIAt: { not: null },
+      sentiment: { not: null },
+      ...(symbol && { redditPost: { stock: { symbol: symbol.toUpperCase() } } })
+    },
+    include: {
+      redditPost: {
+        include: {
+          stock: true,
+          content: true
+        }
+      }
+    },
+    orderBy: { id: 'desc' },
+    take: Math.min(Math.max(1, sampleSize), PROMPT_EVALUATION.MAX_SAMPLE_SIZE)
+  });
+
+  const candidateById = await scoreComments(provider, await buildCommentData(comments), prompt);
+
+  const differences = [];
+  for (const comment of comments) {
+    const candidate = candidateById.get(comment.id);
+    if (!candidate || typeof candidate.sentiment !== 'number') continue;
+
+    differences.push({
+      id: comment.redditId,
+      body: comment.body.slice(0, 200),
+      current: {
+        sentiment: comment.sentiment,
+        flagForDelete: comment.flagForDelete,
+        model: comment.sentimentModel,
+        promptVersion: comment.sentimentPromptVersion
+      },
+      candidate: {
+        sentiment: candidate.sentiment,
+        flagForDelete: candidate.flagForDelete ?? false
+      },
+      difference: round(candidate.sentiment - comment.sentiment)
+    });
+  }
+
+  const count = differences.length;
+  const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+  return {
+    prompt: formatPrompt(prompt),
+    provider: provider.name,
+    ...provider.getScoringInfo(prompt),
+    sampleSize: comments.length,
+    compared: count,
+    summary: {
+      meanCurrent: count > 0 ? round(sum(differences.map(d => d.current.sentiment)) / count) : null,
+      meanCandidate: count > 0 ? round(sum(differences.map(d => d.candidate.sentiment)) / count) : null,
+      meanDifference: count > 0 ? round(sum(differences.map(d => d.difference)) / count) : null,
+      meanAbsDifference: count > 0 ? round(sum(differences.map(d => Math.abs(d.difference))) / count) : null,
+      maxAbsDifference: count > 0 ? Math.max(...differences.map(d => Math.abs(d.difference))) : null,
+      bandChanges: differences.filter(d => classifySentiment(d.current.sentiment) !== classifySentiment(d.candidate.sentiment)).length,
+      flagChanges: differences.filter(d => d.current.flagForDelete !== d.candidate.flagForDelete).length
+    },
+    comments: differences.sort((a, b) => Math.abs(b.difference) - Math.abs(a.difference))
+  };
+};
 
 module.exports = {
   calcSentiment,
-  analyzeSentiment
+  calcPostSentiment,
+  analyzeSentiment,
+  evaluatePrompt,
+  buildCommentData,
+  scoreComments
 };
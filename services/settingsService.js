@@ -0,0 +1,267 @@
+/**
+ * Settings Service
+ *
+ * Runtime-editable settings (job schedules, post scrape intervals) stored in
+ * the settings table. Values are cached in memory so they can be read
+ * synchronously, and reloaded every SETTINGS_REFRESH_INTERVAL_MS so every
+ * instance picks up changes without a restart. Listeners registered with
+ * onSettingChange are called when a value changes.
+ */
+
+const cron = require('node-cron');
+const prisma = require('../config/database');
+const { createValidationError } = require('../utils/httpErrors');
+const {
+  SETTING_TYPES,
+  SETTINGS,
+  SETTINGS_REFRESH_INTERVAL_MS,
+  MAX_SCRAPE_INTERVALS
+} = require('../config/settings');
+
+// key -> { value, updatedAt } for settings stored in the table
+let storedSettings = new Map();
+const listeners = new Map();
+let refreshTimer = null;
+
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+/**
+ * Whether a key names a setting (own keys only, so "constructor" is unknown).
+ */
+const isKnownSetting = (key) => Object.hasOwn(SETTINGS, key);
+
+/**
+ * Validates a cron expression (5 fields; seconds are not allowed so no job runs
+ * more often than once a minute).
+ *
+ * @returns {string} - Normalized expression
+ */
+const validateCron = (value) => {
+  if (typeof value !== 'string' || value.trim().split(/\s+/).length !== 5 || !cron.validate(value.trim())) {
+    throw createValidationError('value must be a 5-field cron expression (minute hour day month weekday)');
+  }
+  return value.trim().split(/\s+/).join(' ');
+};
+
+/**
+ * Validates scrape interval rules: intervals are matched by post age in order,
+ * so maxAgeMs must be ascending and the last rule must cover maxPostAgeMs.
+ *
+ * @returns {Object} - Normalized { maxPostAgeMs, intervals }
+ */
+const validateScrapeIntervals = (value) => {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw createValidationError('value must be an object with maxPostAgeMs and intervals');
+  }
+
+  const { maxPostAgeMs, intervals } = value;
+  if (!isPositiveInteger(maxPostAgeMs)) {
+    throw createValidationError('maxPostAgeMs must be a positive integer');
+  }
+  if (!Array.isArray(intervals) || intervals.length === 0 || intervals.length > MAX_SCRAPE_INTERVALS) {
+    throw createValidationError(`intervals must be an array of 1 to ${MAX_SCRAPE_INTERVALS} rules`);
+  }
+
+  const normalized = intervals.map((rule, i) => {
+    if (!rule || !isPositiveInteger(rule.maxAgeMs) || !isPositiveInteger(rule.intervalMs)) {
+      throw createValidationError(`intervals[${i}] must have positive integer maxAgeMs and intervalMs`);
+    }
+    if (rule.description !== undefined && typeof rule.description !== 'string') {
+      throw createValidationError(`intervals[${i}].description must be a string`);
+    }
+    if (i > 0 && rule.maxAgeMs <= intervals[i - 1].maxAgeMs) {
+      throw createValidationError('intervals must be in ascending order of maxAgeMs');
+    }
+    return {
+      maxAgeMs: rule.maxAgeMs,
+      intervalMs: rule.intervalMs,
+      description: rule.description || ''
+    };
+  });
+
+  if (normalized[normalized.length - 1].maxAgeMs < maxPostAgeMs) {
+    throw createValidationError('the last interval must cover maxPostAgeMs (maxAgeMs >= maxPostAgeMs)');
+  }
+
+  return { maxPostAgeMs, intervals: normalized };
+};
+
+const VALIDATORS = {
+  [SETTING_TYPES.CRON]: validateCron,
+  [SETTING_TYPES.SCRAPE_INTERVALS]: validateScrapeIntervals
+};
+
+/**
+ * Validates a value for a setting.
+ *
+ * @param {string} key - Setting key
+ * @param {*} value - Proposed value
+ * @returns {*} - Normalized value
+ * @throws {Error} - With statusCode 400 if the value is invalid
+ */
+const validateSetting = (key, value) => VALIDATORS[SETTINGS[key].type](value);
+
+/**
+ * Gets the current value of a setting (the stored value, or the default).
+ *
+ * @param {string} key - Setting key
+ * @returns {*}
+ */
+const getSetting = (key) => {
+  const stored = storedSettings.get(key);
+  return stored ? stored.value : SETTINGS[key].defaultValue;
+};
+
+/**
+ * Registers a listener called with (value, key) when a setting's value changes.
+ *
+ * @param {string} key - Setting key
+ * @param {Function} listener
+ */
+const onSettingChange = (key, listener) => {
+  if (!listeners.has(key)) {
+    listeners.set(key, []);
+  }
+  listeners.get(key).push(listener);
+};
+
+/**
+ * Replaces the cached settings and notifies listeners of changed values.
+ */
+const applySettings = (nextStoredSettings) => {
+  const previous = Object.fromEntries(Object.keys(SETTINGS).map(key => [key, getSetting(key)]));
+  storedSettings = nextStoredSettings;
+
+  for (const key of Object.keys(SETTINGS)) {
+    const value = getSetting(key);
+    if (JSON.stringify(value) === JSON.stringify(previous[key])) continue;
+
+    for (const listener of listeners.get(key) || []) {
+      try {
+        listener(value, key);
+      } catch (error) {
+        console.error(`[Settings] Listener for ${key} failed:`, error.message);
+      }
+    }
+  }
+};
+
+/**
+ * Reloads settings from the database. Stored values that no longer validate
+ * (edited by hand) are ignored in favor of the default.
+ */
+const refreshSettings = async () => {
+  const rows = await prisma.setting.findMany();
+  const next = new Map();
+
+  for (const row of rows) {
+    if (!isKnownSetting(row.key)) continue;
+    try {
+      next.set(row.key, { value: validateSetting(row.key, row.value), updatedAt: row.updatedAt });
+    } catch (error) {
+      console.warn(`[Settings] Ignoring invalid stored value for ${row.key}: ${error.message}`);
+    }
+  }
+
+  applySettings(next);
+};
+
+/**
+ * Starts reloading settings every SETTINGS_REFRESH_INTERVAL_MS.
+ */
+const startSettingsRefresh = () => {
+  if (refreshTimer) {
+    return;
+  }
+  refreshTimer = setInterval(() => {
+    refreshSettings().catch(error => console.error('[Settings] Refresh failed:', error.message));
+  }, SETTINGS_REFRESH_INTERVAL_MS);
+};
+
+/**
+ * Stops reloading settings.
+ */
+const stopSettingsRefresh = () => {
+  if (refreshTimer) {
+    clearInterval(refreshTimer);
+    refreshTimer = null;
+  }
+};
+
+/**
+ * Formats a setting for API responses.
+ */
+const formatSetting = (key) => {
+  const stored = storedSettings.get(key);
+  return {
+    key,
+    type: SETTINGS[key].type,
+    description: SETTINGS[key].description,
+    value: getSetting(key),
+    defaultValue: SETTINGS[key].defaultValue,
+    isDefault: !stored,
+    updatedAt: stored ? stored.updatedAt : null
+  };
+};
+
+/**
+ * Lists all settings with their current values.
+ *
+ * @returns {Promise<Array<Object>>}
+ */
+const listSettings = async () => {
+  await refreshSettings();
+  return Object.keys(SETTINGS).map(formatSetting);
+};
+
+/**
+ * Stores a new value for a setting and applies it on this instance right away
+ * (other instances pick it up on their next refresh).
+ *
+ * @param {string} key - Setting key
+ * @param {*} value - New value
+ * @returns {Promise<Object|null>} - Updated setting, or null if the key is unknown
+ * @throws {Error} - With statusCode 400 if the value is invalid
+ */
+const updateSetting = async (key, value) => {
+  if (!isKnownSetting(key)) {
+    return null;
+  }
+
+  const normalized = validateSetting(key, value);
+  await prisma.setting.upsert({
+    where: { key },
+    update: { value: normalized },
+    create: { key, value: normalized }
+  });
+
+  await refreshSettings();
+  return formatSetting(key);
+};
+
+/**
+ * Resets a setting to its default.
+ *
+ * @param {string} key - Setting key
+ * @returns {Promise<Object|null>} - Reset setting, or null if the key is unknown
+ */
+const resetSetting = async (key) => {
+  if (!isKnownSetting(key)) {
+    return null;
+  }
+
+  await prisma.setting.deleteMany({ where: { key } });
+  await refreshSettings();
+  return formatSetting(key);
+};
+
+module.exports = {
+  getSetting,
+  onSettingChange,
+  refreshSettings,
+  startSettingsRefresh,
+  stopSettingsRefresh,
+  listSettings,
+  updateSetting,
+  resetSetting
+};
@@ -0,0 +1,244 @@
+/**
+ * Stock Analytics Service
+ *
+ * Relates Reddit activity to prices for one stock: the correlation between
+ * bucketed sentiment and price returns (same bucket, rolling, and with
+ * sentiment leading returns by fixed lags) and between mention volume and
+ * trading volume. Prices come from the stored Finnhub candles (priceService).
+ */
+
+const { Prisma } = require('@prisma/client');
+const prisma = require('../config/database');
+const { HISTORY } = require('../config/sentiment');
+const { ANALYTICS } = require('../config/prices');
+const {
+  getSentimentAggregates,
+  bucketSentiment,
+  bucketIndexSql,
+  timeRangeSql,
+  commentScoredForStockSql
+} = require('./sentimentHistoryService');
+
+const round = (value) => (value === null ? null : Math.round(value * 10000) / 10000);
+
+/**
+ * Pearson correlation of the pairs where both values are present.
+ *
+ * @param {Array<number|null>} xs
+ * @param {Array<number|null>} ys - Same length as xs
+ * @returns {{r: number|null, n: number}} - r is null with fewer than MIN_SAMPLES pairs or no variance
+ */
+const correlate = (xs, ys) => {
+  const pairs = [];
+  for (let i = 0; i < xs.length; i++) {
+    if (xs[i] !== null && ys[i] !== null) {
+      pairs.push([xs[i], ys[i]]);
+    }
+  }
+
+  const n = pairs.length;
+  if (n < ANALYTICS.MIN_SAMPLES) {
+    return { r: null, n };
+  }
+
+  const meanX = pairs.reduce((sum, [x]) => sum + x, 0) / n;
+  const meanY = pairs.reduce((sum, [, y]) => sum + y, 0) / n;
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+  for (const [x, y] of pairs) {
+    covariance += (x - meanX) * (y - meanY);
+    varianceX += (x - meanX) ** 2;
+    varianceY += (y - meanY) ** 2;
+  }
+
+  if (varianceX === 0 || varianceY === 0) {
+    return { r: null, n };
+  }
+  return { r: round(covariance / Math.sqrt(varianceX * varianceY)), n };
+};
+
+/**
+ * Shifts a series so that index i holds the value `lag` buckets later (null past the end).
+ */
+const lead = (values, lag) => values.map((_, i) => (i + lag < values.length ? values[i + lag] : null));
+
+/**
+ * Whether a post is attributed to a stock (reddit_post_stocks).
+ *
+ * @param {Prisma.Sql} postIdColumn - Column holding the post ID
+ * @param {number} stockId - Stock ID
+ * @returns {Prisma.Sql}
+ */
+const isPostOfStock = (postIdColumn, stockId) => Prisma.sql`EXISTS (
+  SELECT 1 FROM "reddit_post_stocks" ps WHERE ps."redditPostId" = ${postIdColumn} AND ps."stockId" = ${stockId}
+)`;
+
+/**
+ * Counts posts and comments mentioning a stock per bucket in the database:
+ * the posts attributed to the stock or mentioning its ticker, and the comments
+ * on its own posts or mentioning its ticker (as in the sentiment history).
+ *
+ * @returns {Promise<Array<number>>} - Mention count per bucket
+ */
+const getMentionCounts = async (stock, { bucketMs, firstBucketStart, bucketCount, from, to }) => {
+  const postTime = Prisma.sql`p."postTime"`;
+  const createdAt = Prisma.sql`c."createdAtUtc"`;
+  const rows = await prisma.$queryRaw`
+    SELECT "bucket", COUNT(*)::int AS "count"
+    FROM (
+      SELECT ${bucketIndexSql(postTime, bucketMs)} AS "bucket"
+      FROM "reddit_posts" p
+      WHERE (${isPostOfStock(Prisma.sql`p."id"`, stock.id)} OR ${stock.symbol} = ANY(p."mentionedSymbols"))
+        AND ${timeRangeSql(postTime, from, to)}
+      UNION ALL
+      SELECT ${bucketIndexSql(createdAt, bucketMs)} AS "bucket"
+      FROM "reddit_comments" c
+      JOIN "reddit_posts" p ON p."id" = c."redditPostId"
+      WHERE ${commentScoredForStockSql(stock)}
+        AND ${timeRangeSql(createdAt, from, to)}
+    ) AS "mentions"
+    GROUP BY "bucket"
+  `;
+
+  const counts = new Array(bucketCount).fill(0);
+  const firstBucket = firstBucketStart / bucketMs;
+  for (const { bucket, count } of rows) {
+    if (bucket >= firstBucket && bucket < firstBucket + bucketCount) {
+      counts[bucket - firstBucket] = count;
+    }
+  }
+  return counts;
+};
+
+/**
+ * Maps candles onto buckets: the last close and the total volume of the
+ * candles in each bucket, and the return against the previous known close.
+ *
+ * @returns {Promise<Array<{close: number|null, volume: number|null, return: number|null}>>}
+ */
+const getPriceBuckets = async (stock, resolution, { bucketMs, firstBucketStart, bucketCount, from, to }) => {
+  const [previous, candles] = await Promise.all([
+    prisma.stockPriceCandle.findFirst({
+      where: { stockId: stock.id, resolution, timestamp: { lt: from } },
+      orderBy: { timestamp: 'desc' }
+    }),
+    prisma.stockPriceCandle.findMany({
+      where: { stockId: stock.id, resolution, timestamp: { gte: from, lt: to } },
+      orderBy: { timestamp: 'asc' }
+    })
+  ]);
+
+  const buckets = Array.from({ length: bucketCount }, () => ({ close: null, volume: null, return: null }));
+  for (const candle of candles) {
+    const bucket = buckets[Math.floor((candle.timestamp.getTime() - firstBucketStart) / bucketMs)];
+    if (!bucket) continue;
+    bucket.close = candle.close;
+    bucket.volume = (bucket.volume || 0) + candle.volume;
+  }
+
+  let previousClose = previous ? previous.close : null;
+  for (const bucket of buckets) {
+    if (bucket.close === null) continue;
+    if (previousClose) {
+      bucket.return = round(bucket.close / previousClose - 1);
+    }
+    previousClose = bucket.close;
+  }
+
+  return buckets;
+};
+
+/**
+ * Builds the sentiment/price analytics of a stock.
+ *
+ * Sentiment per bucket is the upvote-weighted mean of the analyzed comments
+ * (as in the sentiment history). A lag of k buckets pairs the sentiment of
+ * bucket i with the return of bucket i + k.
+ *
+ * @param {string} param - Stock symbol
+ * @param {Object} options
+ * @param {'hour'|'day'} options.interval - Bucket interval
+ * @param {Date} options.from - Start of the range (inclusive)
+ * @param {Date} options.to - End of the range (exclusive)
+ * @returns {Promise<Object|null>} - Analytics response, or null if the stock is unknown
+ */
+const getStockAnalytics = async (param, { interval, from, to }) => {
+  const stock = await prisma.stock.findUnique({
+    where: { symbol: param.toUpperCase() }
+  });
+  if (!stock) {
+    return null;
+  }
+
+  const { bucketMs } = HISTORY.INTERVALS[interval];
+  const resolution = ANALYTICS.RESOLUTIONS[interval];
+
+  const sentimentBuckets = bucketSentiment(await getSentimentAggregates(stock, { bucketMs, from, to }), { bucketMs, from, to });
+  const range = {
+    bucketMs,
+    firstBucketStart: new Date(sentimentBuckets[0].start).getTime(),
+    bucketCount: sentimentBuckets.length,
+    from,
+    to
+  };
+  const [mentions, prices] = await Promise.all([
+    getMentionCounts(stock, range),
+    getPriceBuckets(stock, resolution, range)
+  ]);
+
+  const sentiment = sentimentBuckets.map(bucket => bucket.weightedMean);
+  const returns = prices.map(price => price.return);
+  const volumes = prices.map(price => price.volume);
+
+  const windowSize = ANALYTICS.ROLLING_WINDOW[interval];
+  const rolling = [];
+  for (let end = windowSize; end <= sentimentBuckets.length; end++) {
+    rolling.push({
+      end: sentimentBuckets[end - 1].end,
+      ...correlate(sentiment.slice(end - windowSize, end), returns.slice(end - windowSize, end))
+    });
+  }
+
+  return {
+    stockSymbol: stock.symbol,
+    interval,
+    resolution,
+    from: from.toISOString(),
+    to: to.toISOString(),
+    sentimentMeasure: 'weightedMean',
+    coverage: {
+      buckets: sentimentBuckets.length,
+      sentimentBuckets: sentiment.filter(value => value !== null).length,
+      priceBuckets: returns.filter(value => value !== null).length
+    },
+    correlation: {
+      sentimentReturn: correlate(sentiment, returns),
+      lagged: ANALYTICS.LAGS.map(({ name, ms }) => {
+        const lag = Math.round(ms / bucketMs);
+        return lag < 1
+          ? { lag: name, buckets: null, r: null, n: 0 }
+          : { lag: name, buckets: lag, ...correlate(sentiment, lead(returns, lag)) };
+      }),
+      mentionsVolume: correlate(mentions, volumes)
+    },
+    rolling: {
+      windowBuckets: windowSize,
+      series: rolling
+    },
+    buckets: sentimentBuckets.map((bucket, i) => ({
+      start: bucket.start,
+      end: bucket.end,
+      sentiment: bucket.weightedMean,
+      comments: bucket.count,
+      mentions: mentions[i],
+      close: prices[i].close,
+      return: prices[i].return,
+      volume: prices[i].volume
+    }))
+  };
+};
+
+module.exports = {
+  getStockAnalytics
+};
@@ -0,0 +1,206 @@
+/**
+ * Stock Profile Service
+ *
+ * Enriches stock rows with a company profile from Finnhub `stock/profile2`,
+ * or from data/stockProfiles.json when Finnhub has none. Stocks are enriched
+ * on their first lookup and refreshed by the stock profile job.
+ */
+
+const fs = require('fs');
+const prisma = require('../config/database');
+const { FINNHUB } = require('../config/prices');
+const { STOCK_PROFILES } = require('../config/stockProfiles');
+const { isFinnhubConfigured, finnhubGet, isAccessDeniedError } = require('./finnhubClient');
+const { TRACKED_STOCKS } = require('../config/stocks');
+const { sleep } = require('../utils/concurrency');
+
+let seedProfiles = null;
+
+/**
+ * Loads the seed profiles (symbol -> profile), once.
+ *
+ * @returns {Object}
+ */
+const getSeedProfiles = () => {
+  if (seedProfiles === null) {
+    try {
+      seedProfiles = JSON.parse(fs.readFileSync(STOCK_PROFILES.SEED_FILE, 'utf8'));
+    } catch (error) {
+      console.error('[Profiles] Could not load the seed profiles:', error.message);
+      seedProfiles = {};
+    }
+  }
+  return seedProfiles;
+};
+
+/**
+ * Fetches a company profile from Finnhub.
+ *
+ * @param {string} symbol - Stock symbol
+ * @returns {Promise<Object|null>} - Profile fields, or null if Finnhub has no profile
+ */
+const fetchFinnhubProfile = async (symbol) => {
+  const data = await finnhubGet('/stock/profile2', { symbol }, {
+    requestSummary: `Company profile for ${symbol}`,
+    getResponseSummary: (res) => (res.data?.name ? `Profile: ${res.data.name}` : 'No profile')
+  });
+
+  // Unknown symbols and most ETFs return an empty object
+  if (!data || !data.name) {
+    return null;
+  }
+
+  return {
+    companyName: data.name,
+    exchange: data.exchange || null,
+    industry: data.finnhubIndustry || null,
+    marketCap: typeof data.marketCapitalization === 'number' ? data.marketCapitalization : null,
+    logoUrl: data.logo || null,
+    website: data.weburl || null
+  };
+};
+
+/**
+ * Gets the seed profile of a symbol.
+ *
+ * @param {string} symbol - Stock symbol
+ * @returns {Object|null}
+ */
+const getSeedProfile = (symbol) => {
+  const profile = getSeedProfiles()[symbol.toUpperCase()];
+  if (!profile || !profile.companyName) {
+    return null;
+  }
+
+  return {
+    companyName: profile.companyName,
+    exchange: profile.exchange ?? null,
+    industry: profile.industry ?? null,
+    marketCap: profile.marketCap ?? null,
+    logoUrl: profile.logoUrl ?? null,
+    website: profile.website ?? null
+  };
+};
+
+/**
+ * Fills in a stock's profile from Finnhub or the seed file. Empty search
+ * metadata (description, displaySymbol) is filled in from the profile too.
+ * The attempt is recorded when Finnhub answers, even without a profile, so
+ * the stock is only retried on the refresh schedule. A failed Finnhub request
+ * records nothing and is thrown, so the stock is retried on the next run.
+ *
+ * @param {Object} stock - Stock row
+ * @returns {Promise<Object>} - Updated stock row
+ * @throws {Error} - If the Finnhub lookup failed (other than access denied)
+ */
+const enrichStockProfile = async (stock) => {
+  let profile = null;
+  let source = null;
+
+  if (isFinnhubConfigured()) {
+    try {
+      profile = await fetchFinnhubProfile(stock.symbol);
+      source = profile ? 'finnhub' : null;
+    } catch (error) {
+      // Access denied won't change on retry; fall back to the seed file
+      if (!isAccessDeniedError(error)) {
+        throw error;
+      }
+      console.error(`[Profiles] Finnhub denied the profile lookup for ${stock.symbol}:`, error.message);
+    }
+  }
+
+  if (!profile) {
+    profile = getSeedProfile(stock.symbol);
+    source = profile ? 'seed' : null;
+  }
+
+  const data = { profileUpdatedAt: new Date() };
+  if (profile) {
+    Object.assign(data, profile, { profileSource: source });
+    if (!stock.description) {
+      data.description = profile.companyName;
+    }
+    if (!stock.displaySymbol) {
+      data.displaySymbol = stock.symbol;
+    }
+  }
+
+  return prisma.stock.update({
+    where: { id: stock.id },
+    data
+  });
+};
+
+/**
+ * Refreshes the profiles of tracked stocks that were never enriched or are
+ * older than REFRESH_INTERVAL_MS, oldest first.
+ *
+ * @returns {Promise<{checked: number, enriched: number, failed: string[]}>}
+ */
+const refreshStockProfiles = async () => {
+  const result = { checked: 0, enriched: 0, failed: [] };
+
+  const stocks = await prisma.stock.findMany({
+    where: {
+      ...TRACKED_STOCKS,
+      AND: [{
+        OR: [
+          { profileUpdatedAt: null },
+          { profileUpdatedAt: { lt: new Date(Date.now() - STOCK_PROFILES.REFRESH_INTERVAL_MS) } }
+        ]
+      }]
+    },
+    orderBy: [{ profileUpdatedAt: { sort: 'asc', nulls: 'first' } }, { id: 'asc' }],
+    take: STOCK_PROFILES.MAX_STOCKS_PER_RUN
+  });
+
+  for (const stock of stocks) {
+    result.checked++;
+    try {
+      const updated = await enrichStockProfile(stock);
+      if (updated.profileSource) {
+        result.enriched++;
+      }
+    } catch (error) {
+      console.error(`[Profiles] Error refreshing profile for ${stock.symbol}:`, error.message);
+      result.failed.push(stock.symbol);
+    }
+
+    if (isFinnhubConfigured()) {
+      await sleep(FINNHUB.REQUEST_DELAY_MS);
+    }
+  }
+
+  console.log(`[Profiles] Refreshed ${result.enriched} of ${result.checked} stock profiles`);
+  return result;
+};
+
+/**
+ * Formats a stock's profile for API responses.
+ *
+ * @param {Object} stock - Stock row
+ * @returns {Object|null} - Profile, or null if the stock has none
+ */
+const formatProfile = (stock) => {
+  if (!stock.profileSource) {
+    return null;
+  }
+
+  return {
+    companyName: stock.companyName,
+    exchange: stock.exchange,
+    industry: stock.industry,
+    marketCap: stock.marketCap,
+    logoUrl: stock.logoUrl,
+    website: stock.website,
+    source: stock.profileSource,
+    updatedAt: stock.profileUpdatedAt
+  };
+};
+
+module.exports = {
+  enrichStockProfile,
+  refreshStockProfiles,
+  formatProfile
+};
@@ -1,43 +1,66 @@
-const axios = require('axios');
 const prisma = require('../config/database');
-const { searchRedditStock, scrapePostsByIds, scrapeSubredditPosts } = require('./redditService');
-const { withLogging, SERVICES } = require('../utils/apiLogger');
+const { searchRedditStock } = require('./redditService');
+const { isFinnhubConfigured, finnhubGet } = require('./finnhubClient');
+const { sleep } = require('../utils/concurrency');
+const { SEARCH_PRESETS } = require('../config').redditScraper;
+const { FINNHUB } = require('../config/prices');
+const { aggregateSentiment, isCommentScoredForStock, getStockSentimentInputs } = require('./scoringService');
+const { queueSubredditDiscovery } = require('./subredditDiscoveryService');
+const { enrichStockProfile, formatProfile } = require('./stockProfileService');
+const { enqueuePostScrapes, enqueueSubredditScrapes, enqueueStockSearch } = require('./jobQueueService');
+const { linkPostToStocks } = require('./postService');
 
 // 10 minute cooldown between Reddit searches for the same stock
 const SEARCH_COOLDOWN_MS = 10 * 60 * 1000;
 
+// Maximum number of close-match suggestions returned for unknown tickers
+const MAX_TICKER_SUGGESTIONS = 5;
+
+// Maximum edit distance for a locally cached symbol to count as a close match
+const MAX_SUGGESTION_DISTANCE = 2;
+
 /**
  * Formats posts from database into API response format
- * Includes comments with sentiment data
+ * Includes comments with sentiment data and the stock's company profile.
+ * Only scores computed for this stock are shown and aggregated (see
+ * getStockSentimentInputs): posts found for another stock keep the comments
+ * that mention this one, and their own score is left out.
  */
-const formatPostsResponse = (param, posts) => {
-  // Collect all sentiment values (non-null only, excluding flagged comments)
-  const allSentiments = posts.flatMap(post =>
-    (post.comments || [])
-      .filter(c => !c.flagForDelete && c.sentiment !== null && c.sentiment !== undefined)
-      .map(c => c.sentiment)
-  );
-
-  const averageSentiment = allSentiments.length > 0
-    ? allSentiments.reduce((sum, s) => sum + s, 0) / allSentiments.length
-    : null;
+const formatPostsResponse = (param, posts, stock) => {
+  const { comments: analyzedComments, posts: analyzedPosts } = getStockSentimentInputs(posts, stock);
+  const sentimentScore = aggregateSentiment([...analyzedComments, ...analyzedPosts]);
 
   return {
     param,
     stockSymbol: param,
+    profile: formatProfile(stock),
     totalPosts: posts.length,
-    totalComments: allSentiments.length,
-    averageSentiment,
+    totalComments: analyzedComments.length,
+    totalAnalyzedPosts: analyzedPosts.length,
+    averageSentiment: sentimentScore.mean,
+    sentimentScore,
     posts: posts.map(post => ({
       id: post.redditId,
       title: post.content?.postContent?.title || '',
       url: post.url,
       postTime: post.postTime.toISOString(),
+      mentionedSymbols: post.mentionedSymbols,
+      upvotes: post.upvotes,
+      sentiment: post.stockId === stock.id ? post.sentiment : null,
+      flagForDelete: post.flagForDelete,
+      summary: post.summary,
+      numComments: post.numComments,
+      commentCoverage: post.commentCoverage,
       comments: (post.comments || [])
         .filter(comment => !comment.flagForDelete && comment.sentiment !== null && comment.sentiment !== undefined)
+        .filter(comment => isCommentScoredForStock(comment, post, stock))
         .map(comment => ({
           id: comment.redditId,
+          parentId: comment.parentRedditId,
+          author: comment.author,
+          depth: comment.depth,
           body: comment.body,
+          mentionedSymbols: comment.mentionedSymbols,
           sentiment: comment.sentiment
         }))
     }))
@@ -45,104 +68,301 @@ const formatPostsResponse = (param, posts) => {
 };
 
 /**
- * Background refresh: searches Reddit and scrapes new posts without blocking
+ * Saves Reddit search results as posts of a stock (existing posts are updated
+ * and attributed to the stock too).
+ *
+ * @param {Object} stock - Stock row
+ * @param {Array<Object>} posts - Search results with id, url and postTime
+ * @returns {Promise<number[]>} - IDs of newly created posts
  */
-const refreshStockInBackground = (param, stock) => {
-  // Fire and forget - don't await
-  (async () => {
+const saveSearchResults = async (stock, posts) => {
+  const newPostIds = [];
+
+  for (const post of posts || []) {
     try {
-      console.log(`[Background] Starting refresh for ${param}...`);
-      const result = await searchRedditStock(param);
-
-      if (result && result.posts && Array.isArray(result.posts)) {
-        const newPostIds = [];
-
-        for (const post of result.posts) {
-          if (post.id && post.url && post.postTime) {
-            const existing = await prisma.redditPost.findUnique({
-              where: { redditId: post.id }
-            });
-
-            if (existing) {
-              await prisma.redditPost.update({
-                where: { redditId: post.id },
-                data: {
-                  url: post.url,
-                  postTime: new Date(post.postTime),
-                  stockId: stock.id
-                }
-              });
-            } else {
-              const created = await prisma.redditPost.create({
-                data: {
-                  redditId: post.id,
-                  url: post.url,
-                  postTime: new Date(post.postTime),
-                  stockId: stock.id
-                }
-              });
-              newPostIds.push(created.id);
-            }
-          }
-        }
+      if (post.id && post.url && post.postTime) {
+        const existing = await prisma.redditPost.findUnique({
+          where: { redditId: post.id }
+        });
 
-        // Scrape new posts in background (also non-blocking)
-        if (newPostIds.length > 0) {
-          scrapePostsByIds(newPostIds).catch(err =>
-            console.error(`[Background] Scrape failed for ${param}:`, err.message)
-          );
+        if (existing) {
+          // The post keeps the stock that found it first and is attributed to this one too
+          await prisma.redditPost.update({
+            where: { redditId: post.id },
+            data: {
+              url: post.url,
+              postTime: new Date(post.postTime)
+            }
+          });
+          await linkPostToStocks(existing.id, [stock.id], 'search');
+        } else {
+          const created = await prisma.redditPost.create({
+            data: {
+              redditId: post.id,
+              url: post.url,
+              postTime: new Date(post.postTime),
+              stockId: stock.id,
+              stocks: { create: { stockId: stock.id, source: 'search' } }
+            }
+          });
+          newPostIds.push(created.id);
         }
       }
+    } catch (error) {
+      console.error(`Error saving Reddit post ${post.id}:`, error.message);
+    }
+  }
 
-      // Also scrape official subreddit if configured
-      if (stock.officialSubreddit) {
-        console.log(`[Background] Scraping official subreddit r/${stock.officialSubreddit} for ${param}...`);
-        const subredditPostIds = await scrapeSubredditPosts(stock.officialSubreddit, stock.id);
-        if (subredditPostIds.length > 0) {
-          scrapePostsByIds(subredditPostIds).catch(err =>
-            console.error(`[Background] Subreddit scrape failed for ${param}:`, err.message)
-          );
-        }
-      }
+  return newPostIds;
+};
 
-      console.log(`[Background] Refresh complete for ${param}`);
+/**
+ * Runs a queued Reddit search for a stock (the `search` job): saves the
+ * results and queues scrapes for the new posts and every subreddit tracked
+ * for the stock.
+ *
+ * @param {number} stockId - Stock ID
+ * @param {string} [preset='REFRESH'] - SEARCH_PRESETS key
+ * @returns {Promise<{newPosts: number, subreddits: number}|null>} - Null if the stock no longer exists
+ */
+const runStockSearch = async (stockId, preset = 'REFRESH') => {
+  const stock = await prisma.stock.findUnique({ where: { id: stockId } });
+  if (!stock) {
+    return null;
+  }
+
+  console.log(`[Jobs] Searching Reddit for ${stock.symbol} (${preset})...`);
+  const result = await searchRedditStock(stock.symbol, stock, SEARCH_PRESETS[preset] || SEARCH_PRESETS.REFRESH);
+  const newPostIds = await saveSearchResults(stock, result?.posts);
+  await enqueuePostScrapes(newPostIds);
+
+  const stockSubreddits = await prisma.stockSubreddit.findMany({
+    where: { stockId: stock.id, enabled: true },
+    select: { id: true }
+  });
+  await enqueueSubredditScrapes(stockSubreddits.map(stockSubreddit => stockSubreddit.id));
+
+  return { newPosts: newPostIds.length, subreddits: stockSubreddits.length };
+};
+
+/**
+ * Queries Finnhub symbol lookup for US-listed securities.
+ *
+ * @param {string} query - Symbol or company name to search for
+ * @returns {Promise<Array<Object>|null>} - Finnhub results, or null if Finnhub is unavailable
+ */
+const fetchFinnhubSymbols = async (query) => {
+  if (!isFinnhubConfigured()) {
+    return null;
+  }
+
+  try {
+    const data = await finnhubGet('/search', { q: query, exchange: 'US' }, {
+      requestSummary: `Search stocks for "${query}"`,
+      getResponseSummary: (res) => `Found ${res.data?.result?.length || 0} stocks`
+    });
+
+    if (data && Array.isArray(data.result)) {
+      return data.result;
+    }
+    return null;
+  } catch (error) {
+    console.error('Error calling Finnhub API:', error.message);
+    return null;
+  }
+};
+
+/**
+ * Saves Finnhub search results to the stocks table (the local symbol cache).
+ *
+ * @param {Array<Object>} results - Finnhub search results
+ */
+const saveFinnhubStocks = async (results) => {
+  for (const stock of results) {
+    try {
+      await prisma.stock.upsert({
+        where: { symbol: stock.symbol },
+        update: {
+          description: stock.description,
+          displaySymbol: stock.displaySymbol,
+          type: stock.type
+        },
+        create: {
+          symbol: stock.symbol,
+          description: stock.description,
+          displaySymbol: stock.displaySymbol,
+          type: stock.type
+        }
+      });
     } catch (error) {
-      console.error(`[Background] Refresh failed for ${param}:`, error.message);
+      // Log error but don't fail the request
+      console.error(`Error saving stock ${stock.symbol} to database:`, error.message);
+    }
+  }
+};
+
+/**
+ * A stock row is considered validated once it has Finnhub metadata.
+ * Rows created by older lookups have an empty description.
+ */
+const isValidatedStock = (stock) => Boolean(stock && stock.description);
+
+/**
+ * Levenshtein edit distance between two strings.
+ */
+const editDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+/**
+ * Builds close-match suggestions for an unknown ticker from Finnhub results
+ * and the locally cached symbol table.
+ *
+ * @param {string} symbol - The unknown ticker (uppercase)
+ * @param {Array<Object>} [finnhubResults=[]] - Results from Finnhub symbol lookup
+ * @returns {Promise<Array<{symbol: string, description: string}>>}
+ */
+const findTickerSuggestions = async (symbol, finnhubResults = []) => {
+  const localStocks = await prisma.stock.findMany({
+    where: { description: { not: '' } },
+    select: { symbol: true, description: true }
+  });
+
+  const candidates = new Map();
+
+  for (const stock of finnhubResults) {
+    candidates.set(stock.symbol, { symbol: stock.symbol, description: stock.description || '' });
+  }
+  for (const stock of localStocks) {
+    if (editDistance(symbol, stock.symbol.toUpperCase()) <= MAX_SUGGESTION_DISTANCE) {
+      candidates.set(stock.symbol, { symbol: stock.symbol, description: stock.description });
+    }
+  }
+
+  return Array.from(candidates.values())
+    .map(candidate => ({ ...candidate, distance: editDistance(symbol, candidate.symbol.toUpperCase()) }))
+    .sort((a, b) => a.distance - b.distance || a.symbol.localeCompare(b.symbol))
+    .slice(0, MAX_TICKER_SUGGESTIONS)
+    .map(({ symbol: suggestedSymbol, description }) => ({ symbol: suggestedSymbol, description }));
+};
+
+/**
+ * Validates a ticker against Finnhub symbol lookup, falling back to the locally
+ * cached symbol table when Finnhub is unavailable.
+ *
+ * @param {string} symbol - Ticker to validate (uppercase)
+ * @param {Object|null} existingStock - Existing stock row for this symbol, if any
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=false] - Don't save the Finnhub results to the stocks table
+ * @returns {Promise<{valid: boolean, stock: Object|null, match: Object|null, suggestions: Array, verified: boolean}>}
+ *   `match` is the matching Finnhub result; `verified` is false when Finnhub could not be
+ *   reached and the result is based on local data only
+ */
+const validateTicker = async (symbol, existingStock = null, { dryRun = false } = {}) => {
+  const results = await fetchFinnhubSymbols(symbol);
+
+  if (results === null) {
+    // Finnhub unavailable - trust existing rows, can't tell for symbols we have never seen
+    if (existingStock) {
+      return { valid: true, stock: existingStock, match: null, suggestions: [], verified: false };
     }
-  })();
+    return { valid: false, stock: null, match: null, suggestions: await findTickerSuggestions(symbol), verified: false };
+  }
+
+  if (!dryRun) {
+    await saveFinnhubStocks(results);
+  }
+
+  const match = results.find(result =>
+    (result.symbol || '').toUpperCase() === symbol ||
+    (result.displaySymbol || '').toUpperCase() === symbol
+  );
+
+  if (!match) {
+    return { valid: false, stock: null, match: null, suggestions: await findTickerSuggestions(symbol, results), verified: true };
+  }
+
+  const stock = await prisma.stock.findUnique({
+    where: { symbol: match.symbol }
+  });
+
+  return { valid: true, stock, match, suggestions: [], verified: true };
+};
+
+/**
+ * Creates the error thrown when a lookup is made for an unknown ticker.
+ */
+const createUnknownTickerError = (symbol, suggestions) => {
+  return Object.assign(new Error(`Unknown ticker: ${symbol}`), {
+    statusCode: 404,
+    suggestions
+  });
+};
+
+/**
+ * Creates the error thrown when a new ticker can't be validated because
+ * Finnhub is unreachable (it may well be a real ticker).
+ */
+const createTickerLookupUnavailableError = (symbol) => {
+  return Object.assign(new Error(`Could not validate ticker ${symbol}: symbol lookup is unavailable, try again later`), {
+    statusCode: 503
+  });
 };
 
 const getStockByParam = async (param) => {
-  // Find or create the stock in the database first
+  // Find the stock in the database, validating the ticker before creating it
   let stock = null;
   if (param) {
+    const symbol = param.toUpperCase();
+    let validation = null;
+
     try {
       stock = await prisma.stock.findUnique({
-        where: { symbol: param.toUpperCase() }
+        where: { symbol }
       });
 
-      if (!stock) {
-        stock = await prisma.stock.create({
-          data: {
-            symbol: param.toUpperCase(),
-            description: '',
-            displaySymbol: param.toUpperCase(),
-            type: ''
-          }
-        });
+      if (!isValidatedStock(stock)) {
+        validation = await validateTicker(symbol, stock);
+        stock = validation.stock;
       }
     } catch (error) {
-      console.error(`Error finding/creating stock ${param}:`, error.message);
+      console.error(`Error finding/validating stock ${param}:`, error.message);
+    }
+
+    if (validation && !validation.valid) {
+      throw validation.verified
+        ? createUnknownTickerError(symbol, validation.suggestions)
+        : createTickerLookupUnavailableError(symbol);
     }
   }
 
   if (!stock) {
-    return { param, stockSymbol: param, totalPosts: 0, posts: [] };
+    return { param, stockSymbol: param, profile: null, totalPosts: 0, posts: [] };
   }
 
-  // Check if we have existing posts with content - if so, return immediately
+  // Fill in the company profile on the first lookup (the profile job refreshes it later)
+  if (!stock.profileUpdatedAt) {
+    try {
+      stock = await enrichStockProfile(stock);
+    } catch (error) {
+      console.error(`Error enriching profile for ${stock.symbol}:`, error.message);
+    }
+  }
+
+  // Return the stored posts immediately; Reddit searches run as queued jobs
   const existingPosts = await prisma.redditPost.findMany({
-    where: { stockId: stock.id },
+    where: { stocks: { some: { stockId: stock.id } } },
     include: {
       content: true,
       comments: {
@@ -152,139 +372,40 @@ const getStockByParam = async (param) => {
     orderBy: { postTime: 'desc' }
   });
 
+  // Until a search has found and scraped posts, searches backfill the past week
   const hasScrapedContent = existingPosts.some(p => p.content);
+  const preset = hasScrapedContent ? 'REFRESH' : 'BACKFILL';
 
-  if (hasScrapedContent) {
-    // Return existing data immediately, refresh in background if cooldown expired
-    const now = Date.now();
-    const lastSearched = stock.lastSearchedAt ? stock.lastSearchedAt.getTime() : 0;
-    const timeSinceLastSearch = now - lastSearched;
-
-    if (timeSinceLastSearch >= SEARCH_COOLDOWN_MS) {
-      console.log(`[${param}] Returning cached data, refreshing in background...`);
-      // Update lastSearchedAt IMMEDIATELY to prevent duplicate refreshes
-      await prisma.stock.update({
-        where: { id: stock.id },
-        data: { lastSearchedAt: new Date() }
-      });
-      refreshStockInBackground(param, stock);
-    } else {
-      const remainingMs = SEARCH_COOLDOWN_MS - timeSinceLastSearch;
-      console.log(`[${param}] Returning cached data (cooldown: ${Math.round(remainingMs / 1000)}s remaining)`);
-    }
-
-    return formatPostsResponse(param, existingPosts);
-  }
-
-  // No existing data - first-ever lookup, wait for Reddit search
-  console.log(`[${param}] First lookup, searching Reddit...`);
-  const result = await searchRedditStock(param);
+  // Queue a search once the cooldown has passed (right away on the first lookup)
+  const now = Date.now();
+  const lastSearched = stock.lastSearchedAt ? stock.lastSearchedAt.getTime() : 0;
+  const timeSinceLastSearch = now - lastSearched;
 
-  // Update lastSearchedAt after successful Reddit search
-  await prisma.stock.update({
-    where: { id: stock.id },
-    data: { lastSearchedAt: new Date() }
-  });
-
-  // Save posts to database
-  if (result && result.posts && Array.isArray(result.posts)) {
-    const newPostIds = [];
-
-    for (const post of result.posts) {
-      try {
-        if (post.id && post.url && post.postTime) {
-          const existing = await prisma.redditPost.findUnique({
-            where: { redditId: post.id }
-          });
-
-          if (existing) {
-            await prisma.redditPost.update({
-              where: { redditId: post.id },
-              data: {
-                url: post.url,
-                postTime: new Date(post.postTime),
-                stockId: stock.id
-              }
-            });
-          } else {
-            const created = await prisma.redditPost.create({
-              data: {
-                redditId: post.id,
-                url: post.url,
-                postTime: new Date(post.postTime),
-                stockId: stock.id
-              }
-            });
-            newPostIds.push(created.id);
-          }
-        }
-      } catch (error) {
-        console.error(`Error saving Reddit post ${post.id}:`, error.message);
-      }
-    }
+  if (timeSinceLastSearch >= SEARCH_COOLDOWN_MS) {
+    console.log(`[${param}] Returning stored data, queued a background search (${preset})...`);
+    // Update lastSearchedAt IMMEDIATELY to prevent duplicate searches
+    await prisma.stock.update({
+      where: { id: stock.id },
+      data: { lastSearchedAt: new Date() }
+    });
+    await enqueueStockSearch(stock.id, preset);
 
-    // Scrape content in background - don't block response
-    if (newPostIds.length > 0) {
-      console.log(`[${param}] Scraping ${newPostIds.length} posts in background...`);
-      scrapePostsByIds(newPostIds).catch(err =>
-        console.error(`[Background] Scrape failed for ${param}:`, err.message)
-      );
-    }
+    // Look for the stock's official subreddit (suggested to admins, not applied)
+    await queueSubredditDiscovery(stock);
+  } else {
+    const remainingMs = SEARCH_COOLDOWN_MS - timeSinceLastSearch;
+    console.log(`[${param}] Returning stored data (cooldown: ${Math.round(remainingMs / 1000)}s remaining)`);
   }
 
-  return result;
+  return formatPostsResponse(param, existingPosts, stock);
 };
 
 const searchStock = async (query) => {
-  const apiKey = process.env.FINNHUB_API_KEY;
-  
   // Step 1: Query Finnhub API and save new stocks to database
-  if (apiKey) {
-    try {
-      const url = `https://finnhub.io/api/v1/search?q=${encodeURIComponent(query)}&exchange=US&token=${apiKey}`;
-
-      const response = await withLogging(
-        SERVICES.FINNHUB,
-        () => axios.get(url, {
-          headers: { 'User-Agent': 'request' }
-        }),
-        {
-          endpoint: '/search',
-          method: 'GET',
-          requestSummary: `Search stocks for "${query}"`,
-          getResponseSummary: (res) => `Found ${res.data?.result?.length || 0} stocks`
-        }
-      );
-
-      if (response.status === 200 && response.data && response.data.result && Array.isArray(response.data.result)) {
-        
-        // Save results to database if they don't exist
-        for (const stock of response.data.result) {
-          try {
-            await prisma.stock.upsert({
-              where: { symbol: stock.symbol },
-              update: {
-                description: stock.description,
-                displaySymbol: stock.displaySymbol,
-                type: stock.type
-              },
-              create: {
-                symbol: stock.symbol,
-                description: stock.description,
-                displaySymbol: stock.displaySymbol,
-                type: stock.type
-              }
-            });
-          } catch (error) {
-            // Log error but don't fail the request
-            console.error(`Error saving stock ${stock.symbol} to database:`, error.message);
-          }
-        }
-      }
-    } catch (error) {
-      // Log Finnhub error but continue with database search
-      console.error('Error calling Finnhub API (continuing with DB search):', error.message);
-    }
+  // (continues with the database search if Finnhub is unavailable)
+  const finnhubResults = await fetchFinnhubSymbols(query);
+  if (finnhubResults) {
+    await saveFinnhubStocks(finnhubResults);
   }
   
   // Step 2: Query database for matching stocks (bubble search)
@@ -361,8 +482,118 @@ const searchStock = async (query) => {
   }
 };
 
+/**
+ * Deletes an orphan stock and its post links (reddit_post_stocks). Posts found
+ * for it that are still linked to another stock are moved to the earliest such
+ * link; the others are deleted (content and comments cascade).
+ *
+ * @param {Object} orphan - Stock to delete
+ * @returns {Promise<void>}
+ */
+const deleteOrphanStock = (orphan) => prisma.$transaction(async (tx) => {
+  const posts = await tx.redditPost.findMany({
+    where: { stockId: orphan.id },
+    select: {
+      id: true,
+      stocks: {
+        where: { stockId: { not: orphan.id } },
+        orderBy: { createdAt: 'asc' },
+        take: 1,
+        select: { stockId: true }
+      }
+    }
+  });
+
+  await tx.redditPostStock.deleteMany({ where: { stockId: orphan.id } });
+
+  // Post IDs by the stock they move to (null: no other link left)
+  const postIdsByStock = new Map();
+  for (const post of posts) {
+    const stockId = post.stocks[0]?.stockId ?? null;
+    postIdsByStock.set(stockId, [...(postIdsByStock.get(stockId) || []), post.id]);
+  }
+
+  for (const [stockId, postIds] of postIdsByStock) {
+    if (stockId === null) {
+      await tx.redditPost.deleteMany({ where: { id: { in: postIds } } });
+    } else {
+      await tx.redditPost.updateMany({ where: { id: { in: postIds } }, data: { stockId } });
+    }
+  }
+
+  await tx.stock.delete({ where: { id: orphan.id } });
+});
+
+/**
+ * Finds stocks created by unvalidated lookups (empty metadata) and re-checks
+ * them against Finnhub. Real tickers get their metadata backfilled; unknown
+ * ones are deleted together with the Reddit posts that aren't linked to any
+ * other stock (see deleteOrphanStock).
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=false] - Report what would be purged without deleting
+ * @returns {Promise<{dryRun: boolean, checked: number, backfilled: string[], purged: string[]}>}
+ */
+const purgeOrphanStocks = async ({ dryRun = false } = {}) => {
+  if (!isFinnhubConfigured()) {
+    throw new Error('FINNHUB_API_KEY is required to verify orphan stocks');
+  }
+
+  const orphans = await prisma.stock.findMany({
+    where: { description: '' },
+    orderBy: { symbol: 'asc' }
+  });
+
+  const backfilled = [];
+  const purged = [];
+
+  for (let i = 0; i < orphans.length; i++) {
+    const orphan = orphans[i];
+    const validation = await validateTicker(orphan.symbol, orphan, { dryRun });
+
+    if (!validation.verified) {
+      throw new Error(`Finnhub lookup failed while checking ${orphan.symbol}, aborting purge`);
+    }
+
+    if (validation.valid) {
+      // Finnhub results are saved by their own symbol, so a match on displaySymbol
+      // (e.g. BRK.B for BRK-B) leaves the orphan row empty
+      if (!dryRun && validation.match.symbol !== orphan.symbol) {
+        await prisma.stock.update({
+          where: { id: orphan.id },
+          data: {
+            description: validation.match.description,
+            displaySymbol: validation.match.displaySymbol,
+            type: validation.match.type
+          }
+        });
+      }
+      backfilled.push(orphan.symbol);
+    } else {
+      if (!dryRun) {
+        await deleteOrphanStock(orphan);
+      }
+      purged.push(orphan.symbol);
+    }
+
+    // Stay within Finnhub rate limits
+    if (i < orphans.length - 1) {
+      await sleep(FINNHUB.REQUEST_DELAY_MS);
+    }
+  }
+
+  return {
+    dryRun,
+    checked: orphans.length,
+    backfilled,
+    purged
+  };
+};
+
 module.exports = {
   getStockByParam,
-  searchStock
+  searchStock,
+  runStockSearch,
+  purgeOrphanStocks
 };
 
@@ -0,0 +1,289 @@
+/**
+ * Stock Subreddit Service
+ *
+ * Manages the subreddits tracked for each stock (stock_subreddits table):
+ * the official subreddit plus any sector or discussion subreddits, each with
+ * its own listing type, limit and keyword filter.
+ */
+
+const prisma = require('../config/database');
+const { SUBREDDIT_LISTING, REDDIT_LISTING } = require('../config').redditScraper;
+const { normalizeSubreddit } = require('./commentFilterService');
+const { createValidationError } = require('../utils/httpErrors');
+
+/**
+ * Formats a tracked subreddit for API responses.
+ */
+const formatStockSubreddit = (stockSubreddit) => ({
+  id: stockSubreddit.id,
+  name: stockSubreddit.name,
+  listing: stockSubreddit.listing,
+  limit: stockSubreddit.limit,
+  maxPages: stockSubreddit.maxPages,
+  timeframe: stockSubreddit.timeframe,
+  keyword: stockSubreddit.keyword,
+  includeStickied: stockSubreddit.includeStickied,
+  isOfficial: stockSubreddit.isOfficial,
+  enabled: stockSubreddit.enabled,
+  lastScrapedAt: stockSubreddit.lastScrapedAt
+});
+
+/**
+ * Gets the name of a stock's official subreddit from its tracked subreddits.
+ *
+ * @param {Array<Object>} stockSubreddits - StockSubreddit rows for one stock
+ * @returns {string|null}
+ */
+const getOfficialSubreddit = (stockSubreddits) => {
+  const official = (stockSubreddits || []).find(stockSubreddit => stockSubreddit.isOfficial);
+  return official ? official.name : null;
+};
+
+/**
+ * Validates and normalizes admin input for a tracked subreddit.
+ *
+ * @param {Object} input - Request body
+ * @param {Object} [options]
+ * @param {boolean} [options.partial=false] - Only validate fields that are present (updates)
+ * @returns {Object} - Prisma data
+ * @throws {Error} - With statusCode 400 on invalid input
+ */
+const buildSubredditData = (input, { partial = false } = {}) => {
+  const data = {};
+
+  if (input.name !== undefined || !partial) {
+    const name = typeof input.name === 'string' ? normalizeSubreddit(input.name) : null;
+    if (!name || !/^[a-z0-9_]{2,21}$/.test(name)) {
+      throw createValidationError('name must be a valid subreddit name');
+    }
+    data.name = name;
+  }
+
+  if (input.listing !== undefined) {
+    if (!SUBREDDIT_LISTING.TYPES.includes(input.listing)) {
+      throw createValidationError(`listing must be one of: ${SUBREDDIT_LISTING.TYPES.join(', ')}`);
+    }
+    data.listing = input.listing;
+  }
+
+  if (input.limit !== undefined) {
+    if (!Number.isInteger(input.limit) || input.limit < 1 || input.limit > SUBREDDIT_LISTING.MAX_LIMIT) {
+      throw createValidationError(`limit must be an integer between 1 and ${SUBREDDIT_LISTING.MAX_LIMIT}`);
+    }
+    data.limit = input.limit;
+  }
+
+  if (input.maxPages !== undefined) {
+    if (!Number.isInteger(input.maxPages) || input.maxPages < 1 || input.maxPages > REDDIT_LISTING.MAX_PAGES) {
+      throw createValidationError(`maxPages must be an integer between 1 and ${REDDIT_LISTING.MAX_PAGES}`);
+    }
+    data.maxPages = input.maxPages;
+  }
+
+  if (input.timeframe !== undefined) {
+    if (input.timeframe !== null && !REDDIT_LISTING.TIMEFRAMES[input.timeframe]) {
+      throw createValidationError(`timeframe must be one of: ${Object.keys(REDDIT_LISTING.TIMEFRAMES).join(', ')}`);
+    }
+    data.timeframe = input.timeframe;
+  }
+
+  if (input.keyword !== undefined) {
+    if (input.keyword !== null && typeof input.keyword !== 'string') {
+      throw createValidationError('keyword must be a string or null');
+    }
+    data.keyword = input.keyword ? input.keyword.trim() || null : null;
+  }
+
+  for (const field of ['includeStickied', 'isOfficial', 'enabled']) {
+    if (input[field] === undefined) continue;
+    if (typeof input[field] !== 'boolean') {
+      throw createValidationError(`${field} must be a boolean`);
+    }
+    data[field] = input[field];
+  }
+
+  return data;
+};
+
+/**
+ * Looks up a stock by symbol.
+ *
+ * @returns {Promise<Object|null>}
+ */
+const findStock = (symbol) => prisma.stock.findUnique({
+  where: { symbol: symbol.toUpperCase() }
+});
+
+/**
+ * Lists the subreddits tracked for a stock.
+ *
+ * @param {string} symbol - Stock symbol
+ * @returns {Promise<Object|null>} - Stock symbol with its subreddits, or null if the stock doesn't exist
+ */
+const listStockSubreddits = async (symbol) => {
+  const stock = await findStock(symbol);
+  if (!stock) {
+    return null;
+  }
+
+  const stockSubreddits = await prisma.stockSubreddit.findMany({
+    where: { stockId: stock.id },
+    orderBy: [{ isOfficial: 'desc' }, { id: 'asc' }]
+  });
+
+  return {
+    symbol: stock.symbol,
+    officialSubreddit: getOfficialSubreddit(stockSubreddits),
+    subreddits: stockSubreddits.map(formatStockSubreddit)
+  };
+};
+
+/**
+ * Starts tracking a subreddit for a stock.
+ * Marking it official clears the flag on the stock's other subreddits.
+ *
+ * @param {string} symbol - Stock symbol
+ * @param {Object} input - name and optional listing, limit, maxPages, timeframe, keyword, includeStickied, isOfficial, enabled
+ * @returns {Promise<Object|null>} - Created subreddit, or null if the stock doesn't exist
+ * @throws {Error} - With statusCode 400 (invalid input) or 409 (already tracked)
+ */
+const addStockSubreddit = async (symbol, input) => {
+  const stock = await findStock(symbol);
+  if (!stock) {
+    return null;
+  }
+
+  const data = buildSubredditData(input);
+
+  const existing = await prisma.stockSubreddit.findUnique({
+    where: { stockId_name: { stockId: stock.id, name: data.name } }
+  });
+  if (existing) {
+    throw Object.assign(new Error(`r/${data.name} is already tracked for ${stock.symbol}`), { statusCode: 409 });
+  }
+
+  const created = await prisma.$transaction(async (tx) => {
+    if (data.isOfficial) {
+      await tx.stockSubreddit.updateMany({
+        where: { stockId: stock.id, isOfficial: true },
+        data: { isOfficial: false }
+      });
+    }
+    return tx.stockSubreddit.create({
+      data: { ...data, stockId: stock.id }
+    });
+  });
+
+  return formatStockSubreddit(created);
+};
+
+/**
+ * Updates a tracked subreddit's settings.
+ *
+ * @param {string} symbol - Stock symbol
+ * @param {number} id - StockSubreddit ID
+ * @param {Object} input - Fields to change
+ * @returns {Promise<Object|null>} - Updated subreddit, or null if the stock or subreddit doesn't exist
+ * @throws {Error} - With statusCode 400 (invalid input) or 409 (name already tracked)
+ */
+const updateStockSubreddit = async (symbol, id, input) => {
+  const stock = await findStock(symbol);
+  if (!stock) {
+    return null;
+  }
+
+  const existing = await prisma.stockSubreddit.findFirst({
+    where: { id, stockId: stock.id }
+  });
+  if (!existing) {
+    return null;
+  }
+
+  const data = buildSubredditData(input, { partial: true });
+
+  if (data.name && data.name !== existing.name) {
+    const duplicate = await prisma.stockSubreddit.findUnique({
+      where: { stockId_name: { stockId: stock.id, name: data.name } }
+    });
+    if (duplicate) {
+      throw Object.assign(new Error(`r/${data.name} is already tracked for ${stock.symbol}`), { statusCode: 409 });
+    }
+  }
+
+  const updated = await prisma.$transaction(async (tx) => {
+    if (data.isOfficial) {
+      await tx.stockSubreddit.updateMany({
+        where: { stockId: stock.id, isOfficial: true, id: { not: id } },
+        data: { isOfficial: false }
+      });
+    }
+    return tx.stockSubreddit.update({
+      where: { id },
+      data
+    });
+  });
+
+  return formatStockSubreddit(updated);
+};
+
+/**
+ * Stops tracking a subreddit for a stock. Already scraped posts are kept.
+ *
+ * @param {string} symbol - Stock symbol
+ * @param {number} id - StockSubreddit ID
+ * @returns {Promise<boolean>} - False if the stock or subreddit doesn't exist
+ */
+const removeStockSubreddit = async (symbol, id) => {
+  const stock = await findStock(symbol);
+  if (!stock) {
+    return false;
+  }
+
+  const { count } = await prisma.stockSubreddit.deleteMany({
+    where: { id, stockId: stock.id }
+  });
+  return count > 0;
+};
+
+/**
+ * Sets (or clears) a stock's official subreddit, keeping the behavior of the
+ * former `officialSubreddit` column: the official subreddit is tracked with
+ * default listing settings, and replacing or clearing it stops tracking the
+ * previous one.
+ *
+ * @param {number} stockId - Stock ID
+ * @param {string|null} name - Subreddit name, or null/empty to clear
+ * @returns {Promise<string|null>} - The new official subreddit name
+ */
+const setOfficialSubreddit = async (stockId, name) => {
+  const subredditName = normalizeSubreddit(name);
+
+  await prisma.$transaction(async (tx) => {
+    if (!subredditName) {
+      await tx.stockSubreddit.deleteMany({
+        where: { stockId, isOfficial: true }
+      });
+      return;
+    }
+
+    await tx.stockSubreddit.deleteMany({
+      where: { stockId, isOfficial: true, name: { not: subredditName } }
+    });
+    await tx.stockSubreddit.upsert({
+      where: { stockId_name: { stockId, name: subredditName } },
+      update: { isOfficial: true, enabled: true },
+      create: { stockId, name: subredditName, isOfficial: true }
+    });
+  });
+
+  return subredditName;
+};
+
+module.exports = {
+  getOfficialSubreddit,
+  listStockSubreddits,
+  addStockSubreddit,
+  updateStockSubreddit,
+  removeStockSubreddit,
+  setOfficialSubreddit
+};
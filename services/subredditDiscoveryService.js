@@ -0,0 +1,307 @@
+/**
+ * Subreddit Discovery Service
+ *
+ * Finds a stock's likely official subreddit from Reddit's community search.
+ * Candidates are ranked by how well their name matches the ticker or company
+ * name, how many subscribers they have and whether their description mentions
+ * the stock. The best candidate is stored as a suggestion that an admin can
+ * accept (making it the official subreddit) or reject.
+ */
+
+const prisma = require('../config/database');
+const { SUBREDDIT_DISCOVERY } = require('../config').redditScraper;
+const { searchRedditCommunities } = require('./redditService');
+const { setOfficialSubreddit } = require('./stockSubredditService');
+const { getCompanyName } = require('./mentionService');
+const { enqueueSubredditDiscovery } = require('./jobQueueService');
+const { sleep } = require('../utils/concurrency');
+
+// Delay between the ticker and company name searches
+const SEARCH_DELAY_MS = 1000;
+
+// Words that suggest a community is about the stock rather than the product
+const STOCK_TERMS = ['stock', 'shares', 'investor', 'investing', 'shareholder', 'trading', 'options'];
+
+const NAME_EXACT_SCORE = 3;
+const NAME_WITH_STOCK_TERM_SCORE = 4;
+const NAME_PARTIAL_SCORE = 1.5;
+const DESCRIPTION_MENTION_SCORE = 1;
+const SUBSCRIBER_LOG_WEIGHT = 0.25;
+
+// Tickers shorter than this only count as exact name matches ("F" would match everything)
+const MIN_PARTIAL_TICKER_LENGTH = 3;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Scores a community as a candidate official subreddit for a stock.
+ *
+ * @param {Object} community - Subreddit data from Reddit's community search
+ * @param {Object} stock - Stock with symbol and description
+ * @returns {number} - Ranking score (0 = not relevant)
+ */
+const scoreCommunity = (community, stock) => {
+  const name = (community.display_name || '').toLowerCase();
+  const ticker = stock.symbol.toLowerCase();
+  const companyName = getCompanyName(stock.description);
+  const compactCompanyName = companyName.replace(/\s+/g, '');
+  const nameHasStockTerm = STOCK_TERMS.some(term => name.includes(term));
+
+  // Name match: the strongest signal
+  let nameScore = 0;
+  if (name === ticker || (compactCompanyName && name === compactCompanyName)) {
+    nameScore = NAME_EXACT_SCORE;
+  } else if (
+    (ticker.length >= MIN_PARTIAL_TICKER_LENGTH && name.includes(ticker)) ||
+    (compactCompanyName.length >= MIN_PARTIAL_TICKER_LENGTH && name.includes(compactCompanyName))
+  ) {
+    nameScore = nameHasStockTerm ? NAME_WITH_STOCK_TERM_SCORE : NAME_PARTIAL_SCORE;
+  }
+
+  // Description mentions of the ticker, the company and stock-related terms
+  const description = `${community.title || ''} ${community.public_description || ''}`.toLowerCase();
+  let descriptionScore = 0;
+  if (new RegExp(`(^|[^a-z0-9])\\$?${escapeRegExp(ticker)}($|[^a-z0-9])`).test(description)) {
+    descriptionScore += DESCRIPTION_MENTION_SCORE;
+  }
+  if (companyName && description.includes(companyName)) {
+    descriptionScore += DESCRIPTION_MENTION_SCORE;
+  }
+
+  // Big general communities (r/wallstreetbets, r/stocks) aren't official subreddits
+  if (nameScore + descriptionScore === 0) {
+    return 0;
+  }
+
+  if (STOCK_TERMS.some(term => description.includes(term))) {
+    descriptionScore += DESCRIPTION_MENTION_SCORE;
+  }
+
+  const subscriberScore = Math.log10((community.subscribers || 0) + 1) * SUBSCRIBER_LOG_WEIGHT;
+
+  return Math.round((nameScore + descriptionScore + subscriberScore) * 100) / 100;
+};
+
+/**
+ * Ranks candidate communities for a stock, best first.
+ * NSFW and non-public communities are skipped, as are irrelevant ones.
+ *
+ * @param {Array<Object>} communities - Subreddit data from Reddit's community search
+ * @param {Object} stock - Stock with symbol and description
+ * @returns {Array<{name: string, title: string, subscribers: number, score: number}>}
+ */
+const rankCommunities = (communities, stock) => {
+  const candidates = new Map();
+
+  for (const community of communities) {
+    if (!community.display_name || community.over18) continue;
+    if (community.subreddit_type && community.subreddit_type !== 'public') continue;
+
+    const score = scoreCommunity(community, stock);
+    if (score <= 0) continue;
+
+    candidates.set(community.display_name.toLowerCase(), {
+      name: community.display_name.toLowerCase(),
+      title: community.title || null,
+      subscribers: community.subscribers ?? null,
+      score
+    });
+  }
+
+  return [...candidates.values()].sort((a, b) => b.score - a.score);
+};
+
+/**
+ * Formats a suggestion for API responses.
+ */
+const formatSuggestion = (suggestion) => ({
+  id: suggestion.id,
+  symbol: suggestion.stock?.symbol,
+  name: suggestion.name,
+  title: suggestion.title,
+  subscribers: suggestion.subscribers,
+  score: suggestion.score,
+  status: suggestion.status,
+  reviewedAt: suggestion.reviewedAt,
+  createdAt: suggestion.createdAt
+});
+
+/**
+ * Searches Reddit for a stock's official subreddit and stores the best match
+ * as a pending suggestion. Communities that were already rejected or are
+ * already tracked for the stock are never suggested again.
+ *
+ * @param {Object} stock - Stock row
+ * @returns {Promise<Object|null>} - The stored suggestion, or null if no candidate qualified
+ */
+const discoverOfficialSubreddit = async (stock) => {
+  const queries = [stock.symbol];
+  const companyName = getCompanyName(stock.description);
+  if (companyName && companyName !== stock.symbol.toLowerCase()) {
+    queries.push(companyName);
+  }
+
+  const communities = [];
+  for (let i = 0; i < queries.length; i++) {
+    if (i > 0) await sleep(SEARCH_DELAY_MS);
+    try {
+      communities.push(...await searchRedditCommunities(queries[i], SUBREDDIT_DISCOVERY.SEARCH_LIMIT));
+    } catch (error) {
+      console.error(`[Subreddit Discovery] Community search failed for "${queries[i]}":`, error.message);
+    }
+  }
+
+  await prisma.stock.update({
+    where: { id: stock.id },
+    data: { subredditDiscoveredAt: new Date() }
+  });
+
+  const [reviewed, tracked] = await Promise.all([
+    prisma.subredditSuggestion.findMany({
+      where: { stockId: stock.id, status: { not: 'pending' } },
+      select: { name: true }
+    }),
+    prisma.stockSubreddit.findMany({
+      where: { stockId: stock.id },
+      select: { name: true }
+    })
+  ]);
+  const excluded = new Set([...reviewed, ...tracked].map(row => row.name));
+
+  const best = rankCommunities(communities, stock)
+    .find(candidate => !excluded.has(candidate.name) && candidate.score >= SUBREDDIT_DISCOVERY.MIN_SCORE);
+
+  if (!best) {
+    console.log(`[Subreddit Discovery] No official subreddit candidate for ${stock.symbol}`);
+    return null;
+  }
+
+  const suggestion = await prisma.subredditSuggestion.upsert({
+    where: { stockId_name: { stockId: stock.id, name: best.name } },
+    update: { title: best.title, subscribers: best.subscribers, score: best.score },
+    create: { stockId: stock.id, ...best },
+    include: { stock: true }
+  });
+
+  console.log(`[Subreddit Discovery] Suggested r/${best.name} for ${stock.symbol} (score ${best.score})`);
+  return formatSuggestion(suggestion);
+};
+
+/**
+ * Whether a stock hasn't been checked within REDISCOVER_AFTER_MS.
+ */
+const isDiscoveryDue = (stock) => {
+  const lastDiscovered = stock.subredditDiscoveredAt ? stock.subredditDiscoveredAt.getTime() : 0;
+  return Date.now() - lastDiscovered >= SUBREDDIT_DISCOVERY.REDISCOVER_AFTER_MS;
+};
+
+/**
+ * Queues a `discover-subreddit` job for a stock that hasn't been checked
+ * within REDISCOVER_AFTER_MS.
+ *
+ * @param {Object} stock - Stock row
+ * @returns {Promise<boolean>} - True if a job was queued
+ */
+const queueSubredditDiscovery = async (stock) => {
+  if (!isDiscoveryDue(stock)) {
+    return false;
+  }
+  return enqueueSubredditDiscovery(stock.id);
+};
+
+/**
+ * Runs a queued discovery (the `discover-subreddit` job) for a stock that
+ * has no official subreddit and is still due.
+ *
+ * @param {number} stockId - Stock ID
+ * @returns {Promise<{suggested: string|null}|null>} - Null if skipped (stock gone, not due or has an official subreddit)
+ */
+const runSubredditDiscovery = async (stockId) => {
+  const stock = await prisma.stock.findUnique({ where: { id: stockId } });
+  if (!stock || !isDiscoveryDue(stock)) {
+    return null;
+  }
+
+  const official = await prisma.stockSubreddit.findFirst({
+    where: { stockId: stock.id, isOfficial: true }
+  });
+  if (official) {
+    return null;
+  }
+
+  const suggestion = await discoverOfficialSubreddit(stock);
+  return { suggested: suggestion ? suggestion.name : null };
+};
+
+/**
+ * Lists suggestions, newest first.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.status] - Only suggestions with this status
+ * @param {string} [options.symbol] - Only suggestions for this stock
+ * @returns {Promise<Array<Object>>}
+ */
+const listSuggestions = async ({ status, symbol } = {}) => {
+  const suggestions = await prisma.subredditSuggestion.findMany({
+    where: {
+      ...(status && { status }),
+      ...(symbol && { stock: { symbol: symbol.toUpperCase() } })
+    },
+    include: { stock: true },
+    orderBy: { createdAt: 'desc' }
+  });
+
+  return suggestions.map(formatSuggestion);
+};
+
+/**
+ * Accepts a suggestion, making it the stock's official subreddit.
+ *
+ * @param {number} id - Suggestion ID
+ * @returns {Promise<Object|null>} - Updated suggestion, or null if not found
+ */
+const acceptSuggestion = async (id) => {
+  const suggestion = await prisma.subredditSuggestion.findUnique({ where: { id } });
+  if (!suggestion) {
+    return null;
+  }
+
+  await setOfficialSubreddit(suggestion.stockId, suggestion.name);
+
+  const updated = await prisma.subredditSuggestion.update({
+    where: { id },
+    data: { status: 'accepted', reviewedAt: new Date() },
+    include: { stock: true }
+  });
+  return formatSuggestion(updated);
+};
+
+/**
+ * Rejects a suggestion so the community is never suggested again for the stock.
+ *
+ * @param {number} id - Suggestion ID
+ * @returns {Promise<Object|null>} - Updated suggestion, or null if not found
+ */
+const rejectSuggestion = async (id) => {
+  const suggestion = await prisma.subredditSuggestion.findUnique({ where: { id } });
+  if (!suggestion) {
+    return null;
+  }
+
+  const updated = await prisma.subredditSuggestion.update({
+    where: { id },
+    data: { status: 'rejected', reviewedAt: new Date() },
+    include: { stock: true }
+  });
+  return formatSuggestion(updated);
+};
+
+module.exports = {
+  discoverOfficialSubreddit,
+  queueSubredditDiscovery,
+  runSubredditDiscovery,
+  rankCommunities,
+  listSuggestions,
+  acceptSuggestion,
+  rejectSuggestion
+};
@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { buildMentionIndex, extractMentions } = require('../services/mentionMatcher');
+
+const index = buildMentionIndex([
+  { id: 1, symbol: 'TSLA', description: 'TESLA INC' },
+  { id: 2, symbol: 'HOOD', description: 'ROBINHOOD MARKETS INC - A' },
+  { id: 3, symbol: 'F', description: 'FORD MOTOR CO' },
+  { id: 4, symbol: 'CAT', description: 'CATERPILLAR INC' }
+]);
+
+test('a cashtag matches in any case', () => {
+  assert.deepEqual(extractMentions('$tsla and $Hood.', index), ['HOOD', 'TSLA']);
+});
+
+test('a bare ticker only matches as a whole uppercase word', () => {
+  assert.deepEqual(extractMentions('HOOD is up', index), ['HOOD']);
+  assert.deepEqual(extractMentions('my neighborhood, the hood, a cat and CATS', index), []);
+  assert.deepEqual(extractMentions('CAT earnings', index), ['CAT']);
+});
+
+test('an ambiguous ticker needs a cashtag', () => {
+  assert.deepEqual(extractMentions('F this, I bought F', index), []);
+  assert.deepEqual(extractMentions('I bought $F', index), ['F']);
+});
+
+test('company names match as whole words', () => {
+  assert.deepEqual(extractMentions("Tesla's new truck and Ford Motor", index), ['F', 'TSLA']);
+  assert.deepEqual(extractMentions('Afford it', index), []);
+  assert.deepEqual(extractMentions('teslas everywhere', index), []);
+});
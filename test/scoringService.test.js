@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { aggregateSentiment, getStockSentimentInputs } = require('../services/scoringService');
+
+const NOW = Date.UTC(2026, 0, 10);
+const createdAtUtc = new Date(NOW - 60 * 60 * 1000);
+
+const TSLA = { id: 1, symbol: 'TSLA' };
+const F = { id: 3, symbol: 'F' };
+
+// Found for TSLA, linked to F through a mention; comments are scored against TSLA
+const post = {
+  stockId: TSLA.id,
+  sentiment: 0.5,
+  flagForDelete: false,
+  upvotes: 10,
+  postTime: createdAtUtc,
+  comments: [
+    { sentiment: 0.9, upvotes: 5, createdAtUtc, flagForDelete: false, mentionedSymbols: [] },
+    { sentiment: 0.7, upvotes: 5, createdAtUtc, flagForDelete: false, mentionedSymbols: [] },
+    { sentiment: -0.8, upvotes: 5, createdAtUtc, flagForDelete: false, mentionedSymbols: ['F'] },
+    { sentiment: null, upvotes: 5, createdAtUtc, flagForDelete: false, mentionedSymbols: ['F'] }
+  ]
+};
+
+test('a post linked to two stocks produces separate aggregates', () => {
+  const tsla = getStockSentimentInputs([post], TSLA);
+  const ford = getStockSentimentInputs([post], F);
+
+  assert.equal(tsla.comments.length, 3);
+  assert.equal(tsla.posts.length, 1);
+  assert.deepEqual(ford.comments.map(comment => comment.sentiment), [-0.8]);
+  assert.equal(ford.posts.length, 0);
+
+  const tslaScore = aggregateSentiment([...tsla.comments, ...tsla.posts], { now: NOW });
+  const fordScore = aggregateSentiment([...ford.comments, ...ford.posts], { now: NOW });
+
+  assert.equal(fordScore.sampleSize, 1);
+  assert.ok(Math.abs(fordScore.weighted - -0.8) < 1e-9);
+  assert.equal(tslaScore.sampleSize, 4);
+  assert.ok(tslaScore.weighted > 0);
+});
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { getScrapeIntervalRules } = require('../services/scrapeScheduleService');
+const { SCRAPE_INTERVALS, MAX_POST_AGE_MS, TIME } = require('../config/redditScraper');
+
+const { MS_PER_MINUTE, MS_PER_HOUR, MS_PER_DAY } = TIME;
+
+const intervalFor = (postAgeMs, scrapeIntervals) =>
+  getScrapeIntervalRules(scrapeIntervals).find(rule => postAgeMs < rule.maxAgeMs)?.intervalMs ?? null;
+
+test('scrape intervals switch at each rule boundary', () => {
+  const defaults = { maxPostAgeMs: MAX_POST_AGE_MS, intervals: SCRAPE_INTERVALS };
+
+  assert.equal(intervalFor(0, defaults), 10 * MS_PER_MINUTE);
+  assert.equal(intervalFor(MS_PER_DAY - 1, defaults), 10 * MS_PER_MINUTE);
+  assert.equal(intervalFor(MS_PER_DAY, defaults), MS_PER_HOUR);
+  assert.equal(intervalFor(3 * MS_PER_DAY, defaults), MS_PER_DAY);
+  assert.equal(intervalFor(7 * MS_PER_DAY - 1, defaults), MS_PER_DAY);
+  assert.equal(intervalFor(7 * MS_PER_DAY, defaults), null);
+});
+
+test('posts are not scraped from maxPostAgeMs on, even inside a rule', () => {
+  const scrapeIntervals = { maxPostAgeMs: 2 * MS_PER_DAY, intervals: SCRAPE_INTERVALS };
+
+  assert.deepEqual(getScrapeIntervalRules(scrapeIntervals).map(rule => rule.maxAgeMs), [MS_PER_DAY, 2 * MS_PER_DAY]);
+  assert.equal(intervalFor(2 * MS_PER_DAY - 1, scrapeIntervals), MS_PER_HOUR);
+  assert.equal(intervalFor(2 * MS_PER_DAY, scrapeIntervals), null);
+});
+
+test('a rule ending exactly at maxPostAgeMs is the last one', () => {
+  const scrapeIntervals = {
+    maxPostAgeMs: MS_PER_DAY,
+    intervals: [...SCRAPE_INTERVALS, { maxAgeMs: 30 * MS_PER_DAY, intervalMs: MS_PER_DAY }]
+  };
+
+  assert.deepEqual(getScrapeIntervalRules(scrapeIntervals), [{ maxAgeMs: MS_PER_DAY, intervalMs: 10 * MS_PER_MINUTE }]);
+});
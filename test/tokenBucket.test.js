@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createTokenBucket } = require('../utils/tokenBucket');
+
+const useClock = (t) => {
+  const clock = { now: Date.UTC(2026, 0, 10) };
+  t.mock.method(Date, 'now', () => clock.now);
+  return clock;
+};
+
+test('tokens refill at the configured rate up to the capacity', async (t) => {
+  const clock = useClock(t);
+  const bucket = createTokenBucket({ capacity: 10, refillPerSecond: 2 });
+
+  for (let i = 0; i < 10; i++) {
+    await bucket.acquire();
+  }
+  assert.equal(bucket.getState().tokens, 0);
+
+  clock.now += 1500;
+  assert.equal(bucket.getState().tokens, 3);
+
+  clock.now += 60 * 1000;
+  assert.equal(bucket.getState().tokens, 10);
+});
+
+test('sync caps the tokens and slows the refill to the remaining budget', (t) => {
+  const clock = useClock(t);
+  const bucket = createTokenBucket({ capacity: 10, refillPerSecond: 2 });
+
+  bucket.sync(4, 8);
+  assert.equal(bucket.getState().tokens, 4);
+  assert.equal(bucket.getState().refillPerSecond, 0.5);
+
+  clock.now += 4000;
+  assert.equal(bucket.getState().tokens, 6);
+});
+
+test('an exhausted budget pauses until the window resets', (t) => {
+  const clock = useClock(t);
+  const bucket = createTokenBucket({ capacity: 10, refillPerSecond: 2 });
+
+  bucket.sync(0, 30);
+  assert.equal(bucket.getState().tokens, 0);
+  assert.deepEqual(bucket.getState().pausedUntil, new Date(clock.now + 30 * 1000));
+
+  clock.now += 30 * 1000;
+  assert.equal(bucket.getState().pausedUntil, null);
+});
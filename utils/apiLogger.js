@@ -11,7 +11,8 @@ const prisma = require('../config/database');
 const SERVICES = {
   REDDIT: 'reddit',
   FINNHUB: 'finnhub',
-  OPENAI: 'openai'
+  OPENAI: 'openai',
+  LOCAL_LLM: 'local-llm'
 };
 
 // Cache for service IDs to avoid repeated lookups
@@ -21,7 +22,7 @@ const serviceIdCache = {};
  * Gets or creates an external service record.
  * Results are cached in memory for performance.
  *
- * @param {string} serviceName - Name of the service (reddit, finnhub, openai)
+ * @param {string} serviceName - Name of the service (reddit, finnhub, openai, local-llm)
  * @returns {Promise<number>} - The service ID
  */
 const getServiceId = async (serviceName) => {
@@ -52,8 +53,9 @@ const getServiceId = async (serviceName) => {
 const getServiceDescription = (serviceName) => {
   const descriptions = {
     [SERVICES.REDDIT]: 'Reddit API for fetching posts and comments',
-    [SERVICES.FINNHUB]: 'Finnhub API for stock symbol search',
-    [SERVICES.OPENAI]: 'OpenAI API for sentiment analysis'
+    [SERVICES.FINNHUB]: 'Finnhub API for stock symbol search, quotes, candles and company profiles',
+    [SERVICES.OPENAI]: 'OpenAI API for sentiment analysis',
+    [SERVICES.LOCAL_LLM]: 'OpenAI-compatible local endpoint for sentiment analysis'
   };
   return descriptions[serviceName] || serviceName;
 };
@@ -0,0 +1,90 @@
+/**
+ * Concurrency Utility
+ *
+ * Helpers for running async work with a bounded number of in-flight tasks
+ * and for retrying rate-limited calls with exponential backoff.
+ */
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Maps over items with at most `limit` calls of `fn` running at once.
+ * Results are returned in the same order as the input items.
+ *
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of concurrent calls
+ * @param {Function} fn - Async function called with (item, index)
+ * @returns {Promise<Array>} - Results in input order
+ */
+const mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  const workerCount = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: workerCount }, worker));
+
+  return results;
+};
+
+/**
+ * Reads the Retry-After header (in seconds) from an HTTP error, if present.
+ *
+ * @param {Object} error - Error thrown by axios or the OpenAI SDK
+ * @returns {number|null} - Delay in milliseconds, or null
+ */
+const getRetryAfterMs = (error) => {
+  const headers = error?.headers || error?.response?.headers;
+  if (!headers) return null;
+
+  const value = typeof headers.get === 'function'
+    ? headers.get('retry-after')
+    : headers['retry-after'];
+
+  const seconds = parseFloat(value);
+  return Number.isFinite(seconds) ? seconds * 1000 : null;
+};
+
+/**
+ * Calls `fn`, retrying with exponential backoff (plus jitter) while
+ * `shouldRetry(error)` returns true. Honors Retry-After headers when present.
+ *
+ * @param {Function} fn - Async function to call
+ * @param {Object} options - Retry options
+ * @param {number} options.maxRetries - Maximum number of retries after the first attempt
+ * @param {number} options.baseDelayMs - Delay before the first retry
+ * @param {number} options.maxDelayMs - Upper bound for a single delay
+ * @param {Function} options.shouldRetry - Returns true if the error is retryable
+ * @param {Function} [options.onRetry] - Called with (error, attempt, delayMs) before sleeping
+ * @returns {Promise<*>} - Result of `fn`
+ */
+const retryWithBackoff = async (fn, { maxRetries, baseDelayMs, maxDelayMs, shouldRetry, onRetry }) => {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (attempt >= maxRetries || !shouldRetry(error)) {
+        throw error;
+      }
+
+      const backoffMs = baseDelayMs * Math.pow(2, attempt) * (0.5 + Math.random() / 2);
+      const delayMs = Math.min(getRetryAfterMs(error) ?? backoffMs, maxDelayMs);
+
+      if (onRetry) onRetry(error, attempt + 1, delayMs);
+      await sleep(delayMs);
+    }
+  }
+};
+
+module.exports = {
+  sleep,
+  mapWithConcurrency,
+  getRetryAfterMs,
+  retryWithBackoff
+};
@@ -0,0 +1,35 @@
+/**
+ * HTTP Errors Utility
+ *
+ * Services throw errors carrying a statusCode (validation, not found, conflict);
+ * controllers pass them to sendError, which turns them into client errors.
+ */
+
+/**
+ * Creates a 400 error for invalid input.
+ *
+ * @param {string} message
+ * @returns {Error} - Error with statusCode 400
+ */
+const createValidationError = (message) => Object.assign(new Error(message), { statusCode: 400 });
+
+/**
+ * Sends service errors that carry a statusCode as client errors;
+ * anything else is logged and sent as a 500.
+ *
+ * @param {Object} res - Express response
+ * @param {string} name - Handler name (for the log)
+ * @param {Error} error
+ */
+const sendError = (res, name, error) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+  console.error(`Error in ${name}:`, error);
+  res.status(500).json({ error: error.message || 'Internal server error' });
+};
+
+module.exports = {
+  createValidationError,
+  sendError
+};
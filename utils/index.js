@@ -7,10 +7,16 @@
 const routeHelper = require('./routeHelper');
 const apiLogger = require('./apiLogger');
 const proxyManager = require('./proxyManager');
+const concurrency = require('./concurrency');
+const tokenBucket = require('./tokenBucket');
+const httpErrors = require('./httpErrors');
 
 module.exports = {
   routeHelper,
   apiLogger,
-  proxyManager
+  proxyManager,
+  concurrency,
+  tokenBucket,
+  httpErrors
 };
 
@@ -4,16 +4,22 @@
  * Utility functions for formatting and working with routes.
  */
 
-const formatRoutes = (routes) => {
+/**
+ * Lists the routes registered on an Express app (including parameterized
+ * routes registered directly in server.js) with their methods.
+ *
+ * @param {Object} app - Express app
+ * @returns {Object<string, Array<string>>} - Methods by path, in registration order
+ */
+const formatRoutes = (app) => {
   const formattedRoutes = {};
 
-  Object.keys(routes).forEach(path => {
-    const methods = Object.keys(routes[path]);
-    formattedRoutes[path] = methods;
-  });
-
-  // Add parameterized routes (Express handles these)
-  formattedRoutes['/stock/:param'] = ['GET'];
+  (app._router?.stack || [])
+    .filter(layer => layer.route)
+    .forEach(({ route }) => {
+      const methods = Object.keys(route.methods).map(method => method.toUpperCase());
+      formattedRoutes[route.path] = [...new Set([...(formattedRoutes[route.path] || []), ...methods])];
+    });
 
   return formattedRoutes;
 };
@@ -0,0 +1,120 @@
+/**
+ * Token Bucket Utility
+ *
+ * A shared request budget for an external API. Callers `acquire()` a token
+ * before each request and wait when the bucket is empty. The bucket can be
+ * re-synced from the rate-limit headers an API returns, and paused after a
+ * 429 response.
+ */
+
+const { sleep } = require('./concurrency');
+
+/**
+ * Creates a token bucket.
+ *
+ * @param {Object} options
+ * @param {number} options.capacity - Maximum number of tokens (burst size)
+ * @param {number} options.refillPerSecond - Tokens added per second
+ * @returns {{acquire: Function, sync: Function, pause: Function, getState: Function}}
+ */
+const createTokenBucket = ({ capacity, refillPerSecond }) => {
+  let tokens = capacity;
+  let rate = refillPerSecond;
+  let lastRefillAt = Date.now();
+  let pausedUntil = 0;
+  let queue = Promise.resolve();
+
+  const refill = () => {
+    const now = Date.now();
+    tokens = Math.min(capacity, tokens + ((now - lastRefillAt) / 1000) * rate);
+    lastRefillAt = now;
+  };
+
+  const take = async () => {
+    while (true) {
+      const now = Date.now();
+      if (now < pausedUntil) {
+        await sleep(pausedUntil - now);
+        continue;
+      }
+
+      refill();
+      if (tokens >= 1) {
+        tokens -= 1;
+        return;
+      }
+
+      await sleep(Math.ceil(((1 - tokens) / rate) * 1000));
+    }
+  };
+
+  /**
+   * Waits for a token. Waiters are served in the order they called acquire().
+   *
+   * @returns {Promise<void>}
+   */
+  const acquire = () => {
+    const turn = queue.then(take);
+    queue = turn.catch(() => {});
+    return turn;
+  };
+
+  /**
+   * Re-syncs the bucket with the budget reported by the API: never hold more
+   * tokens than the API says remain, and spread the remaining requests over
+   * the time left in the window. An exhausted budget pauses until the reset.
+   *
+   * @param {number} remaining - Requests left in the current window
+   * @param {number} resetSeconds - Seconds until the window resets
+   */
+  const sync = (remaining, resetSeconds) => {
+    if (!Number.isFinite(remaining) || !Number.isFinite(resetSeconds)) {
+      return;
+    }
+
+    refill();
+
+    if (remaining < 1) {
+      tokens = 0;
+      pausedUntil = Math.max(pausedUntil, Date.now() + resetSeconds * 1000);
+      return;
+    }
+
+    tokens = Math.min(tokens, remaining);
+    rate = Math.min(refillPerSecond, remaining / Math.max(resetSeconds, 1));
+  };
+
+  /**
+   * Stops handing out tokens for a while (e.g. after a 429 response).
+   *
+   * @param {number} ms - Pause duration in milliseconds
+   */
+  const pause = (ms) => {
+    tokens = 0;
+    pausedUntil = Math.max(pausedUntil, Date.now() + ms);
+  };
+
+  /**
+   * Current bucket state, for status endpoints and logging.
+   */
+  const getState = () => {
+    refill();
+    return {
+      tokens: Math.floor(tokens),
+      capacity,
+      refillPerSecond: rate,
+      pausedUntil: pausedUntil > Date.now() ? new Date(pausedUntil) : null
+    };
+  };
+
+  return {
+    acquire,
+    sync,
+    pause,
+    getState
+  };
+};
+
+module.exports = {
+  createTokenBucket
+};